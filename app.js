@@ -1,5 +1,5 @@
 // Vision Filter - Main Application
-// Handles all filters and UI interactions
+// Handles filter scheduling and UI interactions
 
 class App {
     constructor() {
@@ -7,32 +7,86 @@ class App {
         this.ctx = this.canvas.getContext('2d');
         this.video = document.getElementById('video');
 
-        // Current filter mode
-        this.mode = 'matrix';
-
-        // Initialize filters
-        this.filters = {
-            matrix: new MatrixFilter(this.canvas, this.video),
-            wakingLife: new WakingLifeFilter(this.canvas, this.video),
-            archer: new ArcherFilter(this.canvas, this.video)
-        };
+        // Current filter mode (defaults to the first registered filter)
+        this.mode = null;
+
+        // Filter instances, keyed by registry id
+        this.filters = {};
+
+        // Rendering backends: GPU shaders, a filter worker, or draw() on the main thread
+        this.backend = 'auto';
+        this.glRenderer = GLRenderer.isSupported() ? new GLRenderer() : null;
+        this.workerPipeline = WorkerPipeline.isSupported() ? new WorkerPipeline(this.canvas) : null;
+
+        // Camera, video file or still image
+        this.source = new SourceManager(this.video);
+
+        // Extra filters composited over the active one
+        this.layerStack = new LayerStack(this.canvas, this.source.element);
+
+        // Person/background split: each side is 'filter' (the active one), 'video', or for the
+        // person a filter id and for the background 'blur' or 'black'
+        this.segmenter = new PersonSegmenter();
+        this.personMode = 'filter';
+        this.backgroundMode = 'filter';
+        this.personFilter = null;
+        this.personBuffer = createCanvas();
+        this.blurCanvas = createCanvas();
+
+        // Adaptive internal resolution
+        this.renderScaler = new RenderScaler();
+        this.showStats = false;
+        this.statsSampleTime = 0;
+        if (this.workerPipeline) {
+            this.workerPipeline.onFrame = () => this.renderScaler.recordFrame();
+        }
 
         this.isRunning = false;
         this.settingsPanelOpen = false;
 
+        // Clip recording
+        this.recorder = new CanvasRecorder(this.canvas);
+        this.recordTimer = null;
+        this.recordingUrl = null;
+
+        // Offline export of video files
+        this.exporter = null;
+        this.exporting = false;
+
+        // Snapshot gallery
+        this.snapshots = new SnapshotStore(24);
+        this.galleryOpen = false;
+        this.galleryUrls = [];
+
+        // Raw slider values as last applied, keyed by slider id
+        this.sliderValues = {};
+
+        // Presets, last-used settings and shareable links
+        this.presets = new PresetStore();
+        this.hashState = PresetStore.decodeHash(location.hash);
+        this.persistTimer = null;
+
+        // Seed for every filter's random choices; a shared link wins over last-used
+        this.seed = (this.hashState && this.hashState.seed) || this.presets.lastUsed.seed || '1';
+
         this.setupEventListeners();
+        document.getElementById('seedInput').value = this.seed;
+        this.reseed();
+
+        // Build registered filters, and any that register later
+        FilterRegistry.list().forEach(entry => this.addFilter(entry));
+        FilterRegistry.onRegister(entry => this.addFilter(entry));
+
+        // Open on the filter from the link, or the one used last time
+        const startMode = (this.hashState && this.hashState.mode) || this.presets.lastUsed.mode;
+        if (startMode && this.filters[startMode]) this.setMode(startMode);
     }
 
     setupEventListeners() {
-        // Start button
+        // Start buttons
         document.getElementById('startBtn').addEventListener('click', () => this.start());
-
-        // Filter buttons
-        document.querySelectorAll('.filter-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const filter = btn.dataset.filter;
-                this.setMode(filter);
-            });
+        document.getElementById('openFileBtn').addEventListener('click', () => {
+            this.openSourceFile('video/*,image/*');
         });
 
         // Settings toggle
@@ -53,49 +107,185 @@ class App {
             }
         });
 
+        // Recording
+        document.getElementById('recordBtn').addEventListener('click', () => {
+            this.toggleRecording();
+        });
+
+        document.getElementById('downloadRecording').addEventListener('click', () => {
+            this.downloadRecording();
+        });
+
+        // Snapshots
+        document.getElementById('snapshotBtn').addEventListener('click', () => {
+            this.takeSnapshot();
+        });
+
+        document.getElementById('galleryBtn').addEventListener('click', () => {
+            this.toggleGallery();
+        });
+
+        document.getElementById('closeGallery').addEventListener('click', () => {
+            this.toggleGallery(false);
+        });
+
         // Camera selection
         document.getElementById('cameraSelect').addEventListener('change', (e) => {
             this.switchCamera(e.target.value);
         });
 
-        // Matrix controls
-        this.setupSlider('charSize', (val) => {
-            this.filters.matrix.charSize = parseInt(val);
-            this.filters.matrix.initGrid();
-        }, 'px');
-        this.setupSlider('fallSpeed', (val) => this.filters.matrix.fallSpeed = parseInt(val));
-        this.setupSlider('brightness', (val) => this.filters.matrix.brightnessSensitivity = parseInt(val));
-        this.setupSlider('explosionRate', (val) => this.filters.matrix.explosionRate = parseInt(val));
-        this.setupSlider('contrast', (val) => this.filters.matrix.contrast = parseInt(val));
-
-        // Waking Life controls
-        this.setupSlider('wobbleIntensity', (val) => this.filters.wakingLife.wobbleIntensity = val / 2);
-        this.setupSlider('colorLevels', (val) => this.filters.wakingLife.colorLevels = parseInt(val));
-        this.setupSlider('edgeOpacity', (val) => this.filters.wakingLife.edgeOpacity = val / 10);
-        this.setupSlider('colorShift', (val) => this.filters.wakingLife.colorShiftAmount = val * 3);
-        this.setupSlider('breathingIntensity', (val) => this.filters.wakingLife.breathingIntensity = val / 2);
-        this.setupSlider('painterliness', (val) => this.filters.wakingLife.painterliness = val / 10);
-        this.setupSlider('saturation', (val) => {
-            this.filters.wakingLife.saturationBoost = val / 10;
-            const display = document.getElementById('saturationValue');
-            if (display) display.textContent = (val / 10).toFixed(1) + 'x';
-        }, null, true);
-
-        // Archer controls
-        this.setupSlider('archerEdge', (val) => this.filters.archer.edgeThickness = parseInt(val));
-        this.setupSlider('archerColors', (val) => this.filters.archer.colorLevels = parseInt(val));
-        this.setupSlider('archerShadow', (val) => this.filters.archer.shadowIntensity = parseInt(val));
-        this.setupSlider('archerHighlight', (val) => this.filters.archer.highlightBoost = parseInt(val));
-        this.setupSlider('archerSaturation', (val) => this.filters.archer.saturationBoost = parseInt(val));
+        // Source selection
+        document.getElementById('sourceSelect').addEventListener('change', (e) => {
+            const type = e.target.value;
+            // Keep showing the active source until a file is actually picked
+            e.target.value = this.source.type;
+
+            if (type === 'camera') {
+                this.initCamera();
+            } else {
+                this.openSourceFile(type === 'video' ? 'video/*' : 'image/*');
+            }
+        });
+
+        document.getElementById('sourceFileInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.loadSourceFile(file);
+        });
+
+        // Video file transport
+        document.getElementById('playPauseBtn').addEventListener('click', () => {
+            if (this.video.paused) {
+                this.video.play();
+            } else {
+                this.video.pause();
+            }
+        });
+
+        document.getElementById('seekSlider').addEventListener('input', (e) => {
+            if (this.video.duration) {
+                this.video.currentTime = (e.target.value / 1000) * this.video.duration;
+            }
+        });
+
+        document.getElementById('loopToggle').addEventListener('change', (e) => {
+            this.video.loop = e.target.checked;
+        });
+
+        document.getElementById('exportBtn').addEventListener('click', () => {
+            this.exportVideo();
+        });
+
+        document.getElementById('cancelExportBtn').addEventListener('click', () => {
+            if (this.exporter) this.exporter.cancel();
+        });
+
+        ['play', 'pause', 'timeupdate', 'durationchange'].forEach(type => {
+            this.video.addEventListener(type, () => this.updateVideoControls());
+        });
+
+        // Drop a video or image anywhere to use it as the source
+        document.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            document.body.classList.add('dragging');
+        });
+
+        document.addEventListener('dragleave', (e) => {
+            if (!e.relatedTarget) document.body.classList.remove('dragging');
+        });
+
+        document.addEventListener('drop', (e) => {
+            e.preventDefault();
+            document.body.classList.remove('dragging');
+            const file = e.dataTransfer.files[0];
+            if (file) this.loadSourceFile(file);
+        });
+
+        // Rendering backend selection
+        document.getElementById('backendSelect').addEventListener('change', (e) => {
+            this.backend = e.target.value;
+        });
+
+        // Presets
+        document.getElementById('presetSelect').addEventListener('change', (e) => {
+            const preset = this.presets.get(this.mode, e.target.value);
+            if (preset) this.applySliderValues(preset.values);
+        });
+
+        document.getElementById('savePresetBtn').addEventListener('click', () => this.savePreset());
+        document.getElementById('renamePresetBtn').addEventListener('click', () => this.renamePreset());
+        document.getElementById('deletePresetBtn').addEventListener('click', () => this.deletePreset());
+        document.getElementById('exportPresetsBtn').addEventListener('click', () => this.exportPresets());
+        document.getElementById('copyLinkBtn').addEventListener('click', () => this.copyLink());
+
+        document.getElementById('importPresetsBtn').addEventListener('click', () => {
+            document.getElementById('importPresetsInput').click();
+        });
+
+        document.getElementById('importPresetsInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importPresets(file);
+        });
+
+        // A pasted link in the same tab
+        window.addEventListener('hashchange', () => {
+            const state = PresetStore.decodeHash(location.hash);
+            if (!state || !this.filters[state.mode]) return;
+            this.setMode(state.mode);
+            this.applySliderValues(state.values);
+            if (state.seed && state.seed !== this.seed) this.setSeed(state.seed);
+        });
+
+        // Layer stack
+        document.getElementById('addLayerBtn').addEventListener('click', () => {
+            const filterId = document.getElementById('layerFilterSelect').value;
+            if (this.layerStack.add(filterId)) this.renderLayerControls();
+        });
+
+        // Person and background
+        document.getElementById('personSelect').addEventListener('change', (e) => {
+            this.setPersonMode(e.target.value);
+        });
+        document.getElementById('backgroundSelect').addEventListener('change', (e) => {
+            this.backgroundMode = e.target.value;
+        });
+        document.getElementById('captureBackgroundBtn').addEventListener('click', () => {
+            this.segmenter.captureBackground();
+        });
+        this.segmenter.onStatus = (text) => {
+            document.getElementById('segmentationStatus').textContent = text;
+        };
+        document.getElementById('segmentationStatus').textContent = this.segmenter.status;
+
+        // Render scale target and stats overlay
+        document.getElementById('fpsTargetSelect').addEventListener('change', (e) => {
+            this.renderScaler.setTarget(parseInt(e.target.value));
+        });
+
+        document.getElementById('statsToggle').addEventListener('change', (e) => {
+            this.showStats = e.target.checked;
+            document.getElementById('statsOverlay').classList.toggle('visible', this.showStats);
+        });
+
+        // Seed
+        document.getElementById('seedInput').addEventListener('change', (e) => {
+            this.setSeed(e.target.value);
+        });
+
+        document.getElementById('newSeedBtn').addEventListener('click', () => {
+            this.setSeed(Math.floor(Math.random() * 1000000));
+        });
 
         // Window resize
         window.addEventListener('resize', () => this.resize());
 
-        // Click outside panel to close
+        // Click outside panel to close (ignoring controls the click itself removed)
         document.addEventListener('click', (e) => {
             const panel = document.getElementById('settingsPanel');
             const toggle = document.getElementById('settingsToggle');
             if (this.settingsPanelOpen &&
+                document.contains(e.target) &&
                 !panel.contains(e.target) &&
                 !toggle.contains(e.target)) {
                 this.toggleSettings(false);
@@ -103,19 +293,206 @@ class App {
         });
     }
 
+    static registerFilter(id, FilterClass, descriptor) {
+        return FilterRegistry.register(id, FilterClass, descriptor);
+    }
+
+    // Instantiate a registered filter and generate its filter bar button and settings section
+    addFilter(entry) {
+        const { id, FilterClass, descriptor } = entry;
+        if (this.filters[id]) return;
+
+        const filter = new FilterClass(this.canvas, this.source.element);
+        if (typeof filter.reseed === 'function') filter.reseed(this.seed);
+        this.filters[id] = filter;
+        if (!this.mode) this.mode = id;
+
+        // Filter bar button
+        const btn = document.createElement('button');
+        btn.className = 'filter-btn';
+        btn.dataset.filter = id;
+        btn.innerHTML = '<span class="dot"></span><span></span>';
+        btn.firstChild.style.background = descriptor.color;
+        btn.lastChild.textContent = descriptor.name;
+        btn.addEventListener('click', () => this.setMode(id));
+        document.getElementById('filterBar').appendChild(btn);
+
+        // Layer picker option
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = descriptor.name;
+        document.getElementById('layerFilterSelect').appendChild(option);
+
+        const personOption = document.createElement('option');
+        personOption.value = id;
+        personOption.textContent = `Person: ${descriptor.name}`;
+        document.getElementById('personSelect').appendChild(personOption);
+
+        // Settings section
+        const section = document.createElement('div');
+        section.className = 'control-section';
+        section.id = id + 'Controls';
+        descriptor.params.forEach(param => section.appendChild(this.buildControl(param)));
+        if (descriptor.exports.length > 0) section.appendChild(this.buildExportControls(id, descriptor.exports));
+        document.getElementById('filterControls').appendChild(section);
+
+        // Wire controls and apply their defaults to the filter
+        descriptor.params.forEach(param => {
+            const apply = (val) => {
+                filter[param.property] = param.transform(val);
+                if (param.format) {
+                    const display = document.getElementById(param.id + 'Value');
+                    if (display) display.textContent = param.format(val);
+                }
+            };
+            this.setupSlider(param.id, apply, param.unit, !!param.format);
+            apply(param.default);
+        });
+
+        // Restore settings: a shared link wins over last-used
+        const restored = this.hashState && this.hashState.mode === id
+            ? this.hashState.values
+            : this.presets.getLastUsed(id);
+        if (restored) this.applySliderValues(restored);
+
+        if (this.mode === id) this.setMode(id);
+    }
+
+    buildControl(param) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+
+        const label = document.createElement('div');
+        label.className = 'control-label';
+
+        const name = document.createElement('span');
+        name.textContent = param.label;
+        label.appendChild(name);
+
+        // Selects and text fields show their own value
+        if (param.type === 'range') {
+            const value = document.createElement('span');
+            value.className = 'control-value';
+            value.id = param.id + 'Value';
+            value.textContent = param.format ? param.format(param.default) : param.default + param.unit;
+            label.appendChild(value);
+        }
+
+        group.appendChild(label);
+
+        let input;
+        if (param.type === 'select') {
+            input = document.createElement('select');
+            param.options.forEach(opt => {
+                const option = document.createElement('option');
+                option.value = opt.value;
+                option.textContent = opt.label;
+                input.appendChild(option);
+            });
+        } else if (param.type === 'color') {
+            input = document.createElement('input');
+            input.type = 'color';
+        } else if (param.type === 'text') {
+            input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = param.placeholder;
+            input.spellcheck = false;
+        } else {
+            input = document.createElement('input');
+            input.type = 'range';
+            input.min = param.min;
+            input.max = param.max;
+            input.step = param.step;
+        }
+        input.id = param.id;
+        input.value = param.default;
+        group.appendChild(input);
+
+        return group;
+    }
+
+    // One download button per export the filter offers
+    buildExportControls(id, exports) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+
+        const label = document.createElement('div');
+        label.className = 'control-label';
+        const name = document.createElement('span');
+        name.textContent = 'Export Frame';
+        label.appendChild(name);
+        group.appendChild(label);
+
+        const row = document.createElement('div');
+        row.className = 'export-actions';
+        exports.forEach(exp => {
+            const btn = document.createElement('button');
+            btn.className = 'layer-btn';
+            btn.textContent = exp.label;
+            btn.addEventListener('click', () => this.downloadFilterExport(id, exp));
+            row.appendChild(btn);
+        });
+        group.appendChild(row);
+
+        return group;
+    }
+
+    downloadFilterExport(id, exp) {
+        let content;
+        try {
+            content = exp.create(this.filters[id]);
+        } catch (err) {
+            console.error('Filter export error:', err);
+            alert('Could not export this frame.');
+            return;
+        }
+
+        const url = URL.createObjectURL(new Blob([content], { type: exp.type }));
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `four-fingers-${id}-${stamp}.${exp.extension}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
     setupSlider(id, callback, suffix = '', skipDisplay = false) {
         const slider = document.getElementById(id);
         if (!slider) return;
 
         const valueDisplay = document.getElementById(id + 'Value');
+        this.sliderValues[id] = slider.value;
 
         slider.addEventListener('input', (e) => {
             const val = e.target.value;
             if (valueDisplay && !skipDisplay) {
                 valueDisplay.textContent = val + (suffix || '');
             }
+            this.sliderValues[id] = val;
             callback(val);
+            this.schedulePersist();
+        });
+    }
+
+    // Control values belonging to one filter's settings section
+    getSliderValues(mode) {
+        const values = {};
+        document.querySelectorAll(`#${mode}Controls input, #${mode}Controls select`).forEach(slider => {
+            if (slider.id in this.sliderValues) {
+                values[slider.id] = this.sliderValues[slider.id];
+            }
         });
+        return values;
+    }
+
+    // Push values back through the sliders so every callback runs as if dragged
+    applySliderValues(values) {
+        for (const [id, val] of Object.entries(values)) {
+            const slider = document.getElementById(id);
+            if (!slider) continue;
+            slider.value = val;
+            slider.dispatchEvent(new Event('input'));
+        }
     }
 
     setMode(mode) {
@@ -131,31 +508,254 @@ class App {
 
         // Update control sections
         document.querySelectorAll('.control-section').forEach(section => {
-            section.classList.remove('active');
+            section.classList.toggle('active', section.id === mode + 'Controls');
         });
-        document.getElementById(mode + 'Controls').classList.add('active');
+
+        const { descriptor } = FilterRegistry.get(mode);
 
         // Update panel title
-        const titles = {
-            matrix: 'Matrix',
-            wakingLife: 'Waking Life',
-            archer: 'Archer'
-        };
-        document.getElementById('panelTitleText').textContent = titles[mode] + ' Settings';
+        document.getElementById('panelTitleText').textContent = descriptor.name + ' Settings';
 
-        // Update panel dot color
-        const colors = {
-            matrix: '#00ff41',
-            wakingLife: '#a855f7',
-            archer: '#dc2626'
-        };
-        document.getElementById('panelDot').style.background = colors[mode];
+        // Update accent colours
+        document.getElementById('panelDot').style.background = descriptor.color;
+        document.body.style.setProperty('--accent-current', descriptor.color);
+
+        this.renderPresetControls();
+        this.schedulePersist();
 
         // Clear canvas when switching
         this.ctx.fillStyle = '#000';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
     }
 
+    renderLayerControls() {
+        const list = document.getElementById('layerList');
+        list.innerHTML = '';
+
+        const makeSelect = (options, value, onChange) => {
+            const select = document.createElement('select');
+            select.className = 'layer-select';
+            for (const [optionValue, label] of Object.entries(options)) {
+                const option = document.createElement('option');
+                option.value = optionValue;
+                option.textContent = label;
+                select.appendChild(option);
+            }
+            select.value = value;
+            select.addEventListener('change', (e) => onChange(e.target.value));
+            return select;
+        };
+
+        const makeButton = (label, title, onClick) => {
+            const btn = document.createElement('button');
+            btn.className = 'layer-btn';
+            btn.textContent = label;
+            btn.title = title;
+            btn.addEventListener('click', onClick);
+            return btn;
+        };
+
+        this.layerStack.layers.forEach(layer => {
+            const { descriptor } = FilterRegistry.get(layer.filterId);
+
+            const item = document.createElement('div');
+            item.className = 'layer-item';
+
+            // Header: name and ordering
+            const header = document.createElement('div');
+            header.className = 'layer-row';
+
+            const name = document.createElement('span');
+            name.className = 'layer-name';
+            name.innerHTML = '<span class="dot"></span><span></span>';
+            name.firstChild.style.background = descriptor.color;
+            name.lastChild.textContent = descriptor.name;
+            header.appendChild(name);
+
+            header.appendChild(makeButton('↑', 'Move down the stack', () => {
+                this.layerStack.move(layer.id, -1);
+                this.renderLayerControls();
+            }));
+            header.appendChild(makeButton('↓', 'Move up the stack', () => {
+                this.layerStack.move(layer.id, 1);
+                this.renderLayerControls();
+            }));
+            header.appendChild(makeButton('×', 'Remove layer', () => {
+                this.layerStack.remove(layer.id);
+                this.renderLayerControls();
+            }));
+            item.appendChild(header);
+
+            // Blend mode and input
+            const options = document.createElement('div');
+            options.className = 'layer-row';
+            options.appendChild(makeSelect(
+                { normal: 'Normal', multiply: 'Multiply', screen: 'Screen', overlay: 'Overlay', add: 'Add' },
+                layer.blend,
+                (val) => { layer.blend = val; }
+            ));
+            options.appendChild(makeSelect(
+                { camera: 'Input: Camera', below: 'Input: Layers below' },
+                layer.source,
+                (val) => { layer.source = val; }
+            ));
+            item.appendChild(options);
+
+            // Limit the layer to one side of the person mask
+            const region = document.createElement('div');
+            region.className = 'layer-row';
+            region.appendChild(makeSelect(
+                { all: 'Region: Everywhere', person: 'Region: Person', background: 'Region: Background' },
+                layer.region,
+                (val) => { layer.region = val; }
+            ));
+            item.appendChild(region);
+
+            // Opacity
+            const opacity = document.createElement('input');
+            opacity.type = 'range';
+            opacity.min = 0;
+            opacity.max = 100;
+            opacity.value = Math.round(layer.opacity * 100);
+            opacity.title = 'Opacity';
+            opacity.addEventListener('input', (e) => {
+                layer.opacity = e.target.value / 100;
+            });
+            item.appendChild(opacity);
+
+            list.appendChild(item);
+        });
+    }
+
+    setSeed(seed) {
+        this.seed = String(seed).trim() || '1';
+        document.getElementById('seedInput').value = this.seed;
+        this.reseed();
+        this.schedulePersist();
+    }
+
+    // Restart every filter's random sequence from the current seed
+    reseed() {
+        for (const filter of Object.values(this.filters)) {
+            if (typeof filter.reseed === 'function') filter.reseed(this.seed);
+        }
+        this.layerStack.reseed(this.seed);
+        if (this.personFilter && typeof this.personFilter.reseed === 'function') this.personFilter.reseed(this.seed);
+        if (this.workerPipeline) this.workerPipeline.setSeed(this.seed);
+    }
+
+    // 'filter' and 'video' share the active filter's canvas; a filter id gets its own instance
+    setPersonMode(mode) {
+        this.personMode = mode;
+        this.personFilter = null;
+
+        const entry = FilterRegistry.get(mode);
+        if (entry) {
+            this.personFilter = new entry.FilterClass(this.personBuffer, this.source.element);
+            if (typeof this.personFilter.reseed === 'function') this.personFilter.reseed(this.seed);
+        }
+    }
+
+    get splitsPerson() {
+        return this.personMode !== 'filter' || this.backgroundMode !== 'filter';
+    }
+
+    // Save last-used settings and mirror the current look into the URL hash
+    schedulePersist() {
+        clearTimeout(this.persistTimer);
+        this.persistTimer = setTimeout(() => {
+            const settings = {};
+            for (const id of Object.keys(this.filters)) {
+                settings[id] = this.getSliderValues(id);
+            }
+            this.presets.saveLastUsed(this.mode, settings, this.seed);
+
+            const hash = PresetStore.encodeHash(this.mode, settings[this.mode], this.seed);
+            history.replaceState(null, '', hash);
+        }, 300);
+    }
+
+    renderPresetControls(selected = '') {
+        const select = document.getElementById('presetSelect');
+        select.innerHTML = '';
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Presets…';
+        select.appendChild(placeholder);
+
+        this.presets.list(this.mode).forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.name;
+            option.textContent = preset.name;
+            select.appendChild(option);
+        });
+
+        select.value = selected;
+    }
+
+    savePreset() {
+        const current = document.getElementById('presetSelect').value;
+        const name = prompt('Preset name', current || '');
+        if (!name || !name.trim()) return;
+
+        this.presets.save(this.mode, name.trim(), this.getSliderValues(this.mode));
+        this.renderPresetControls(name.trim());
+    }
+
+    renamePreset() {
+        const current = document.getElementById('presetSelect').value;
+        if (!current) return;
+
+        const name = prompt('Rename preset', current);
+        if (!name || !name.trim()) return;
+
+        this.presets.rename(this.mode, current, name.trim());
+        this.renderPresetControls(name.trim());
+    }
+
+    deletePreset() {
+        const current = document.getElementById('presetSelect').value;
+        if (!current || !confirm(`Delete preset "${current}"?`)) return;
+
+        this.presets.delete(this.mode, current);
+        this.renderPresetControls();
+    }
+
+    exportPresets() {
+        const blob = new Blob([this.presets.export()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'four-fingers-presets.json';
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async importPresets(file) {
+        try {
+            const count = this.presets.import(await file.text());
+            this.renderPresetControls();
+            alert(`Imported ${count} preset${count === 1 ? '' : 's'}.`);
+        } catch (err) {
+            console.error('Preset import error:', err);
+            alert('Could not import presets: ' + err.message);
+        }
+    }
+
+    async copyLink() {
+        const url = location.href.split('#')[0] + PresetStore.encodeHash(this.mode, this.getSliderValues(this.mode), this.seed);
+        history.replaceState(null, '', url);
+
+        try {
+            await navigator.clipboard.writeText(url);
+        } catch (err) {
+            prompt('Copy this link', url);
+        }
+    }
+
     toggleSettings(forceState) {
         const panel = document.getElementById('settingsPanel');
         const toggle = document.getElementById('settingsToggle');
@@ -170,17 +770,319 @@ class App {
         toggle.classList.toggle('visible', !this.settingsPanelOpen);
     }
 
-    async start() {
+    async toggleRecording() {
+        const btn = document.getElementById('recordBtn');
+        const status = document.getElementById('recordStatus');
+
+        if (this.recorder.isRecording) {
+            clearInterval(this.recordTimer);
+            this.recordTimer = null;
+            btn.classList.remove('recording');
+
+            const blob = await this.recorder.stop();
+            if (this.recordingUrl) URL.revokeObjectURL(this.recordingUrl);
+            this.recordingUrl = URL.createObjectURL(blob);
+
+            status.classList.remove('recording');
+            document.getElementById('recordSize').textContent = CanvasRecorder.formatSize(blob.size);
+            return;
+        }
+
+        if (!CanvasRecorder.isSupported()) {
+            alert('Recording is not supported in this browser.');
+            return;
+        }
+
+        try {
+            this.recorder.onDataAvailable = (size) => {
+                document.getElementById('recordSize').textContent = CanvasRecorder.formatSize(size);
+            };
+            this.recorder.start();
+        } catch (err) {
+            console.error('Recording error:', err);
+            return;
+        }
+
+        btn.classList.add('recording');
+        status.classList.add('visible', 'recording');
+        document.getElementById('recordTime').textContent = CanvasRecorder.formatTime(0);
+        document.getElementById('recordSize').textContent = CanvasRecorder.formatSize(0);
+
+        this.recordTimer = setInterval(() => {
+            document.getElementById('recordTime').textContent = CanvasRecorder.formatTime(this.recorder.getElapsed());
+        }, 250);
+    }
+
+    downloadRecording() {
+        if (!this.recordingUrl) return;
+
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const link = document.createElement('a');
+        link.href = this.recordingUrl;
+        link.download = `four-fingers-${stamp}.webm`;
+        link.click();
+    }
+
+    async takeSnapshot() {
+        if (!this.isRunning) return;
+
+        const btn = document.getElementById('snapshotBtn');
+        btn.classList.add('flash');
+        setTimeout(() => btn.classList.remove('flash'), 200);
+
+        try {
+            const blob = await SnapshotStore.capture(this.canvas);
+            await this.snapshots.add({
+                blob: blob,
+                filter: this.mode,
+                filterName: FilterRegistry.get(this.mode).descriptor.name,
+                settings: this.getSliderValues(this.mode),
+                seed: this.seed,
+                width: this.canvas.width,
+                height: this.canvas.height,
+                createdAt: Date.now()
+            });
+
+            if (this.galleryOpen) this.renderGallery();
+        } catch (err) {
+            console.error('Snapshot error:', err);
+        }
+    }
+
+    toggleGallery(forceState) {
+        if (typeof forceState === 'boolean') {
+            this.galleryOpen = forceState;
+        } else {
+            this.galleryOpen = !this.galleryOpen;
+        }
+
+        document.getElementById('galleryDrawer').classList.toggle('visible', this.galleryOpen);
+        if (this.galleryOpen) this.renderGallery();
+    }
+
+    async renderGallery() {
+        const list = document.getElementById('galleryList');
+
+        let items = [];
+        try {
+            items = await this.snapshots.list();
+        } catch (err) {
+            console.error('Gallery error:', err);
+        }
+
+        this.galleryUrls.forEach(url => URL.revokeObjectURL(url));
+        this.galleryUrls = [];
+        list.innerHTML = '';
+
+        if (items.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'gallery-empty';
+            empty.textContent = 'No snapshots yet';
+            list.appendChild(empty);
+            return;
+        }
+
+        items.forEach(item => {
+            const url = URL.createObjectURL(item.blob);
+            this.galleryUrls.push(url);
+
+            const card = document.createElement('div');
+            card.className = 'gallery-item';
+
+            const img = document.createElement('img');
+            img.src = url;
+            img.alt = item.filterName;
+            card.appendChild(img);
+
+            const meta = document.createElement('div');
+            meta.className = 'gallery-meta';
+            meta.textContent = `${item.filterName} · ${new Date(item.createdAt).toLocaleTimeString()}`;
+            meta.title = Object.entries(item.settings).map(([k, v]) => `${k}: ${v}`).join('\n');
+            card.appendChild(meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'gallery-actions';
+
+            const addAction = (label, handler) => {
+                const btn = document.createElement('button');
+                btn.textContent = label;
+                btn.addEventListener('click', handler);
+                actions.appendChild(btn);
+            };
+
+            addAction('Apply', () => {
+                this.setMode(item.filter);
+                this.applySliderValues(item.settings);
+                if (item.seed) this.setSeed(item.seed);
+            });
+            addAction('Download', () => this.downloadSnapshot(item, url));
+            addAction('Share', () => this.shareSnapshot(item, url));
+            addAction('Delete', async () => {
+                await this.snapshots.delete(item.id);
+                this.renderGallery();
+            });
+
+            card.appendChild(actions);
+            list.appendChild(card);
+        });
+    }
+
+    getSnapshotFilename(item) {
+        const stamp = new Date(item.createdAt).toISOString().replace(/[:.]/g, '-');
+        return `four-fingers-${item.filter}-${stamp}.png`;
+    }
+
+    downloadSnapshot(item, url) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.getSnapshotFilename(item);
+        link.click();
+    }
+
+    async shareSnapshot(item, url) {
+        const file = new File([item.blob], this.getSnapshotFilename(item), { type: 'image/png' });
+
+        // Fall back to a download where file sharing isn't available
+        if (!navigator.canShare || !navigator.canShare({ files: [file] })) {
+            this.downloadSnapshot(item, url);
+            return;
+        }
+
+        try {
+            await navigator.share({ files: [file], title: `Four Fingers - ${item.filterName}` });
+        } catch (err) {
+            if (err.name !== 'AbortError') console.error('Share error:', err);
+        }
+    }
+
+    openSourceFile(accept) {
+        const input = document.getElementById('sourceFileInput');
+        input.accept = accept;
+        input.click();
+    }
+
+    async loadSourceFile(file) {
+        if (!SourceManager.getFileType(file)) {
+            alert('Please choose a video or image file.');
+            return;
+        }
+
+        try {
+            await this.source.loadFile(file);
+        } catch (err) {
+            console.error('Source load error:', err);
+            alert('Could not open ' + file.name + '.');
+            return;
+        }
+
+        this.applySource();
+        if (!this.isRunning) this.start(false);
+    }
+
+    // Point every filter at the active source element
+    applySource() {
+        const element = this.source.element;
+        for (const filter of Object.values(this.filters)) {
+            filter.video = element;
+        }
+        this.layerStack.video = element;
+
+        document.getElementById('sourceSelect').value = this.source.type;
+        document.getElementById('cameraSelect').hidden = this.source.type !== 'camera';
+        document.getElementById('videoControls').classList.toggle('visible', this.source.type === 'video');
+        document.getElementById('loopToggle').checked = this.video.loop;
+        this.updateVideoControls();
+    }
+
+    updateVideoControls() {
+        if (this.source.type !== 'video') return;
+
+        const duration = this.video.duration || 0;
+        document.getElementById('playPauseBtn').textContent = this.video.paused ? 'Play' : 'Pause';
+        document.getElementById('seekSlider').value = duration ? (this.video.currentTime / duration) * 1000 : 0;
+        document.getElementById('videoTime').textContent =
+            `${SourceManager.formatTime(this.video.currentTime)} / ${SourceManager.formatTime(duration)}`;
+    }
+
+    // Render the whole video file frame by frame, independent of playback speed
+    async exportVideo() {
+        if (this.source.type !== 'video' || this.exporting) return;
+
+        if (!VideoExporter.isSupported()) {
+            alert('Offline export needs WebCodecs, which this browser does not support.');
+            return;
+        }
+
+        const modal = document.getElementById('exportModal');
+        const bar = document.getElementById('exportProgressBar');
+        const status = document.getElementById('exportStatus');
+        bar.style.width = '0%';
+        status.textContent = 'Detecting frame rate...';
+        modal.classList.add('visible');
+
+        this.exporting = true;
+        this.exporter = new VideoExporter(this.video, this.canvas);
+
+        try {
+            const frameRate = await this.exporter.detectFrameRate();
+
+            // Render at the video's native size; encoders want even dimensions. The finally
+            // block's resize() puts the window size back.
+            const { width, height } = getSourceSize(this.video);
+            this.setCanvasSize(width - (width % 2), height - (height % 2));
+            this.ctx.fillStyle = '#000';
+            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+            // Start every export from the same random state
+            this.reseed();
+
+            // Frames must land on the canvas synchronously, so never use the worker
+            const backend = this.getBackend(this.mode) === 'gpu' ? 'gpu' : 'main';
+
+            const blob = await this.exporter.export({
+                frameRate: frameRate,
+                renderFrame: (deltaMs) => this.renderFrame(backend, deltaMs),
+                onProgress: (progress) => {
+                    bar.style.width = `${(progress * 100).toFixed(1)}%`;
+                    status.textContent = `${Math.round(progress * 100)}% at ${frameRate} fps`;
+                }
+            });
+
+            if (blob) {
+                const name = this.source.fileName.replace(/\.[^.]+$/, '') || 'video';
+                const url = URL.createObjectURL(blob);
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = `four-fingers-export-${name}.webm`;
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+            }
+        } catch (err) {
+            console.error('Export error:', err);
+            alert('Export failed: ' + err.message);
+        } finally {
+            this.exporting = false;
+            this.exporter = null;
+            modal.classList.remove('visible');
+            this.resize();
+            this.updateVideoControls();
+        }
+    }
+
+    async start(useCamera = true) {
         // Hide start screen, show UI
         document.getElementById('startScreen').classList.add('hidden');
         document.getElementById('filterBar').classList.add('visible');
         document.getElementById('settingsToggle').classList.add('visible');
         document.getElementById('fullscreenBtn').classList.add('visible');
+        document.getElementById('recordBtn').classList.add('visible');
+        document.getElementById('snapshotBtn').classList.add('visible');
+        document.getElementById('galleryBtn').classList.add('visible');
 
-        await this.initCamera();
+        if (useCamera) await this.initCamera();
         this.resize();
         this.isRunning = true;
-        this.setMode('matrix');
+        this.setMode(this.mode);
         this.animate();
     }
 
@@ -208,15 +1110,14 @@ class App {
             }
         } catch (err) {
             console.error('Camera access error:', err);
-            alert('Could not access camera. Please ensure camera permissions are granted.');
+            alert('Could not access camera. Please ensure camera permissions are granted, or open a video or image file instead.');
         }
     }
 
     async switchCamera(deviceId) {
         try {
-            if (this.video.srcObject) {
-                this.video.srcObject.getTracks().forEach(track => track.stop());
-            }
+            this.source.stopCamera();
+            this.source.useCamera();
 
             const constraints = {
                 video: {
@@ -233,358 +1134,184 @@ class App {
                 this.video.onloadedmetadata = () => resolve();
             });
 
-            // Initialize matrix filter video dimensions
-            this.filters.matrix.videoWidth = this.video.videoWidth;
-            this.filters.matrix.videoHeight = this.video.videoHeight;
-            this.filters.matrix.videoCanvas.width = this.video.videoWidth;
-            this.filters.matrix.videoCanvas.height = this.video.videoHeight;
-            this.filters.matrix.initGrid();
-
+            this.applySource();
         } catch (err) {
             console.error('Camera switch error:', err);
         }
     }
 
     resize() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
-
-        // Update matrix filter
-        this.filters.matrix.canvas = this.canvas;
-        this.filters.matrix.ctx = this.ctx;
-        this.filters.matrix.initGrid();
-
-        // Update other filters
-        this.filters.wakingLife.canvas = this.canvas;
-        this.filters.wakingLife.ctx = this.ctx;
-
-        this.filters.archer.canvas = this.canvas;
-        this.filters.archer.ctx = this.ctx;
-    }
-
-    animate() {
-        if (!this.isRunning) return;
-
-        // Draw current filter
-        this.filters[this.mode].draw();
-
-        requestAnimationFrame(() => this.animate());
+        // Process at the scaled resolution; CSS stretches the canvas back to the window
+        const scale = this.renderScaler.scale;
+        this.setCanvasSize(
+            Math.max(1, Math.round(window.innerWidth * scale)),
+            Math.max(1, Math.round(window.innerHeight * scale))
+        );
     }
-}
 
-// Matrix Filter Class
-class MatrixFilter {
-    constructor(canvas, video) {
-        this.matrixChars = [
-            'ｦ', 'ｧ', 'ｨ', 'ｩ', 'ｪ', 'ｫ', 'ｬ', 'ｭ', 'ｮ', 'ｯ',
-            'ｰ', 'ｱ', 'ｲ', 'ｳ', 'ｴ', 'ｵ', 'ｶ', 'ｷ', 'ｸ', 'ｹ',
-            'ｺ', 'ｻ', 'ｼ', 'ｽ', 'ｾ', 'ｿ', 'ﾀ', 'ﾁ', 'ﾂ', 'ﾃ',
-            'ﾄ', 'ﾅ', 'ﾆ', 'ﾇ', 'ﾈ', 'ﾉ', 'ﾊ', 'ﾋ', 'ﾌ', 'ﾍ',
-            'ﾎ', 'ﾏ', 'ﾐ', 'ﾑ', 'ﾒ', 'ﾓ', 'ﾔ', 'ﾕ', 'ﾖ', 'ﾗ',
-            'ﾘ', 'ﾙ', 'ﾚ', 'ﾛ', 'ﾜ', 'ﾝ'
-        ];
-
-        this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
-        this.video = video;
-
-        this.videoCanvas = document.createElement('canvas');
-        this.videoCtx = this.videoCanvas.getContext('2d');
-
-        this.grid = [];
-        this.gridWidth = 0;
-        this.gridHeight = 0;
-
-        this.charSize = 12;
-        this.fallSpeed = 5;
-        this.brightnessSensitivity = 6;
-        this.explosionRate = 3;
-        this.contrast = 7;
-
-        this.explosions = [];
-        this.videoWidth = 0;
-        this.videoHeight = 0;
-        this.brightnessData = null;
-        this.streams = [];
-    }
-
-    initGrid() {
-        if (!this.canvas.width) return;
-
-        this.gridWidth = Math.ceil(this.canvas.width / this.charSize);
-        this.gridHeight = Math.ceil(this.canvas.height / this.charSize);
-
-        this.grid = [];
-        for (let x = 0; x < this.gridWidth; x++) {
-            this.grid[x] = [];
-            for (let y = 0; y < this.gridHeight; y++) {
-                this.grid[x][y] = {
-                    char: this.getRandomChar(),
-                    brightness: 0,
-                    targetBrightness: 0,
-                    changeTimer: Math.random() * 100
-                };
-            }
-        }
+    // Every change of the output canvas size goes through here
+    setCanvasSize(width, height) {
+        this.canvas.width = width;
+        this.canvas.height = height;
 
-        this.streams = [];
-        for (let x = 0; x < this.gridWidth; x++) {
-            this.streams.push({
-                x: x,
-                y: Math.random() * this.gridHeight,
-                speed: 0.3 + Math.random() * 0.4,
-                length: 5 + Math.floor(Math.random() * 15)
-            });
+        // Filters read the canvas size each frame; let any that cache it rebuild now
+        for (const filter of Object.values(this.filters)) {
+            filter.canvas = this.canvas;
+            filter.ctx = this.ctx;
+            if (typeof filter.resize === 'function') filter.resize(this.canvas.width, this.canvas.height);
         }
     }
 
-    getRandomChar() {
-        return this.matrixChars[Math.floor(Math.random() * this.matrixChars.length)];
-    }
-
-    processVideoFrame() {
-        if (!this.video.videoWidth || !this.videoCanvas.width) return;
+    // Pick the backend for a filter, falling back GPU -> worker -> main thread
+    getBackend(mode, filter = this.filters[mode]) {
+        const gpuReady = this.glRenderer && this.glRenderer.supports(mode, filter);
+        // Worker frames land asynchronously, so they can't sit under a layer stack or person cut-out
+        const workerReady = this.workerPipeline && !this.workerPipeline.failed &&
+            this.layerStack.length === 0 && !this.splitsPerson;
 
-        this.videoCtx.save();
-        this.videoCtx.scale(-1, 1);
-        this.videoCtx.drawImage(this.video, -this.videoWidth, 0, this.videoWidth, this.videoHeight);
-        this.videoCtx.restore();
-
-        const imageData = this.videoCtx.getImageData(0, 0, this.videoWidth, this.videoHeight);
-        this.brightnessData = imageData.data;
+        if ((this.backend === 'auto' || this.backend === 'gpu') && gpuReady) return 'gpu';
+        if (this.backend !== 'main' && workerReady) return 'worker';
+        return 'main';
     }
 
-    getBrightnessAt(gridX, gridY) {
-        if (!this.brightnessData) return 0;
-
-        const vx = Math.floor((gridX / this.gridWidth) * this.videoWidth);
-        const vy = Math.floor((gridY / this.gridHeight) * this.videoHeight);
-
-        let total = 0;
-        let samples = 0;
-        const sampleRadius = 2;
+    updateStats(backend) {
+        const labels = { gpu: 'GPU', worker: 'Worker', main: 'Main thread' };
+        const scaler = this.renderScaler;
 
-        for (let dx = -sampleRadius; dx <= sampleRadius; dx++) {
-            for (let dy = -sampleRadius; dy <= sampleRadius; dy++) {
-                const px = Math.max(0, Math.min(this.videoWidth - 1, vx + dx));
-                const py = Math.max(0, Math.min(this.videoHeight - 1, vy + dy));
-                const idx = (py * this.videoWidth + px) * 4;
-
-                const r = this.brightnessData[idx];
-                const g = this.brightnessData[idx + 1];
-                const b = this.brightnessData[idx + 2];
-                total += (r * 0.299 + g * 0.587 + b * 0.114) / 255;
-                samples++;
-            }
-        }
-
-        let brightness = total / samples;
-
-        const contrastFactor = this.contrast / 5;
-        brightness = (brightness - 0.5) * contrastFactor + 0.5;
-        brightness = Math.max(0, Math.min(1, brightness));
-        brightness = Math.pow(brightness, 2 - (this.brightnessSensitivity / 5));
-
-        return brightness;
+        document.getElementById('statsFps').textContent = scaler.fps.toFixed(0) +
+            (scaler.targetFps ? ` / ${scaler.targetFps}` : '');
+        document.getElementById('statsScale').textContent = Math.round(scaler.scale * 100) + '%';
+        document.getElementById('statsSize').textContent = `${this.canvas.width}×${this.canvas.height}`;
+        document.getElementById('statsBackend').textContent = labels[backend];
     }
 
-    updateGrid() {
-        for (let x = 0; x < this.gridWidth; x++) {
-            for (let y = 0; y < this.gridHeight; y++) {
-                const cell = this.grid[x][y];
-                cell.targetBrightness = this.getBrightnessAt(x, y);
-                cell.brightness += (cell.targetBrightness - cell.brightness) * 0.3;
-
-                cell.changeTimer -= 1 + cell.brightness * 2;
-                if (cell.changeTimer <= 0) {
-                    cell.char = this.getRandomChar();
-                    cell.changeTimer = 20 + Math.random() * 80;
-                }
-            }
+    // Draws one processed frame; the worker backend only runs for real-time playback
+    renderFrame(backend, deltaMs = 16) {
+        const split = this.splitsPerson;
+        if (split || this.layerStack.usesMask) {
+            if (!this.segmenter.modelLoading) this.segmenter.loadModel();
+            this.segmenter.update(this.source.element);
         }
-    }
-
-    updateStreams() {
-        for (const stream of this.streams) {
-            let avgBrightness = 0;
-            for (let y = 0; y < this.gridHeight; y++) {
-                avgBrightness += this.grid[stream.x][y].brightness;
-            }
-            avgBrightness /= this.gridHeight;
 
-            const speedMod = 0.5 + avgBrightness * 1.5;
-            stream.y += stream.speed * (this.fallSpeed / 5) * speedMod;
+        if (split) {
+            this.drawSplit(backend, deltaMs);
+        } else {
+            this.drawActiveFilter(backend, deltaMs);
+        }
 
-            if (stream.y - stream.length > this.gridHeight) {
-                stream.y = -stream.length;
-                stream.speed = 0.3 + Math.random() * 0.4;
-                stream.length = 5 + Math.floor(Math.random() * 15);
-            }
+        // Composite the layer stack on top
+        if (this.layerStack.length > 0) {
+            this.layerStack.render(
+                (id) => FilterRegistry.getSettings(id, this.filters[id]),
+                (id, layerFilter) => this.drawExtraFilter(id, layerFilter, deltaMs),
+                this.segmenter.mask
+            );
         }
     }
 
-    checkForExplosions() {
-        if (this.explosionRate === 0) return;
-
-        for (let x = 0; x < this.gridWidth; x += 8) {
-            for (let y = 0; y < this.gridHeight; y += 8) {
-                const brightness = this.grid[x][y].brightness;
+    drawActiveFilter(backend, deltaMs) {
+        const filter = this.filters[this.mode];
 
-                if (brightness > 0.85 && Math.random() < (this.explosionRate / 3000) * brightness) {
-                    this.createExplosion(
-                        x * this.charSize + this.charSize / 2,
-                        y * this.charSize + this.charSize / 2,
-                        brightness
-                    );
-                }
-            }
+        if (backend === 'gpu') {
+            // A frame the GPU couldn't draw is drawn on the main thread instead
+            if (!this.glRenderer.draw(this.mode, filter, deltaMs)) filter.draw(deltaMs);
+        } else if (backend === 'worker') {
+            this.workerPipeline.submit(this.mode, filter, this.source.element, deltaMs);
+        } else {
+            filter.draw(deltaMs);
         }
     }
 
-    createExplosion(x, y, intensity) {
-        const sizeMultiplier = 0.15 + Math.random() * 0.1;
-        const spreadX = this.canvas.width * sizeMultiplier;
-        const spreadY = this.canvas.height * sizeMultiplier;
-        const particleCount = 15 + Math.floor(intensity * 30);
-
-        for (let i = 0; i < particleCount; i++) {
-            const isStationary = Math.random() < 0.4;
-            const vx = isStationary ? 0 : (Math.random() - 0.5) * 0.3;
-            const vy = isStationary ? 0 : (Math.random() - 0.5) * 0.3;
-            const offsetX = (Math.random() - 0.5) * spreadX;
-            const offsetY = (Math.random() - 0.5) * spreadY;
-
-            this.explosions.push({
-                x: x + offsetX,
-                y: y + offsetY,
-                vx: vx,
-                vy: vy,
-                life: 1,
-                decay: 0.006 + Math.random() * 0.01,
-                char: this.getRandomChar(),
-                isWhite: Math.random() < 0.5,
-                hasGravity: Math.random() < 0.3
-            });
+    // Layer and person filters draw into their own canvases, on the GPU where they can
+    drawExtraFilter(id, filter, deltaMs) {
+        if (this.getBackend(id, filter) === 'gpu') {
+            if (!this.glRenderer.draw(id, filter, deltaMs)) filter.draw(deltaMs);
+        } else {
+            filter.draw(deltaMs);
         }
     }
 
-    updateExplosions() {
-        for (let i = this.explosions.length - 1; i >= 0; i--) {
-            const p = this.explosions[i];
-
-            p.x += p.vx;
-            p.y += p.vy;
-
-            if (p.hasGravity) {
-                p.vy += 0.02;
-            }
-
-            p.life -= p.decay;
-
-            if (Math.random() < 0.05) {
-                p.char = this.getRandomChar();
-            }
-
-            if (p.life <= 0) {
-                this.explosions.splice(i, 1);
-            }
+    // Person and background drawn separately, then joined through the segmentation mask
+    drawSplit(backend, deltaMs) {
+        const { width, height } = this.canvas;
+        const buffer = this.personBuffer;
+        if (buffer.width !== width || buffer.height !== height) {
+            buffer.width = width;
+            buffer.height = height;
         }
-
-        if (this.explosions.length > 500) {
-            this.explosions.splice(0, this.explosions.length - 500);
+        const bufferCtx = buffer.getContext('2d');
+
+        // Person first: the active filter may be needed on both sides, and it draws on the main canvas
+        if (this.personMode === 'filter') {
+            this.drawActiveFilter(backend, deltaMs);
+            bufferCtx.clearRect(0, 0, width, height);
+            bufferCtx.drawImage(this.canvas, 0, 0);
+        } else if (this.personFilter) {
+            Object.assign(this.personFilter, FilterRegistry.getSettings(this.personMode, this.filters[this.personMode]));
+            this.personFilter.video = this.source.element;
+            this.drawExtraFilter(this.personMode, this.personFilter, deltaMs);
+        } else {
+            this.drawMirroredSource(bufferCtx, width, height);
         }
-    }
-
-    draw() {
-        this.processVideoFrame();
-        this.updateGrid();
-        this.updateStreams();
-        this.checkForExplosions();
-        this.updateExplosions();
 
-        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.1)';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-
-        this.ctx.font = `${this.charSize}px "MS Gothic", "Hiragino Kaku Gothic Pro", monospace`;
-        this.ctx.textBaseline = 'top';
-
-        for (let x = 0; x < this.gridWidth; x++) {
-            for (let y = 0; y < this.gridHeight; y++) {
-                const cell = this.grid[x][y];
-                const brightness = cell.brightness;
-
-                if (brightness < 0.05) continue;
-
-                let isLeading = false;
-                for (const stream of this.streams) {
-                    if (stream.x === x) {
-                        const distFromHead = stream.y - y;
-                        if (distFromHead >= 0 && distFromHead < 1) {
-                            isLeading = true;
-                            break;
-                        }
-                    }
-                }
+        if (this.backgroundMode === 'filter') {
+            this.drawActiveFilter(backend, deltaMs);
+        } else if (this.backgroundMode === 'blur') {
+            // Shrinking and stretching back is a cheap, strong blur that works everywhere
+            this.blurCanvas.width = Math.max(1, Math.round(width / 32));
+            this.blurCanvas.height = Math.max(1, Math.round(height / 32));
+            this.drawMirroredSource(this.blurCanvas.getContext('2d'), this.blurCanvas.width, this.blurCanvas.height);
+            this.ctx.imageSmoothingEnabled = true;
+            this.ctx.drawImage(this.blurCanvas, 0, 0, width, height);
+        } else if (this.backgroundMode === 'video') {
+            this.drawMirroredSource(this.ctx, width, height);
+        } else {
+            this.ctx.fillStyle = '#000';
+            this.ctx.fillRect(0, 0, width, height);
+        }
 
-                let r, g, b, alpha;
-
-                if (isLeading && brightness > 0.3) {
-                    r = 180 + brightness * 75;
-                    g = 255;
-                    b = 180 + brightness * 75;
-                    alpha = 0.9 + brightness * 0.1;
-                    this.ctx.shadowColor = `rgba(200, 255, 200, 0.8)`;
-                    this.ctx.shadowBlur = 12;
-                } else {
-                    r = 0;
-                    g = Math.floor(80 + brightness * 175);
-                    b = 0;
-                    alpha = 0.3 + brightness * 0.7;
-                    this.ctx.shadowColor = `rgba(0, ${g}, 0, 0.5)`;
-                    this.ctx.shadowBlur = brightness > 0.5 ? 8 : 3;
-                }
+        bufferCtx.save();
+        bufferCtx.globalCompositeOperation = 'destination-in';
+        bufferCtx.drawImage(this.segmenter.mask, 0, 0, width, height);
+        bufferCtx.restore();
+        this.ctx.drawImage(buffer, 0, 0);
+    }
 
-                this.ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    // The source stretched over a canvas and mirrored, as the filters show it
+    drawMirroredSource(ctx, width, height) {
+        ctx.save();
+        ctx.setTransform(-1, 0, 0, 1, width, 0);
+        ctx.drawImage(this.source.element, 0, 0, width, height);
+        ctx.restore();
+    }
 
-                const drawX = x * this.charSize;
-                const drawY = y * this.charSize;
+    animate() {
+        if (!this.isRunning) return;
 
-                this.ctx.save();
-                this.ctx.translate(drawX + this.charSize / 2, drawY);
-                this.ctx.scale(-1, 1);
-                this.ctx.fillText(cell.char, -this.charSize / 2, 0);
-                this.ctx.restore();
-            }
+        // The exporter drives rendering itself while it runs
+        if (this.exporting) {
+            requestAnimationFrame(() => this.animate());
+            return;
         }
 
-        this.ctx.shadowBlur = 0;
-        this.drawExplosions();
-    }
-
-    drawExplosions() {
-        for (const p of this.explosions) {
-            const alpha = p.life;
+        const backend = this.getBackend(this.mode);
+        this.renderFrame(backend);
 
-            if (p.isWhite) {
-                this.ctx.fillStyle = `rgba(200, 255, 200, ${alpha})`;
-                this.ctx.shadowColor = 'rgba(200, 255, 200, 0.8)';
-                this.ctx.shadowBlur = 6;
-            } else {
-                this.ctx.fillStyle = `rgba(0, 255, 0, ${alpha})`;
-                this.ctx.shadowColor = 'rgba(0, 255, 0, 0.6)';
-                this.ctx.shadowBlur = 4;
-            }
+        // Worker frames are counted when they come back
+        if (backend !== 'worker') {
+            this.renderScaler.recordFrame();
+        }
 
-            this.ctx.font = `${this.charSize}px "MS Gothic", monospace`;
+        if (this.renderScaler.update()) {
+            this.resize();
+        }
 
-            this.ctx.save();
-            this.ctx.translate(p.x, p.y);
-            this.ctx.scale(-1, 1);
-            this.ctx.fillText(p.char, 0, 0);
-            this.ctx.restore();
+        if (this.showStats && this.statsSampleTime !== this.renderScaler.lastSample) {
+            this.statsSampleTime = this.renderScaler.lastSample;
+            this.updateStats(backend);
         }
 
-        this.ctx.shadowBlur = 0;
+        requestAnimationFrame(() => this.animate());
     }
 }
 
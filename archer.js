@@ -1,5 +1,47 @@
 // Archer Filter - Cell-shaded animation style
-// Replicates the bold outlines, flat colors, and mid-century modern aesthetic
+// Replicates the bold outlines, flat colors, and mid-century modern aesthetic.
+// The frame is smoothed without blurring edges, clustered into a small palette in CIELAB,
+// and every pixel takes its cluster's flat colour in one of two or three shading bands.
+// Outlines are traced into vector curves and inked as brush-like ribbons
+
+// Palette clustering works on the frame shrunk to this width
+const ARCHER_SAMPLE_WIDTH = 64;
+
+// k-means passes from a cold start, and per frame once a palette is locked in
+const ARCHER_COLD_ITERATIONS = 10;
+const ARCHER_WARM_ITERATIONS = 3;
+
+// A pixel leaves its cluster's base band once its lightness is this many standard deviations
+// from the cluster mean, and never closer than ARCHER_BAND_MIN (CIELAB L units)
+const ARCHER_BAND_SPREAD = 0.6;
+const ARCHER_BAND_MIN = 4;
+
+// Bilateral smoothing weight by summed RGB difference (0-765)
+const ARCHER_RANGE_WEIGHTS = Float32Array.from({ length: 766 }, (_, d) => {
+    const diff = d / 3;
+    return Math.exp(-(diff * diff) / (2 * 20 * 20));
+});
+
+// sRGB channel to linear light
+const ARCHER_LINEAR = Float32Array.from({ length: 256 }, (_, v) => {
+    const c = v / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+});
+
+// Outlines are traced on the frame shrunk by this factor
+const ARCHER_TRACE_SCALE = 0.5;
+
+// At full stability a palette colour holds until its cluster drifts this far (CIELAB units)
+const ARCHER_PALETTE_HOLD = 2;
+
+// Line boil: noise lattice cells per canvas pixel and per ms, and how far (px) a line shifts
+// sideways at full boil; its width swings by up to half
+const ARCHER_BOIL_SCALE = 1 / 40;
+const ARCHER_BOIL_RATE = 0.002;
+const ARCHER_BOIL_SHIFT = 1.5;
+
+// CIELAB of each 5-bit RGB bin, filled on first use
+let archerLabGrid = null;
 
 class ArcherFilter {
     constructor(canvas, video) {
@@ -8,26 +50,391 @@ class ArcherFilter {
         this.video = video;
 
         // Processing canvases
-        this.videoCanvas = document.createElement('canvas');
+        this.videoCanvas = createCanvas();
         this.videoCtx = this.videoCanvas.getContext('2d', { willReadFrequently: true });
+        this.sampleCanvas = createCanvas();
+        this.sampleCtx = this.sampleCanvas.getContext('2d', { willReadFrequently: true });
+        this.traceCanvas = createCanvas();
+        this.traceCtx = this.traceCanvas.getContext('2d', { willReadFrequently: true });
 
         // Settings
         this.edgeThickness = 3;
         this.colorLevels = 6;
+        this.smoothing = 2;
+        this.toneBands = 3;
         this.shadowIntensity = 5;
         this.highlightBoost = 5;
         this.saturationBoost = 6;
+        this.paletteLock = 0.7;
+        this.stability = 0;
+        this.frameBlend = 0;
+        // Raster edge darkening under the vector outlines, from before they were traced; off
+        // unless asked for, as the outlines already cover it
+        this.rasterEdges = 'off';
+        // How much the outlines wobble over time like redrawn animation lines, 0-1
+        this.lineBoil = 0;
+
+        // Palette: CIELAB centroids and each cluster's lightness spread
+        this.palette = null;
+        this.paletteSpread = null;
+
+        // Output colour for every 5-bit RGB bin (RGBA, 32768 entries), rebuilt with the palette;
+        // the GL backend uploads it as a 1024x32 texture
+        this.toneTable = new Uint8Array(32768 * 4);
+
+        // Vector outlines of the last traced frame
+        this.tracer = new OutlineTracer();
+        this.outlines = [];
+        // Luminance the tracer sees, averaged over time in still areas while stabilizing
+        this.traceLum = null;
+        // Which frame this.outlines belong to (see frameKey()), null until one is traced here
+        this.tracedFrame = null;
+
+        // Anti-flicker: colour dead band, outline persistence and blending with the previous frame
+        this.motion = new MotionDetector(16);
+        this.stabilizer = new TemporalStabilizer();
+
+        // Line boil animates over this clock (ms), through a noise field seeded from the generator
+        this.time = 0;
+        this.random = new SeededRandom(1);
+        this.boilNoise = new GradientNoise();
+        this.seedNoise();
+
+        // Smoothing buffers (RGB)
+        this.smoothA = null;
+        this.smoothB = null;
 
         // Edge detection kernels
         this.sobelX = [[-1, 0, 1], [-2, 0, 2], [-1, 0, 1]];
         this.sobelY = [[-1, -2, -1], [0, 0, 0], [1, 2, 1]];
     }
 
-    draw() {
-        if (!this.video.videoWidth) return;
+    // Forgetting the palette and history lets a reseeded export start from scratch
+    reseed(seed) {
+        this.random.setSeed(seed);
+        this.seedNoise();
+        this.time = 0;
+        this.palette = null;
+        this.paletteSpread = null;
+        this.motion.reset();
+        this.stabilizer.reset();
+        this.tracer.reset();
+        this.traceLum = null;
+        this.tracedFrame = null;
+    }
+
+    // The boil noise takes its seed from the filter's generator
+    seedNoise() {
+        this.boilNoise.setSeed(this.random.int(0x100000000));
+    }
+
+    static rgbToLab(r, g, b, out, offset = 0) {
+        const lr = ARCHER_LINEAR[r];
+        const lg = ARCHER_LINEAR[g];
+        const lb = ARCHER_LINEAR[b];
+
+        // D65 white
+        const fx = ArcherFilter.labF((0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047);
+        const fy = ArcherFilter.labF(0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb);
+        const fz = ArcherFilter.labF((0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / 1.08883);
+
+        out[offset] = 116 * fy - 16;
+        out[offset + 1] = 500 * (fx - fy);
+        out[offset + 2] = 200 * (fy - fz);
+    }
+
+    static labF(t) {
+        return t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116;
+    }
+
+    // Out-of-gamut colours are clamped per channel
+    static labToRgb(l, a, b, out, offset = 0) {
+        const fy = (l + 16) / 116;
+        const fx = fy + a / 500;
+        const fz = fy - b / 200;
+        const inv = t => (t * t * t > 0.008856 ? t * t * t : (t - 16 / 116) / 7.787);
+
+        const x = 0.95047 * inv(fx);
+        const y = inv(fy);
+        const z = 1.08883 * inv(fz);
+
+        const linear = [
+            3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+            -0.9692660 * x + 1.8760108 * y + 0.0415560 * z,
+            0.0556434 * x - 0.2040259 * y + 1.0572252 * z
+        ];
+        for (let c = 0; c < 3; c++) {
+            const v = Math.max(0, Math.min(1, linear[c]));
+            const srgb = v <= 0.0031308 ? 12.92 * v : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+            out[offset + c] = Math.round(srgb * 255);
+        }
+    }
+
+    // Bin index: 5 bits each of R, G and B
+    static getLabGrid() {
+        if (archerLabGrid) return archerLabGrid;
+
+        archerLabGrid = new Float32Array(32768 * 3);
+        for (let i = 0; i < 32768; i++) {
+            // Centre of the bin
+            const r = (i & 31) * 8 + 4;
+            const g = ((i >> 5) & 31) * 8 + 4;
+            const b = (i >> 10) * 8 + 4;
+            ArcherFilter.rgbToLab(r, g, b, archerLabGrid, i * 3);
+        }
+        return archerLabGrid;
+    }
+
+    // Cluster a shrunken copy of the frame and rebuild the tone table.
+    // Shared by the CPU path and the GL backend.
+    updatePalette() {
+        const size = getSourceSize(this.video);
+        if (!size.width || !size.height) return;
+
+        const sw = ARCHER_SAMPLE_WIDTH;
+        const sh = Math.max(1, Math.round(sw * size.height / size.width));
+        if (this.sampleCanvas.width !== sw || this.sampleCanvas.height !== sh) {
+            this.sampleCanvas.width = sw;
+            this.sampleCanvas.height = sh;
+        }
+        this.sampleCtx.drawImage(this.video, 0, 0, sw, sh);
+        const data = this.sampleCtx.getImageData(0, 0, sw, sh).data;
+
+        const count = sw * sh;
+        const samples = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            ArcherFilter.rgbToLab(data[i * 4], data[i * 4 + 1], data[i * 4 + 2], samples, i * 3);
+        }
+
+        this.clusterPalette(samples, count);
+        this.buildToneTable();
+    }
+
+    // k-means in CIELAB, warm-started from the previous palette so clusters keep their identity
+    // between frames; paletteLock then holds each centroid near where it was
+    clusterPalette(samples, count) {
+        const k = Math.max(2, Math.round(this.colorLevels));
+        const warm = this.palette !== null && this.palette.length === k * 3;
+        const centroids = warm ? Float32Array.from(this.palette) : this.seedPalette(samples, count, k);
+
+        const assignment = new Uint8Array(count);
+        const sums = new Float64Array(k * 4);
+        const iterations = warm ? ARCHER_WARM_ITERATIONS : ARCHER_COLD_ITERATIONS;
+
+        for (let iter = 0; iter < iterations; iter++) {
+            sums.fill(0);
+            for (let i = 0; i < count; i++) {
+                const c = this.nearestCentroid(centroids, k, samples[i * 3], samples[i * 3 + 1], samples[i * 3 + 2]);
+                assignment[i] = c;
+                sums[c * 4] += samples[i * 3];
+                sums[c * 4 + 1] += samples[i * 3 + 1];
+                sums[c * 4 + 2] += samples[i * 3 + 2];
+                sums[c * 4 + 3]++;
+            }
+
+            // Empty clusters keep their old centroid
+            for (let c = 0; c < k; c++) {
+                const n = sums[c * 4 + 3];
+                if (n === 0) continue;
+                centroids[c * 3] = sums[c * 4] / n;
+                centroids[c * 3 + 1] = sums[c * 4 + 1] / n;
+                centroids[c * 3 + 2] = sums[c * 4 + 2] / n;
+            }
+        }
+
+        if (warm) {
+            const lock = this.paletteLock;
+            for (let i = 0; i < k * 3; i++) {
+                centroids[i] = this.palette[i] * lock + centroids[i] * (1 - lock);
+            }
+        }
+
+        // Stabilizing: a colour that has barely moved keeps its exact old value, so the tone
+        // table doesn't shift by a shade every frame with the noise
+        const held = new Uint8Array(k);
+        if (warm && this.stability > 0) {
+            const hold = ARCHER_PALETTE_HOLD * this.stability;
+            for (let c = 0; c < k; c++) {
+                const dl = centroids[c * 3] - this.palette[c * 3];
+                const da = centroids[c * 3 + 1] - this.palette[c * 3 + 1];
+                const db = centroids[c * 3 + 2] - this.palette[c * 3 + 2];
+                if (dl * dl + da * da + db * db > hold * hold) continue;
+                centroids[c * 3] = this.palette[c * 3];
+                centroids[c * 3 + 1] = this.palette[c * 3 + 1];
+                centroids[c * 3 + 2] = this.palette[c * 3 + 2];
+                held[c] = 1;
+            }
+        }
+
+        // Lightness spread of each cluster sets where its shading bands split
+        const spread = new Float32Array(k);
+        const counts = new Uint32Array(k);
+        for (let i = 0; i < count; i++) {
+            const c = assignment[i];
+            const d = samples[i * 3] - centroids[c * 3];
+            spread[c] += d * d;
+            counts[c]++;
+        }
+        for (let c = 0; c < k; c++) {
+            spread[c] = held[c] ? this.paletteSpread[c] : counts[c] ? Math.sqrt(spread[c] / counts[c]) : 0;
+        }
+
+        this.palette = centroids;
+        this.paletteSpread = spread;
+    }
+
+    // Cold start, farthest-point style: begin at the median lightness, then keep adding the sample
+    // farthest from every centroid so far, so small but distinct regions get a colour of their own
+    seedPalette(samples, count, k) {
+        const order = Array.from({ length: count }, (_, i) => i);
+        order.sort((a, b) => samples[a * 3] - samples[b * 3]);
+
+        const centroids = new Float32Array(k * 3);
+        const nearest = new Float32Array(count).fill(Infinity);
+        let pick = order[Math.floor(count / 2)];
+
+        for (let c = 0; c < k; c++) {
+            centroids[c * 3] = samples[pick * 3];
+            centroids[c * 3 + 1] = samples[pick * 3 + 1];
+            centroids[c * 3 + 2] = samples[pick * 3 + 2];
+
+            let farthest = 0;
+            for (let i = 0; i < count; i++) {
+                const dl = samples[i * 3] - centroids[c * 3];
+                const da = samples[i * 3 + 1] - centroids[c * 3 + 1];
+                const db = samples[i * 3 + 2] - centroids[c * 3 + 2];
+                nearest[i] = Math.min(nearest[i], dl * dl + da * da + db * db);
+                if (nearest[i] > nearest[farthest]) farthest = i;
+            }
+            pick = farthest;
+        }
+        return centroids;
+    }
+
+    nearestCentroid(centroids, k, l, a, b) {
+        let best = 0;
+        let bestDist = Infinity;
+        for (let c = 0; c < k; c++) {
+            const dl = l - centroids[c * 3];
+            const da = a - centroids[c * 3 + 1];
+            const db = b - centroids[c * 3 + 2];
+            const dist = dl * dl + da * da + db * db;
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = c;
+            }
+        }
+        return best;
+    }
+
+    // Map every RGB bin to its cluster's shadow, base or highlight colour
+    buildToneTable() {
+        const k = this.palette.length / 3;
+        const satMult = 1 + (this.saturationBoost - 5) * 0.15;
+        const shadowMult = 1 - this.shadowIntensity * 0.06;
+        const highlightMix = this.highlightBoost * 0.06;
+
+        // RGB for shadow, base and highlight of each cluster
+        const tones = new Uint8Array(k * 9);
+        for (let c = 0; c < k; c++) {
+            const l = this.palette[c * 3];
+            const a = this.palette[c * 3 + 1] * satMult;
+            const b = this.palette[c * 3 + 2] * satMult;
+            ArcherFilter.labToRgb(l * shadowMult, a, b, tones, c * 9);
+            ArcherFilter.labToRgb(l, a, b, tones, c * 9 + 3);
+            ArcherFilter.labToRgb(l + (100 - l) * highlightMix, a, b, tones, c * 9 + 6);
+        }
+
+        const grid = ArcherFilter.getLabGrid();
+        const table = this.toneTable;
+        const bands = Math.round(this.toneBands);
+
+        for (let i = 0; i < 32768; i++) {
+            const l = grid[i * 3];
+            const c = this.nearestCentroid(this.palette, k, l, grid[i * 3 + 1], grid[i * 3 + 2]);
+            const threshold = Math.max(ARCHER_BAND_MIN, this.paletteSpread[c] * ARCHER_BAND_SPREAD);
+            const offset = this.palette[c * 3] - l;
+
+            let band = 1;
+            if (offset > threshold) band = 0;
+            else if (bands >= 3 && -offset > threshold) band = 2;
+
+            const t = c * 9 + band * 3;
+            table[i * 4] = tones[t];
+            table[i * 4 + 1] = tones[t + 1];
+            table[i * 4 + 2] = tones[t + 2];
+            table[i * 4 + 3] = 255;
+        }
+    }
+
+    // Separable bilateral filter: averages neighbours of similar colour, leaving edges sharp
+    smooth(src, width, height) {
+        const size = width * height * 3;
+        if (!this.smoothA || this.smoothA.length !== size) {
+            this.smoothA = new Uint8ClampedArray(size);
+            this.smoothB = new Uint8ClampedArray(size);
+        }
+        const out = this.smoothA;
+        const tmp = this.smoothB;
+
+        for (let p = 0, i = 0; p < width * height; p++, i += 4) {
+            out[p * 3] = src[i];
+            out[p * 3 + 1] = src[i + 1];
+            out[p * 3 + 2] = src[i + 2];
+        }
+
+        const radius = Math.round(this.smoothing);
+        if (radius <= 0) return out;
+
+        this.bilateralPass(out, tmp, width, height, radius, true);
+        this.bilateralPass(tmp, out, width, height, radius, false);
+        return out;
+    }
+
+    // One 1D pass along x (horizontal) or y (vertical)
+    bilateralPass(input, output, width, height, radius, horizontal) {
+        const step = horizontal ? 3 : width * 3;
+        const length = horizontal ? width : height;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const idx = (y * width + x) * 3;
+                const pos = horizontal ? x : y;
+                const r = input[idx];
+                const g = input[idx + 1];
+                const b = input[idx + 2];
+
+                let sumR = 0, sumG = 0, sumB = 0, total = 0;
+                for (let d = -radius; d <= radius; d++) {
+                    // Clamp at the frame border
+                    const offset = Math.min(length - 1, Math.max(0, pos + d)) - pos;
+                    const sidx = idx + offset * step;
+                    const nr = input[sidx];
+                    const ng = input[sidx + 1];
+                    const nb = input[sidx + 2];
+
+                    const w = ARCHER_RANGE_WEIGHTS[Math.abs(nr - r) + Math.abs(ng - g) + Math.abs(nb - b)];
+                    sumR += nr * w;
+                    sumG += ng * w;
+                    sumB += nb * w;
+                    total += w;
+                }
+
+                output[idx] = sumR / total;
+                output[idx + 1] = sumG / total;
+                output[idx + 2] = sumB / total;
+            }
+        }
+    }
+
+    // deltaMs advances the line boil; offline export passes the source frame interval
+    draw(deltaMs = 16) {
+        if (!getSourceSize(this.video).width) return;
+        this.time += deltaMs;
 
         const width = this.canvas.width;
         const height = this.canvas.height;
+        if (width === 0 || height === 0) return;
 
         // Resize processing canvas if needed
         if (this.videoCanvas.width !== width || this.videoCanvas.height !== height) {
@@ -45,173 +452,293 @@ class ArcherFilter {
         const imageData = this.videoCtx.getImageData(0, 0, width, height);
         const src = imageData.data;
 
+        this.motion.update(src, width, height);
+        const stable = this.stabilizer.begin(width, height, this.stability, this.frameBlend);
+
+        this.updatePalette();
+        const smoothed = this.smooth(src, width, height);
+
         // Create output buffer
         const outputData = this.ctx.createImageData(width, height);
         const dst = outputData.data;
 
-        // Edge detection buffer
-        const edges = new Float32Array(width * height);
+        // First pass: flat cel colour for every pixel. Stabilizing looks colours up from the
+        // held input instead, so sensor noise can't flip a pixel between tones.
+        const table = this.toneTable;
+        const input = stable ? this.stabilizer.reference : smoothed;
+        for (let y = 0, p = 0; y < height; y++) {
+            for (let x = 0; x < width; x++, p++) {
+                let j = p * 3;
+                if (stable) {
+                    j = this.stabilizer.holdColor(p, smoothed[j], smoothed[j + 1], smoothed[j + 2],
+                        this.motion.getMotionAt(x, y));
+                }
+                const bin = ((input[j] >> 3) | ((input[j + 1] >> 3) << 5) | ((input[j + 2] >> 3) << 10)) * 4;
+                const i = p * 4;
+                dst[i] = table[bin];
+                dst[i + 1] = table[bin + 1];
+                dst[i + 2] = table[bin + 2];
+                dst[i + 3] = 255;
+            }
+        }
 
-        // First pass: Detect edges and process colors
-        for (let y = 1; y < height - 1; y++) {
-            for (let x = 1; x < width - 1; x++) {
-                const idx = (y * width + x) * 4;
+        // Still areas keep some of the previous frame; line work goes on afterwards
+        if (stable) {
+            this.stabilizer.blendFrame(dst, (x, y) => this.motion.getMotionAt(x, y));
+        }
+
+        if (this.rasterEdges === 'on') this.darkenEdges(input, dst, width, height);
 
-                // Get original color
-                let r = src[idx];
-                let g = src[idx + 1];
-                let b = src[idx + 2];
+        // Put the processed image
+        this.ctx.putImageData(outputData, 0, 0);
+
+        // Ink the vector outlines on top
+        this.traceOutlines();
+        this.drawOutlines();
+    }
 
-                // Calculate luminance for edge detection
-                const lum = r * 0.299 + g * 0.587 + b * 0.114;
+    // Darken dst around strong Sobel edges of input (RGB), out to the edge thickness. The input is
+    // the smoothed frame, or the held colours while stabilizing, so sensor noise can't make edges
+    // blink; line work goes on after frame blending, so it has to be steady on its own.
+    darkenEdges(input, dst, width, height) {
+        const edges = new Float32Array(width * height);
+        const edgeThreshold = 30;
 
-                // Sobel edge detection
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                // Sobel edge detection on luminance
                 let gx = 0, gy = 0;
                 for (let ky = -1; ky <= 1; ky++) {
                     for (let kx = -1; kx <= 1; kx++) {
-                        const nidx = ((y + ky) * width + (x + kx)) * 4;
-                        const nLum = src[nidx] * 0.299 + src[nidx + 1] * 0.587 + src[nidx + 2] * 0.114;
+                        const nidx = ((y + ky) * width + (x + kx)) * 3;
+                        const nLum = input[nidx] * 0.299 + input[nidx + 1] * 0.587 + input[nidx + 2] * 0.114;
                         gx += nLum * this.sobelX[ky + 1][kx + 1];
                         gy += nLum * this.sobelY[ky + 1][kx + 1];
                     }
                 }
-                const edgeMagnitude = Math.sqrt(gx * gx + gy * gy);
-                edges[y * width + x] = edgeMagnitude;
-
-                // Boost saturation
-                const gray = lum;
-                const satMult = 1 + (this.saturationBoost - 5) * 0.15;
-                r = gray + (r - gray) * satMult;
-                g = gray + (g - gray) * satMult;
-                b = gray + (b - gray) * satMult;
-
-                // Apply shadow/highlight contrast
-                const shadowMult = this.shadowIntensity / 5;
-                const highlightMult = this.highlightBoost / 5;
-
-                if (lum < 80) {
-                    // Darken shadows
-                    const factor = 0.7 + (1 - shadowMult) * 0.3;
-                    r *= factor;
-                    g *= factor;
-                    b *= factor;
-                } else if (lum > 180) {
-                    // Boost highlights
-                    const factor = 1 + (highlightMult - 1) * 0.2;
-                    r = Math.min(255, r * factor);
-                    g = Math.min(255, g * factor);
-                    b = Math.min(255, b * factor);
-                }
-
-                // Quantize colors for flat cel-shaded look
-                const levels = this.colorLevels;
-                const step = 255 / (levels - 1);
-                r = Math.round(r / step) * step;
-                g = Math.round(g / step) * step;
-                b = Math.round(b / step) * step;
-
-                // Clamp
-                r = Math.max(0, Math.min(255, r));
-                g = Math.max(0, Math.min(255, g));
-                b = Math.max(0, Math.min(255, b));
-
-                dst[idx] = r;
-                dst[idx + 1] = g;
-                dst[idx + 2] = b;
-                dst[idx + 3] = 255;
+                edges[y * width + x] = Math.sqrt(gx * gx + gy * gy);
             }
         }
 
-        // Second pass: Apply edge darkening based on thickness
-        const edgeThreshold = 30;
         const thickness = Math.floor(this.edgeThickness);
 
+        // Offsets of the disc within the thickness radius
+        const disc = [];
+        for (let dy = -thickness; dy <= thickness; dy++) {
+            for (let dx = -thickness; dx <= thickness; dx++) {
+                if (dx * dx + dy * dy <= thickness * thickness) disc.push(dy * width + dx);
+            }
+        }
+
         for (let y = thickness; y < height - thickness; y++) {
             for (let x = thickness; x < width - thickness; x++) {
-                const idx = (y * width + x) * 4;
+                const p = y * width + x;
 
-                // Check if any nearby pixel is an edge
+                // Strongest edge nearby
                 let maxEdge = 0;
-                for (let dy = -thickness; dy <= thickness; dy++) {
-                    for (let dx = -thickness; dx <= thickness; dx++) {
-                        const dist = Math.sqrt(dx * dx + dy * dy);
-                        if (dist <= thickness) {
-                            const edgeVal = edges[(y + dy) * width + (x + dx)];
-                            maxEdge = Math.max(maxEdge, edgeVal);
-                        }
-                    }
+                for (let k = 0; k < disc.length; k++) {
+                    const edgeVal = edges[p + disc[k]];
+                    if (edgeVal > maxEdge) maxEdge = edgeVal;
                 }
 
                 if (maxEdge > edgeThreshold) {
                     // Darken based on edge strength
-                    const edgeFactor = Math.min(1, (maxEdge - edgeThreshold) / 100);
-                    const darkness = edgeFactor * 0.85;
-
+                    const darkness = Math.min(1, (maxEdge - edgeThreshold) / 100) * 0.85;
+                    const idx = p * 4;
                     dst[idx] = dst[idx] * (1 - darkness);
                     dst[idx + 1] = dst[idx + 1] * (1 - darkness);
                     dst[idx + 2] = dst[idx + 2] * (1 - darkness);
                 }
             }
         }
+    }
 
-        // Put the processed image
-        this.ctx.putImageData(outputData, 0, 0);
+    // Trace the current frame's outlines into this.outlines, in canvas coordinates.
+    // Reads the video itself so the GL backend can call it too.
+    traceOutlines() {
+        // Outlines from the last frame hold on at weaker contrast while stabilizing
+        this.tracer.persistence = this.stability;
+        this.outlines = this.traceVideo(this.tracer, true);
+        this.tracedFrame = this.frameKey();
+    }
 
-        // Draw bold outlines on top
-        this.drawOutlines(edges, width, height);
+    // The video frame and canvas size on screen, to tell whether this.outlines are current
+    frameKey() {
+        return `${this.video.currentTime}|${this.canvas.width}x${this.canvas.height}`;
     }
 
-    drawOutlines(edges, width, height) {
-        const ctx = this.ctx;
-        const threshold = 40;
-        const step = 2;
-
-        ctx.strokeStyle = '#000000';
-        ctx.lineWidth = this.edgeThickness * 0.8;
-        ctx.lineCap = 'round';
-        ctx.lineJoin = 'round';
-
-        // Draw connected edge segments
-        for (let y = step; y < height - step; y += step) {
-            for (let x = step; x < width - step; x += step) {
-                const edgeVal = edges[y * width + x];
-
-                if (edgeVal > threshold) {
-                    // Find edge direction
-                    const idx = (y * width + x) * 4;
-
-                    // Look for connected edge pixels
-                    const neighbors = [
-                        { dx: step, dy: 0 },
-                        { dx: 0, dy: step },
-                        { dx: step, dy: step },
-                        { dx: -step, dy: step }
-                    ];
-
-                    for (const n of neighbors) {
-                        const nx = x + n.dx;
-                        const ny = y + n.dy;
-
-                        if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-                            const neighborEdge = edges[ny * width + nx];
-
-                            if (neighborEdge > threshold) {
-                                // Calculate opacity based on edge strength
-                                const strength = Math.min(1, Math.min(edgeVal, neighborEdge) / 150);
-                                ctx.strokeStyle = `rgba(0, 0, 0, ${0.6 + strength * 0.4})`;
-
-                                ctx.beginPath();
-                                ctx.moveTo(x, y);
-                                ctx.lineTo(nx, ny);
-                                ctx.stroke();
-                            }
-                        }
-                    }
+    // Outlines of the current video frame in canvas coordinates. With stabilize set, still areas
+    // are averaged into this.traceLum; otherwise the frame is traced on its own and no state changes.
+    traceVideo(tracer, stabilize) {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        if (!getSourceSize(this.video).width || width === 0 || height === 0) return [];
+
+        const tw = Math.max(1, Math.round(width * ARCHER_TRACE_SCALE));
+        const th = Math.max(1, Math.round(height * ARCHER_TRACE_SCALE));
+        if (this.traceCanvas.width !== tw || this.traceCanvas.height !== th) {
+            this.traceCanvas.width = tw;
+            this.traceCanvas.height = th;
+        }
+
+        // Shrinking the frame doubles as the blur before edge detection
+        this.traceCtx.save();
+        this.traceCtx.scale(-1, 1);
+        this.traceCtx.drawImage(this.video, -tw, 0, tw, th);
+        this.traceCtx.restore();
+        const data = this.traceCtx.getImageData(0, 0, tw, th).data;
+
+        const scaleX = width / tw;
+        const scaleY = height / th;
+
+        // Stabilizing averages still areas over time, so noise can't wiggle the traced lines;
+        // anything moving is traced from the current frame alone
+        const stable = stabilize && this.stability > 0 && this.traceLum !== null && this.traceLum.length === tw * th;
+        const lum = stable ? this.traceLum : new Float32Array(tw * th);
+        for (let y = 0, p = 0, i = 0; y < th; y++) {
+            for (let x = 0; x < tw; x++, p++, i += 4) {
+                const value = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+                if (!stable) {
+                    lum[p] = value;
+                    continue;
                 }
+                const motion = this.motion.getMotionAt((x + 0.5) * scaleX, (y + 0.5) * scaleY);
+                const keep = 0.8 * this.stability * this.stabilizer.persistence(motion, Math.abs(value - lum[p]) * 3);
+                lum[p] = value + (lum[p] - value) * keep;
             }
         }
+        if (stabilize) this.traceLum = this.stability > 0 ? lum : null;
+
+        return tracer.trace(lum, tw, th).map(line => ({
+            // Pixel centres of the trace map to the centres of the canvas blocks they cover
+            points: line.points.map((v, i) => (v + 0.5) * (i % 2 === 0 ? scaleX : scaleY)),
+            strength: line.strength,
+            closed: line.closed
+        }));
+    }
+
+    // Outline as a filled ribbon: wider on strong edges, tapering off at free ends like a brush
+    // lifting from the page. Returns the polygon as [x0, y0, x1, y1, ...].
+    getRibbon(line) {
+        const points = line.points;
+        const count = points.length / 2;
+
+        // Arc length along the line, for the taper
+        const along = new Float32Array(count);
+        for (let i = 1; i < count; i++) {
+            along[i] = along[i - 1] + Math.hypot(
+                points[i * 2] - points[i * 2 - 2],
+                points[i * 2 + 1] - points[i * 2 - 1]
+            );
+        }
+        const length = along[count - 1] || 1;
+        const baseWidth = this.edgeThickness * 0.6 * (0.5 + 0.5 * line.strength);
+
+        const left = [];
+        const right = [];
+        for (let i = 0; i < count; i++) {
+            const prev = line.closed ? (i - 1 + count) % count : Math.max(0, i - 1);
+            const next = line.closed ? (i + 1) % count : Math.min(count - 1, i + 1);
+            const dx = points[next * 2] - points[prev * 2];
+            const dy = points[next * 2 + 1] - points[prev * 2 + 1];
+            const norm = Math.hypot(dx, dy) || 1;
+
+            const taper = line.closed ? 1 : Math.max(0.15, Math.pow(Math.sin(Math.PI * along[i] / length), 0.5));
+            let half = baseWidth * taper;
+            let x = points[i * 2];
+            let y = points[i * 2 + 1];
+
+            // Boil: the line swells, thins and drifts sideways a little, smoothly along its
+            // length and over time, as if each frame had been inked again
+            if (this.lineBoil > 0) {
+                const bx = x * ARCHER_BOIL_SCALE;
+                const by = y * ARCHER_BOIL_SCALE + this.time * ARCHER_BOIL_RATE;
+                half *= 1 + 0.5 * this.lineBoil * this.boilNoise.noise2D(bx, by);
+                const shift = ARCHER_BOIL_SHIFT * this.lineBoil * this.boilNoise.noise2D(bx + 101.5, by);
+                x += -dy / norm * shift;
+                y += dx / norm * shift;
+            }
+
+            const nx = -dy / norm * half;
+            const ny = dx / norm * half;
+            left.push(x + nx, y + ny);
+            right.unshift(x - nx, y - ny);
+        }
+
+        return left.concat(right);
+    }
+
+    // Every outline goes into one path and a single fill
+    drawOutlines() {
+        if (!this.outlines || this.outlines.length === 0) return;
+        const ctx = this.ctx;
+
+        ctx.fillStyle = '#000000';
+        ctx.beginPath();
+        for (const line of this.outlines) {
+            const ribbon = this.getRibbon(line);
+            ctx.moveTo(ribbon[0], ribbon[1]);
+            for (let i = 2; i < ribbon.length; i += 2) ctx.lineTo(ribbon[i], ribbon[i + 1]);
+            ctx.closePath();
+        }
+        ctx.fill();
+    }
+
+    // The displayed frame's outlines as an SVG document, one filled path per outline. Exports
+    // what was last traced rather than tracing again, which would move the stabilized trace on.
+    // When this instance didn't draw the frame on screen (the worker did, or nothing yet), the
+    // video is traced afresh by a throwaway tracer, leaving the live outlines and history alone.
+    toSVG() {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const outlines = this.tracedFrame === this.frameKey()
+            ? this.outlines
+            : this.traceVideo(new OutlineTracer(), false);
+
+        const paths = outlines.map(line => {
+            const ribbon = this.getRibbon(line);
+            let d = `M${ribbon[0].toFixed(1)} ${ribbon[1].toFixed(1)}`;
+            for (let i = 2; i < ribbon.length; i += 2) d += `L${ribbon[i].toFixed(1)} ${ribbon[i + 1].toFixed(1)}`;
+            return `  <path d="${d}Z"/>`;
+        });
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+            '<g fill="#000000">\n' + paths.join('\n') + (paths.length ? '\n' : '') + '</g>\n</svg>\n';
     }
 }
 
-// Export
-window.ArcherFilter = ArcherFilter;
+// Export (self is window on the page, the global scope in the filter worker)
+self.ArcherFilter = ArcherFilter;
+
+FilterRegistry.register('archer', ArcherFilter, {
+    name: 'Archer',
+    color: '#dc2626',
+    params: [
+        { id: 'archerEdge', label: 'Edge Thickness', property: 'edgeThickness', min: 1, max: 6, default: 3 },
+        { id: 'archerLineBoil', label: 'Line Boil', property: 'lineBoil', min: 0, max: 10, default: 0, transform: val => val / 10 },
+        { id: 'archerColors', label: 'Palette Colors', property: 'colorLevels', min: 3, max: 12, default: 6 },
+        { id: 'archerSmoothing', label: 'Smoothing', property: 'smoothing', min: 0, max: 4, default: 2 },
+        { id: 'archerBands', label: 'Shading Bands', property: 'toneBands', min: 2, max: 3, default: 3 },
+        { id: 'archerShadow', label: 'Shadow Intensity', property: 'shadowIntensity', min: 0, max: 10, default: 5 },
+        { id: 'archerHighlight', label: 'Highlight Boost', property: 'highlightBoost', min: 0, max: 10, default: 5 },
+        { id: 'archerSaturation', label: 'Saturation', property: 'saturationBoost', min: 0, max: 10, default: 6 },
+        {
+            id: 'archerPaletteLock', label: 'Palette Lock', property: 'paletteLock', min: 0, max: 10, default: 7,
+            transform: val => val / 10
+        },
+        { id: 'archerStability', label: 'Stability', property: 'stability', min: 0, max: 10, default: 0, transform: val => val / 10 },
+        { id: 'archerFrameBlend', label: 'Frame Blend', property: 'frameBlend', min: 0, max: 10, default: 0, transform: val => val / 10 },
+        {
+            id: 'archerRasterEdges', label: 'Raster Edges', property: 'rasterEdges', type: 'select', default: 'off',
+            options: [
+                { value: 'off', label: 'Off (outlines only)' },
+                { value: 'on', label: 'On (darken under outlines)' }
+            ]
+        }
+    ],
+    // Downloads offered in the settings section
+    exports: [
+        { label: 'Outlines (SVG)', extension: 'svg', type: 'image/svg+xml', create: filter => filter.toSVG() }
+    ]
+});
@@ -0,0 +1,480 @@
+// Brush Painter - Paints a finished frame over with brush strokes, coarse brushes first
+// Strokes run along the edges found by the gradient structure tensor, finer layers only
+// repaint where the coarser ones missed detail, and every stroke carries a bristle texture
+
+// Brush radius of each layer, as a multiple of the finest
+const BRUSH_LAYER_SCALES = [4, 2, 1];
+
+// Mean channel difference between paint and frame above which a finer layer repaints a cell
+const BRUSH_ERROR_THRESHOLD = 18;
+
+// Mean channel difference from its own colour at which a stroke stops, rather than run across an edge
+const BRUSH_COLOR_STOP = 36;
+
+// Bristles across the width of a brush
+const BRUSH_BRISTLES = 12;
+
+class BrushPainter {
+    // size: radius of the finest brush (px); length: longest stroke, in brush radii;
+    // density: strokes per brush-sized cell along each side; texture: 'bristle' (streaky),
+    // 'flat' (an even wash) or 'dry' (broken, scratchy coverage);
+    // opacity: how much each stroke covers what is under it (0-1)
+    constructor({ size = 2, length = 4, density = 1, texture = 'bristle', opacity = 1 } = {}) {
+        this.size = size;
+        this.length = length;
+        this.density = density;
+        this.texture = texture;
+        this.opacity = opacity;
+
+        this.width = 0;
+        this.height = 0;
+        // Unpainted frame and its luminance
+        this.reference = null;
+        this.lum = null;
+        // Per layer, the frame's mean colour and structure tensor over cells about one brush radius wide:
+        // { radius, cell, cols, rows, color, tensor }
+        this.grids = [];
+        // Cell visiting order per layer, so strokes overlap without a directional bias
+        this.orders = [];
+        // Scratch per pixel while a stroke is drawn: its coverage and shade, and which pixels it touched
+        this.coverage = null;
+        this.shades = null;
+        this.touched = null;
+        this.span = [0, 0];
+
+        // Per-stroke bristle strengths and where each bristle runs dry (fraction of the length)
+        this.bristles = new Float32Array(BRUSH_BRISTLES);
+        this.dryOut = new Float32Array(BRUSH_BRISTLES);
+    }
+
+    // Integer hash to [0, 1); strokes take their jitter and texture from it, so a still frame
+    // is painted the same way every time instead of shimmering
+    static hash(n) {
+        n = Math.imul(n ^ (n >>> 16), 0x45d9f3b);
+        n = Math.imul(n ^ (n >>> 16), 0x45d9f3b);
+        n ^= n >>> 16;
+        return (n >>> 0) / 4294967296;
+    }
+
+    // Paint over an RGBA frame in place
+    paint(data, width, height) {
+        if (width < 2 || height < 2 || this.opacity <= 0) return;
+
+        if (width !== this.width || height !== this.height) {
+            this.width = width;
+            this.height = height;
+            this.reference = new Uint8ClampedArray(width * height * 4);
+            this.lum = new Uint8ClampedArray(width * height);
+            this.coverage = new Float32Array(width * height);
+            this.shades = new Float32Array(width * height);
+            this.touched = new Int32Array(width * height);
+            this.orders = [];
+            this.grids = [];
+        }
+
+        const size = Math.max(1, this.size);
+        const radii = BRUSH_LAYER_SCALES.map(scale => size * scale);
+        if (this.grids.length === 0 || this.grids[0].radius !== radii[0]) {
+            this.grids = radii.map(radius => this.createGrid(width, height, radius));
+        }
+
+        this.reference.set(data.subarray(0, width * height * 4));
+        this.buildGrids(width, height);
+
+        radii.forEach((radius, layer) => {
+            this.paintLayer(data, width, height, radius, layer);
+        });
+    }
+
+    // A layer's cells are about one brush radius wide, but never a single pixel
+    createGrid(width, height, radius) {
+        const cell = Math.max(2, Math.round(radius));
+        const cols = Math.ceil(width / cell);
+        const rows = Math.ceil(height / cell);
+        return {
+            radius, cell, cols, rows,
+            color: new Float32Array(cols * rows * 3),
+            tensor: new Float32Array(cols * rows * 3)
+        };
+    }
+
+    // Mean colour and structure tensor (gx², gx·gy, gy²) of every cell of every layer
+    buildGrids(width, height) {
+        const ref = this.reference;
+        const lum = this.lum;
+        const grids = this.grids;
+
+        for (let p = 0, i = 0; p < lum.length; p++, i += 4) {
+            lum[p] = ref[i] * 0.299 + ref[i + 1] * 0.587 + ref[i + 2] * 0.114;
+        }
+        for (const grid of grids) {
+            grid.color.fill(0);
+            grid.tensor.fill(0);
+        }
+
+        // Pixels go into the finest grid, which is the last
+        const fine = grids[grids.length - 1];
+        const color = fine.color;
+        const tensor = fine.tensor;
+        for (let y = 0; y < height; y++) {
+            const row = Math.floor(y / fine.cell) * fine.cols * 3;
+            const up = y > 0 ? -width : 0;
+            const down = y < height - 1 ? width : 0;
+            for (let x = 0, p = y * width, c = row, edge = fine.cell; x < width; x++, p++) {
+                if (x === edge) {
+                    c += 3;
+                    edge += fine.cell;
+                }
+
+                // Sobel, with the border pixels reusing their inner neighbours
+                const x0 = x > 0 ? p - 1 : p;
+                const x1 = x < width - 1 ? p + 1 : p;
+                const gx = (lum[x1 + up] + 2 * lum[x1] + lum[x1 + down]) - (lum[x0 + up] + 2 * lum[x0] + lum[x0 + down]);
+                const gy = (lum[x0 + down] + 2 * lum[p + down] + lum[x1 + down]) - (lum[x0 + up] + 2 * lum[p + up] + lum[x1 + up]);
+
+                const i = p * 4;
+                color[c] += ref[i];
+                color[c + 1] += ref[i + 1];
+                color[c + 2] += ref[i + 2];
+                tensor[c] += gx * gx;
+                tensor[c + 1] += gx * gy;
+                tensor[c + 2] += gy * gy;
+            }
+        }
+
+        // Coarser cells add up the fine cells whose corner they hold. Brush sizes are whole
+        // pixels, so coarser cells are whole multiples of finer ones and this is exact.
+        for (const grid of grids) {
+            if (grid === fine) continue;
+            for (let fy = 0; fy < fine.rows; fy++) {
+                const row = Math.floor(fy * fine.cell / grid.cell) * grid.cols;
+                for (let fx = 0, f = fy * fine.cols * 3; fx < fine.cols; fx++, f += 3) {
+                    const c = (row + Math.floor(fx * fine.cell / grid.cell)) * 3;
+                    grid.color[c] += color[f];
+                    grid.color[c + 1] += color[f + 1];
+                    grid.color[c + 2] += color[f + 2];
+                    grid.tensor[c] += tensor[f];
+                    grid.tensor[c + 1] += tensor[f + 1];
+                    grid.tensor[c + 2] += tensor[f + 2];
+                }
+            }
+        }
+
+        // Sums to means; cells on the right and bottom edges may be cut short
+        for (const grid of grids) {
+            const { cell, cols, rows } = grid;
+            for (let cy = 0, c = 0; cy < rows; cy++) {
+                const cellHeight = Math.min(height, (cy + 1) * cell) - cy * cell;
+                for (let cx = 0; cx < cols; cx++, c += 3) {
+                    const scale = 1 / ((Math.min(width, (cx + 1) * cell) - cx * cell) * cellHeight);
+                    grid.color[c] *= scale;
+                    grid.color[c + 1] *= scale;
+                    grid.color[c + 2] *= scale;
+                    grid.tensor[c] *= scale;
+                    grid.tensor[c + 1] *= scale;
+                    grid.tensor[c + 2] *= scale;
+                }
+            }
+        }
+    }
+
+    // Bilinear sample of a grid's values between cell centres, clamped to the frame;
+    // written to out[0..2]
+    sampleGrid(grid, values, x, y, out) {
+        const gx = Math.max(0, Math.min(grid.cols - 1, x / grid.cell - 0.5));
+        const gy = Math.max(0, Math.min(grid.rows - 1, y / grid.cell - 0.5));
+        const x0 = Math.floor(gx);
+        const y0 = Math.floor(gy);
+        const x1 = Math.min(x0 + 1, grid.cols - 1);
+        const y1 = Math.min(y0 + 1, grid.rows - 1);
+        const fx = gx - x0;
+        const fy = gy - y0;
+
+        const a = (y0 * grid.cols + x0) * 3;
+        const b = (y0 * grid.cols + x1) * 3;
+        const c = (y1 * grid.cols + x0) * 3;
+        const d = (y1 * grid.cols + x1) * 3;
+        for (let k = 0; k < 3; k++) {
+            const top = values[a + k] + (values[b + k] - values[a + k]) * fx;
+            const bottom = values[c + k] + (values[d + k] - values[c + k]) * fx;
+            out[k] = top + (bottom - top) * fy;
+        }
+        return out;
+    }
+
+    // Cells of a layer in a fixed shuffled order
+    cellOrder(layer, count) {
+        let order = this.orders[layer];
+        if (!order || order.length !== count) {
+            const keys = Array.from({ length: count }, (_, i) => BrushPainter.hash(i * 4 + layer));
+            order = Uint32Array.from({ length: count }, (_, i) => i).sort((a, b) => keys[a] - keys[b]);
+            this.orders[layer] = order;
+        }
+        return order;
+    }
+
+    paintLayer(data, width, height, radius, layer) {
+        const ref = this.reference;
+        const spacing = Math.max(1, Math.round(2 * radius / Math.max(0.25, this.density)));
+        const cols = Math.ceil(width / spacing);
+        const rows = Math.ceil(height / spacing);
+        const order = this.cellOrder(layer, cols * rows);
+        const finest = layer === BRUSH_LAYER_SCALES.length - 1;
+        const grid = this.grids[layer];
+        const color = new Float64Array(3);
+
+        for (const cell of order) {
+            const cx = cell % cols;
+            const cy = (cell - cx) / cols;
+            const left = cx * spacing;
+            const top = cy * spacing;
+            const right = Math.min(width, left + spacing);
+            const bottom = Math.min(height, top + spacing);
+
+            // The first layer covers everything; later ones only where the paint is still off
+            if (layer > 0) {
+                let error = 0;
+                for (let y = top; y < bottom; y++) {
+                    for (let x = left, i = (y * width + left) * 4; x < right; x++, i += 4) {
+                        error += Math.abs(data[i] - ref[i]) + Math.abs(data[i + 1] - ref[i + 1]) + Math.abs(data[i + 2] - ref[i + 2]);
+                    }
+                }
+                if (error / ((right - left) * (bottom - top) * 3) < BRUSH_ERROR_THRESHOLD) continue;
+            }
+
+            // Start somewhere in the cell, in the colour of the frame around that point
+            const seed = cell * 4 + layer;
+            const x = left + BrushPainter.hash(seed * 2 + 1) * (right - left);
+            const y = top + BrushPainter.hash(seed * 2 + 2) * (bottom - top);
+            if (finest) {
+                const i = (Math.floor(y) * width + Math.floor(x)) * 4;
+                color[0] = ref[i];
+                color[1] = ref[i + 1];
+                color[2] = ref[i + 2];
+            } else {
+                this.sampleGrid(grid, grid.color, x, y, color);
+            }
+
+            const points = this.traceStroke(x, y, radius, color, seed);
+            this.drawStroke(data, width, height, points, radius, color, seed);
+        }
+    }
+
+    // Follow the edge direction from (x, y) one brush radius at a time, stopping before the
+    // frame turns a different colour. radius is one of the layers' brush radii.
+    // Returns [x0, y0, x1, y1, ...].
+    traceStroke(x, y, radius, color, seed) {
+        const grid = this.grids.find(layer => layer.radius === radius);
+        const ref = this.reference;
+        const width = this.width;
+        const height = this.height;
+        const tensor = [0, 0, 0];
+        const points = [x, y];
+        const steps = Math.max(0, Math.round(this.length));
+
+        let px = x;
+        let py = y;
+        let prevX = 0;
+        let prevY = 0;
+        for (let step = 0; step < steps; step++) {
+            this.sampleGrid(grid, grid.tensor, px, py, tensor);
+            const [xx, xy, yy] = tensor;
+
+            // No dominant direction (flat colour or a corner): the stroke ends here
+            const anisotropy = Math.sqrt((xx - yy) * (xx - yy) + 4 * xy * xy);
+            if (xx + yy === 0 || anisotropy <= 0.05 * (xx + yy)) break;
+
+            // Along the edge: perpendicular to the dominant gradient
+            const angle = 0.5 * Math.atan2(2 * xy, xx - yy) + Math.PI / 2;
+            let dx = Math.cos(angle);
+            let dy = Math.sin(angle);
+            const flip = step === 0 ? BrushPainter.hash(seed * 2 + 3) < 0.5 : dx * prevX + dy * prevY < 0;
+            if (flip) {
+                dx = -dx;
+                dy = -dy;
+            }
+
+            const nx = px + dx * radius;
+            const ny = py + dy * radius;
+            if (nx < 0 || ny < 0 || nx >= width || ny >= height) break;
+
+            const i = (Math.floor(ny) * width + Math.floor(nx)) * 4;
+            const diff = (Math.abs(ref[i] - color[0]) + Math.abs(ref[i + 1] - color[1]) + Math.abs(ref[i + 2] - color[2])) / 3;
+            if (diff > BRUSH_COLOR_STOP) break;
+
+            points.push(nx, ny);
+            px = nx;
+            py = ny;
+            prevX = dx;
+            prevY = dy;
+        }
+        return points;
+    }
+
+    // Composite one stroke: a round-ended band of the given radius along the polyline, its alpha
+    // shaped by the brush texture. Each segment writes its coverage to a scratch buffer, keeping
+    // the strongest where segments overlap, and the stroke goes on in one pass so joints don't
+    // come out darker.
+    drawStroke(data, width, height, points, radius, color, seed) {
+        const count = points.length / 2;
+        const flat = this.texture === 'flat';
+        const dry = this.texture === 'dry';
+        const bristles = this.bristles;
+        const dryOut = this.dryOut;
+        for (let b = 0; b < BRUSH_BRISTLES; b++) {
+            bristles[b] = 0.55 + 0.45 * BrushPainter.hash(seed * 16 + b + 7);
+            dryOut[b] = 0.5 + 0.5 * BrushPainter.hash(seed * 16 + b + 23);
+        }
+
+        const coverage = this.coverage;
+        const shades = this.shades;
+        const touched = this.touched;
+        let touchedCount = 0;
+        const radiusSq = radius * radius;
+        const softSq = radiusSq * 0.49;
+        const toBristle = 0.5 * BRUSH_BRISTLES / radius;
+        const total = count > 1 ? this.strokeLength(points) + radius * 2 : radius * 2;
+
+        let start = 0;
+        for (let k = 0; k < Math.max(1, count - 1); k++) {
+            const ax = points[k * 2];
+            const ay = points[k * 2 + 1];
+            const sx = count > 1 ? points[k * 2 + 2] - ax : 0;
+            const sy = count > 1 ? points[k * 2 + 3] - ay : 0;
+            const lengthSq = sx * sx + sy * sy;
+            const length = Math.sqrt(lengthSq);
+
+            // Position along the segment (0-1) and offset across it both step linearly along a row.
+            // Round dabs have no direction; their bristles run top to bottom.
+            const stepT = lengthSq > 0 ? sx / lengthSq : 0;
+            const stepAcross = length > 0 ? sy / length : 1;
+
+            const y0 = Math.max(0, Math.floor(Math.min(ay, ay + sy) - radius));
+            const y1 = Math.min(height - 1, Math.ceil(Math.max(ay, ay + sy) + radius));
+
+            for (let y = y0; y <= y1; y++) {
+                const py = y + 0.5 - ay;
+                if (!this.capsuleSpan(py, sx, sy, length, radius)) continue;
+                const x0 = Math.max(0, Math.ceil(this.span[0] + ax - 0.5));
+                const x1 = Math.min(width - 1, Math.floor(this.span[1] + ax - 0.5));
+
+                const px0 = x0 + 0.5 - ax;
+                let t = lengthSq > 0 ? (px0 * sx + py * sy) / lengthSq : 0;
+                let across = length > 0 ? (px0 * sy - py * sx) / length : px0;
+                for (let x = x0, p = y * width + x0; x <= x1; x++, p++, t += stepT, across += stepAcross) {
+                    // Distance to the segment: straight across it between the ends, to the nearer end past them
+                    let distSq = across * across;
+                    if (t < 0 || t > 1) {
+                        const end = t < 0 ? 0 : 1;
+                        const ex = x + 0.5 - ax - sx * end;
+                        const ey = py - sy * end;
+                        distSq = ex * ex + ey * ey;
+                    }
+                    if (distSq > radiusSq) continue;
+
+                    const position = start + Math.max(0, Math.min(1, t)) * length;
+                    const bristle = Math.max(0, Math.min(BRUSH_BRISTLES - 1, Math.floor((across * toBristle) + BRUSH_BRISTLES / 2)));
+                    const strength = bristles[bristle];
+
+                    // Soft edge on every brush
+                    let alpha = distSq < softSq ? 1 : (1 - Math.sqrt(distSq) / radius) / 0.3;
+                    let shade = 1;
+                    if (flat) {
+                        alpha *= 0.9 + 0.1 * strength;
+                    } else if (dry) {
+                        // Broken, scratchy coverage: bristles skip in short runs
+                        const skip = BrushPainter.hash(seed * 64 + bristle * 8 + Math.floor(position / 2)) < 0.4;
+                        alpha *= skip ? 0.1 : strength;
+                        shade = 0.9 + 0.2 * strength;
+                    } else {
+                        // Bristle: streaks of uneven strength, each thinning out toward its end
+                        alpha *= strength * ((position + radius) / total > dryOut[bristle] ? 0.4 : 1);
+                        shade = 0.94 + 0.12 * strength;
+                    }
+                    if (alpha <= 0) continue;
+
+                    if (coverage[p] === 0) touched[touchedCount++] = p;
+                    if (alpha > coverage[p]) {
+                        coverage[p] = alpha;
+                        shades[p] = shade;
+                    }
+                }
+            }
+            start += length;
+        }
+
+        const opacity = this.opacity;
+        const [r, g, b] = color;
+        for (let n = 0; n < touchedCount; n++) {
+            const p = touched[n];
+            const alpha = coverage[p] * opacity;
+            const shade = shades[p];
+            const i = p * 4;
+            data[i] += (r * shade - data[i]) * alpha;
+            data[i + 1] += (g * shade - data[i + 1]) * alpha;
+            data[i + 2] += (b * shade - data[i + 2]) * alpha;
+            coverage[p] = 0;
+        }
+    }
+
+    // Offsets from the segment start, along a row py below it, that lie within radius of the
+    // segment (sx, sy); null when the row misses it. Written to this.span.
+    capsuleSpan(py, sx, sy, length, radius) {
+        let lo = Infinity;
+        let hi = -Infinity;
+
+        // Round ends
+        for (let end = 0; end < 2; end++) {
+            const cy = py - sy * end;
+            const half = radius * radius - cy * cy;
+            if (half < 0) continue;
+            lo = Math.min(lo, sx * end - Math.sqrt(half));
+            hi = Math.max(hi, sx * end + Math.sqrt(half));
+        }
+
+        // Straight sides: between the end caps (0 <= p.s <= length²) and within radius of the line
+        if (length > 0) {
+            let bandLo = -Infinity;
+            let bandHi = Infinity;
+            const lengthSq = length * length;
+            if (sx !== 0) {
+                const a = -py * sy / sx;
+                const b = (lengthSq - py * sy) / sx;
+                bandLo = Math.max(bandLo, Math.min(a, b));
+                bandHi = Math.min(bandHi, Math.max(a, b));
+            } else if (py * sy < 0 || py * sy > lengthSq) {
+                bandHi = -Infinity;
+            }
+            const reach = radius * length;
+            if (sy !== 0) {
+                const a = (py * sx - reach) / sy;
+                const b = (py * sx + reach) / sy;
+                bandLo = Math.max(bandLo, Math.min(a, b));
+                bandHi = Math.min(bandHi, Math.max(a, b));
+            } else if (Math.abs(py * sx) > reach) {
+                bandHi = -Infinity;
+            }
+            if (bandLo <= bandHi) {
+                lo = Math.min(lo, bandLo);
+                hi = Math.max(hi, bandHi);
+            }
+        }
+
+        if (lo > hi) return null;
+        this.span[0] = lo;
+        this.span[1] = hi;
+        return this.span;
+    }
+
+    // Length of a polyline
+    strokeLength(points) {
+        let length = 0;
+        for (let k = 2; k < points.length; k += 2) {
+            length += Math.hypot(points[k] - points[k - 2], points[k + 1] - points[k - 1]);
+        }
+        return length;
+    }
+}
+
+// Export (self is window on the page, the global scope in the filter worker)
+self.BrushPainter = BrushPainter;
@@ -0,0 +1,26 @@
+// Canvas Utilities - Helpers shared by the filters
+// Work on the main thread and inside the filter worker alike
+
+// Scratch canvas: a DOM canvas on the main thread, an OffscreenCanvas in workers
+function createCanvas(width = 0, height = 0) {
+    if (typeof document !== 'undefined') {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    return new OffscreenCanvas(width, height);
+}
+
+// Intrinsic size of anything drawImage accepts as a filter source
+function getSourceSize(source) {
+    if (!source) return { width: 0, height: 0 };
+    if ('videoWidth' in source) return { width: source.videoWidth, height: source.videoHeight };
+    if ('naturalWidth' in source) return { width: source.naturalWidth, height: source.naturalHeight };
+    if ('displayWidth' in source) return { width: source.displayWidth, height: source.displayHeight };
+    return { width: source.width || 0, height: source.height || 0 };
+}
+
+// Export
+self.createCanvas = createCanvas;
+self.getSourceSize = getSourceSize;
@@ -0,0 +1,160 @@
+// Video Exporter - Frame-accurate offline render of a loaded video file
+// Seeks the source one frame at a time, renders each frame without a real-time
+// deadline, and encodes the result with WebCodecs into a WebM file
+
+class VideoExporter {
+    constructor(video, canvas) {
+        this.video = video;
+        this.canvas = canvas;
+
+        this.cancelled = false;
+        this.running = false;
+
+        // Keyframe interval, in seconds
+        this.keyFrameInterval = 2;
+        this.bitrate = 8000000;
+    }
+
+    static isSupported() {
+        return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    // Estimate the native frame rate from presented frame timestamps
+    async detectFrameRate(sampleFrames = 12) {
+        const video = this.video;
+        if (typeof video.requestVideoFrameCallback !== 'function') return 30;
+
+        const wasPaused = video.paused;
+        const times = [];
+
+        await video.play();
+        await new Promise((resolve) => {
+            const onFrame = (now, metadata) => {
+                times.push(metadata.mediaTime);
+                if (times.length >= sampleFrames) {
+                    resolve();
+                } else {
+                    video.requestVideoFrameCallback(onFrame);
+                }
+            };
+            video.requestVideoFrameCallback(onFrame);
+            // Give up on sources that never present frames
+            setTimeout(resolve, 2000);
+        });
+        if (wasPaused) video.pause();
+
+        const deltas = [];
+        for (let i = 1; i < times.length; i++) {
+            const delta = times[i] - times[i - 1];
+            if (delta > 0) deltas.push(delta);
+        }
+        if (deltas.length === 0) return 30;
+
+        // Smallest interval is the frame interval; dropped frames only ever make it larger
+        const fps = 1 / Math.min(...deltas);
+        const common = [23.976, 24, 25, 29.97, 30, 48, 50, 59.94, 60];
+        return common.reduce((best, rate) => Math.abs(rate - fps) < Math.abs(best - fps) ? rate : best);
+    }
+
+    async pickCodec(width, height, frameRate) {
+        for (const codec of ['vp09.00.10.08', 'vp8']) {
+            const config = { codec, width, height, framerate: frameRate, bitrate: this.bitrate };
+            try {
+                const support = await VideoEncoder.isConfigSupported(config);
+                if (support.supported) return config;
+            } catch (err) {
+                // Try the next codec
+            }
+        }
+        throw new Error('No supported WebM encoder (VP9 or VP8)');
+    }
+
+    seek(time) {
+        return new Promise((resolve) => {
+            const video = this.video;
+            const done = () => {
+                video.removeEventListener('seeked', done);
+                // Wait for the seeked frame to be presented where supported
+                if (typeof video.requestVideoFrameCallback === 'function' && !video.paused) {
+                    video.requestVideoFrameCallback(() => resolve());
+                } else {
+                    resolve();
+                }
+            };
+            video.addEventListener('seeked', done);
+            video.currentTime = time;
+        });
+    }
+
+    // renderFrame(deltaMs) draws one processed frame onto the canvas
+    async export({ frameRate, renderFrame, onProgress }) {
+        const video = this.video;
+        // Streams and live sources report an infinite or unknown duration: nothing to step through
+        if (!Number.isFinite(video.duration)) {
+            throw new Error('This source has no fixed length, so it can only be recorded live, not exported frame by frame');
+        }
+
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const frameCount = Math.floor(video.duration * frameRate);
+        const frameInterval = 1000 / frameRate;
+
+        const config = await this.pickCodec(width, height, frameRate);
+        const muxer = new WebMMuxer({ width, height, codec: config.codec, frameRate });
+
+        let encodeError = null;
+        const encoder = new VideoEncoder({
+            output: (chunk) => muxer.addChunk(chunk),
+            error: (err) => { encodeError = err; }
+        });
+        encoder.configure(config);
+
+        this.cancelled = false;
+        this.running = true;
+        video.pause();
+
+        try {
+            const keyEvery = Math.max(1, Math.round(frameRate * this.keyFrameInterval));
+
+            for (let i = 0; i < frameCount; i++) {
+                if (this.cancelled) break;
+                if (encodeError) throw encodeError;
+
+                // Seek to the middle of the frame so rounding never lands on its neighbour
+                await this.seek((i + 0.5) / frameRate);
+                renderFrame(frameInterval);
+
+                const frame = new VideoFrame(this.canvas, {
+                    timestamp: Math.round(i * 1000000 / frameRate),
+                    duration: Math.round(1000000 / frameRate)
+                });
+                encoder.encode(frame, { keyFrame: i % keyEvery === 0 });
+                frame.close();
+
+                // Don't let the encoder queue grow unbounded
+                while (encoder.encodeQueueSize > 4) {
+                    await new Promise(resolve => setTimeout(resolve, 5));
+                }
+
+                if (onProgress) onProgress((i + 1) / frameCount);
+            }
+
+            if (this.cancelled) return null;
+
+            await encoder.flush();
+            if (encodeError) throw encodeError;
+
+            return muxer.finalize();
+        } finally {
+            if (encoder.state !== 'closed') encoder.close();
+            this.running = false;
+        }
+    }
+}
+
+// Export
+window.VideoExporter = VideoExporter;
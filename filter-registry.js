@@ -0,0 +1,92 @@
+// Filter Registry - Filters register themselves with a descriptor
+// The app builds the filter bar and settings sections from these entries,
+// so a new filter is a single script that ends with FilterRegistry.register()
+//
+// Descriptor:
+//   name      Display name for the filter bar and settings title
+//   color     Accent colour
+//   params    Settings schema, one entry per control:
+//     id         Element id of the control (also the key stored in snapshots/presets)
+//     label      Control label
+//     type       'range' (default), 'select', 'text' or 'color' ('#rrggbb')
+//     property   Filter property the control drives
+//     min, max, step, default   Slider range, in raw slider units
+//     options    Select choices as [{ value, label }]
+//     placeholder  Hint shown in an empty text field
+//     unit       Suffix shown after the raw value
+//     transform  Maps the raw value to the property value (default: Number for sliders, as-is otherwise)
+//     format     Maps the raw value to display text, overriding unit
+//   exports   Optional downloads of the filter's current output, one button each:
+//     label      Button text
+//     extension, type   File extension and MIME type
+//     create     Returns the file contents for a filter instance
+
+const filterEntries = new Map();
+const filterListeners = [];
+
+class FilterRegistry {
+    static register(id, FilterClass, descriptor) {
+        if (filterEntries.has(id)) {
+            console.warn(`Filter "${id}" is already registered`);
+            return filterEntries.get(id);
+        }
+
+        const entry = {
+            id: id,
+            FilterClass: FilterClass,
+            descriptor: FilterRegistry.normalize(id, descriptor),
+            // Remember where the filter came from so the worker can load it too
+            script: typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : null
+        };
+
+        filterEntries.set(id, entry);
+        filterListeners.forEach(listener => listener(entry));
+        return entry;
+    }
+
+    static normalize(id, descriptor = {}) {
+        return {
+            name: descriptor.name || id,
+            color: descriptor.color || '#ffffff',
+            params: (descriptor.params || []).map(param => ({
+                type: 'range',
+                step: 1,
+                unit: '',
+                transform: (param.type || 'range') === 'range' ? Number : (val => val),
+                format: null,
+                options: [],
+                placeholder: '',
+                ...param,
+                property: param.property || param.id
+            })),
+            exports: descriptor.exports || []
+        };
+    }
+
+    static get(id) {
+        return filterEntries.get(id);
+    }
+
+    static list() {
+        return Array.from(filterEntries.values());
+    }
+
+    static onRegister(listener) {
+        filterListeners.push(listener);
+    }
+
+    // Property values for a filter's current settings, keyed by property name
+    static getSettings(id, filter) {
+        const entry = filterEntries.get(id);
+        const settings = {};
+        if (!entry) return settings;
+
+        for (const param of entry.descriptor.params) {
+            settings[param.property] = filter[param.property];
+        }
+        return settings;
+    }
+}
+
+// Export (self is window on the page, the global scope in the filter worker)
+self.FilterRegistry = FilterRegistry;
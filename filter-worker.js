@@ -0,0 +1,78 @@
+// Filter Worker - Runs the filters off the main thread
+// Frames arrive as ImageBitmap/VideoFrame, processed frames go back as ImageBitmap
+
+// Filter scripts are imported on demand, as the page's registry names them
+importScripts('canvas-utils.js', 'random.js', 'noise.js', 'motion.js', 'glyph-atlas.js',
+    'outline-tracer.js', 'temporal-stabilizer.js', 'optical-flow.js', 'brush-painter.js', 'filter-registry.js');
+
+const canvas = new OffscreenCanvas(1, 1);
+const ctx = canvas.getContext('2d');
+
+// Filter instances, created from the registry on first use
+const filters = {};
+
+// Seed shared by every filter, kept in step with the page
+let seed = 1;
+
+function getFilter(mode) {
+    if (!filters[mode]) {
+        const entry = FilterRegistry.get(mode);
+        if (!entry) throw new Error(`Filter "${mode}" is not loaded in the worker`);
+        filters[mode] = new entry.FilterClass(canvas, null);
+        if (typeof filters[mode].reseed === 'function') filters[mode].reseed(seed);
+    }
+    return filters[mode];
+}
+
+let currentMode = null;
+
+async function processFrame(msg) {
+    const { frame, mode, width, height, deltaMs } = msg;
+
+    // The frame was transferred here, so it's closed here however drawing goes
+    let filter = null;
+    try {
+        filter = getFilter(mode);
+
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        // Clear when switching, same as App.setMode() does on the page
+        if (mode !== currentMode) {
+            ctx.fillStyle = '#000';
+            ctx.fillRect(0, 0, width, height);
+            currentMode = mode;
+        }
+
+        filter.video = frame;
+        filter.draw(deltaMs);
+    } finally {
+        if (filter) filter.video = null;
+        frame.close();
+    }
+
+    // Copy rather than transfer so the Matrix fade trails survive into the next frame
+    const bitmap = await createImageBitmap(canvas);
+    self.postMessage({ type: 'result', mode, bitmap }, [bitmap]);
+}
+
+self.onmessage = (e) => {
+    const msg = e.data;
+
+    if (msg.type === 'load') {
+        importScripts(msg.script);
+    } else if (msg.type === 'settings') {
+        Object.assign(getFilter(msg.mode), msg.settings);
+    } else if (msg.type === 'seed') {
+        seed = msg.seed;
+        for (const filter of Object.values(filters)) {
+            if (typeof filter.reseed === 'function') filter.reseed(seed);
+        }
+    } else if (msg.type === 'frame') {
+        processFrame(msg).catch((err) => {
+            self.postMessage({ type: 'error', message: err.message });
+        });
+    }
+};
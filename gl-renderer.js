@@ -0,0 +1,550 @@
+// GL Renderer - WebGL backend for the per-pixel filters
+// Runs the Waking Life and Archer pixel loops as fragment shaders, reading the
+// same settings off the filter objects so both backends stay interchangeable
+
+const GL_VERTEX_SHADER = `
+attribute vec2 a_position;
+void main() {
+    gl_Position = vec4(a_position, 0.0, 1.0);
+}
+`;
+
+// Shared helpers: pixel coordinates with a top-left origin and mirrored video sampling
+const GL_COMMON = `
+precision highp float;
+uniform vec2 u_resolution;
+uniform sampler2D u_video;
+
+vec2 pixelCoord() {
+    return vec2(gl_FragCoord.x - 0.5, u_resolution.y - gl_FragCoord.y - 0.5);
+}
+
+vec3 sampleVideo(vec2 p) {
+    vec2 uv = vec2(1.0 - (p.x + 0.5) / u_resolution.x, (p.y + 0.5) / u_resolution.y);
+    return texture2D(u_video, uv).rgb * 255.0;
+}
+
+float luminance(vec3 c) {
+    return dot(c, vec3(0.299, 0.587, 0.114));
+}
+`;
+
+const GL_WAKING_LIFE_SHADER = GL_COMMON + `
+uniform sampler2D u_noiseX;
+uniform sampler2D u_noiseY;
+uniform sampler2D u_noiseColor;
+uniform float u_noisePeriod;
+uniform float u_octaves;
+uniform float u_lacunarity;
+uniform float u_wobbleFreq;
+uniform float u_colorFreq;
+uniform sampler2D u_motion;
+uniform vec2 u_motionGrid;
+uniform float u_globalMotion;
+uniform float u_time;
+uniform float u_colorTime;
+uniform float u_breathScale;
+uniform float u_wobble;
+uniform float u_saturation;
+uniform float u_colorShift;
+uniform float u_levels;
+uniform float u_ditherTime;
+
+// Perlin noise over a filter's gradient lattice (GradientNoise), one gradient per texel
+vec2 gradientAt(vec2 cell, sampler2D lattice) {
+    vec2 uv = (mod(cell, u_noisePeriod) + 0.5) / u_noisePeriod;
+    return texture2D(lattice, uv).rg * 2.0 - 1.0;
+}
+
+float noise2D(vec2 p, sampler2D lattice) {
+    vec2 i = floor(p);
+    vec2 f = p - i;
+    float n00 = dot(gradientAt(i, lattice), f);
+    float n10 = dot(gradientAt(i + vec2(1.0, 0.0), lattice), f - vec2(1.0, 0.0));
+    float n01 = dot(gradientAt(i + vec2(0.0, 1.0), lattice), f - vec2(0.0, 1.0));
+    float n11 = dot(gradientAt(i + vec2(1.0, 1.0), lattice), f - vec2(1.0, 1.0));
+    vec2 s = f * f * f * (f * (f * 6.0 - 15.0) + 10.0);
+    return mix(mix(n00, n10, s.x), mix(n01, n11, s.x), s.y) * 1.41421356;
+}
+
+// Up to 6 octaves, the most the Noise Octaves control allows
+float fbm(vec2 p, sampler2D lattice) {
+    float value = 0.0;
+    float amplitude = 1.0;
+    float total = 0.0;
+    for (int i = 0; i < 6; i++) {
+        if (float(i) >= u_octaves) break;
+        value += amplitude * noise2D(p, lattice);
+        total += amplitude;
+        amplitude *= 0.5;
+        p *= u_lacunarity;
+    }
+    return value / total;
+}
+
+float motionAt(vec2 p) {
+    vec2 cell = floor(p / 16.0);
+    if (cell.x < 0.0 || cell.y < 0.0 || cell.x >= u_motionGrid.x || cell.y >= u_motionGrid.y) {
+        return u_globalMotion;
+    }
+    return texture2D(u_motion, (cell + 0.5) / u_motionGrid).r;
+}
+
+void main() {
+    vec2 p = pixelCoord();
+    float localMotion = motionAt(p);
+    float motionMultiplier = 1.0 + localMotion * 15.0 + u_globalMotion * 8.0;
+
+    // Noise wobble
+    float wobbleX = fbm(vec2(p.x * u_wobbleFreq + u_time, p.y * u_wobbleFreq), u_noiseX) * u_wobble * 1.5 * motionMultiplier;
+    float wobbleY = fbm(vec2(p.x * u_wobbleFreq, p.y * u_wobbleFreq + u_time * 1.2), u_noiseY) * u_wobble * 1.5 * motionMultiplier;
+
+    // Breathing
+    vec2 center = u_resolution * 0.5;
+    vec2 src = (p - center) / u_breathScale + center + vec2(wobbleX, wobbleY);
+    src = clamp(src, vec2(0.0), u_resolution - 1.0);
+
+    vec3 color = sampleVideo(src);
+
+    // Saturation
+    float gray = luminance(color);
+    color = gray + (color - gray) * u_saturation;
+
+    // Colour drift
+    float colorNoise = fbm(vec2(p.x * u_colorFreq + u_colorTime, p.y * u_colorFreq + u_colorTime * 0.7), u_noiseColor);
+    float shift = colorNoise * u_colorShift;
+    color += vec3(shift * 1.2, shift * 0.6, -shift * 0.8);
+
+    // Dithered quantization
+    float levelStep = 255.0 / (u_levels - 1.0);
+    float dither = noise2D(vec2(p.x * 0.5 + u_ditherTime, p.y * 0.5), u_noiseColor) * levelStep * 0.15;
+    color = floor((color + dither) / levelStep + 0.5) * levelStep;
+    color = clamp(color, 0.0, 255.0);
+
+    gl_FragColor = vec4(color / 255.0, 1.0);
+}
+`;
+
+// Archer pass 1: cel colour in RGB, Sobel magnitude in alpha when raster edges follow (opaque otherwise).
+// The palette and shading bands arrive baked into the filter's tone table: one texel per 5-bit RGB bin
+const GL_ARCHER_COLOR_SHADER = GL_COMMON + `
+uniform sampler2D u_toneTable;
+uniform float u_smoothing;
+uniform float u_edgesInAlpha;
+
+vec3 lookupTone(vec3 color) {
+    vec3 bin = floor(clamp(color, 0.0, 255.0) / 8.0);
+    vec2 uv = vec2((bin.r + bin.g * 32.0 + 0.5) / 1024.0, (bin.b + 0.5) / 32.0);
+    return texture2D(u_toneTable, uv).rgb * 255.0;
+}
+
+void main() {
+    vec2 p = pixelCoord();
+    vec3 color = sampleVideo(p);
+
+    // Sobel edge detection
+    float gx = 0.0;
+    float gy = 0.0;
+    for (int ky = -1; ky <= 1; ky++) {
+        for (int kx = -1; kx <= 1; kx++) {
+            float n = luminance(sampleVideo(p + vec2(float(kx), float(ky))));
+            float wx = float(kx) * (ky == 0 ? 2.0 : 1.0);
+            float wy = float(ky) * (kx == 0 ? 2.0 : 1.0);
+            gx += n * wx;
+            gy += n * wy;
+        }
+    }
+    float edge = sqrt(gx * gx + gy * gy);
+
+    // Bilateral smoothing: neighbours of similar colour only, same range weight as the CPU path
+    vec3 sum = vec3(0.0);
+    float total = 0.0;
+    for (int dy = -4; dy <= 4; dy++) {
+        for (int dx = -4; dx <= 4; dx++) {
+            if (abs(float(dx)) > u_smoothing || abs(float(dy)) > u_smoothing) continue;
+            vec3 n = sampleVideo(p + vec2(float(dx), float(dy)));
+            vec3 d = abs(n - color);
+            float diff = (d.r + d.g + d.b) / 3.0;
+            float w = exp(-(diff * diff) / 800.0);
+            sum += n * w;
+            total += w;
+        }
+    }
+    color = sum / total;
+
+    gl_FragColor = vec4(lookupTone(color) / 255.0, mix(1.0, min(edge, 255.0) / 255.0, u_edgesInAlpha));
+}
+`;
+
+// Archer pass 2, only with raster edges on: edge dilation; the outlines themselves are inked
+// afterwards on the 2D context
+const GL_ARCHER_EDGE_SHADER = GL_COMMON + `
+uniform sampler2D u_color;
+uniform float u_thickness;
+
+vec4 sampleColor(vec2 p) {
+    return texture2D(u_color, (vec2(p.x, u_resolution.y - 1.0 - p.y) + 0.5) / u_resolution);
+}
+
+void main() {
+    vec2 p = pixelCoord();
+    vec4 center = sampleColor(p);
+    vec3 color = center.rgb * 255.0;
+
+    // Max edge within the thickness radius
+    float maxEdge = 0.0;
+    for (int dy = -6; dy <= 6; dy++) {
+        for (int dx = -6; dx <= 6; dx++) {
+            float dist = length(vec2(float(dx), float(dy)));
+            if (dist > u_thickness) continue;
+            maxEdge = max(maxEdge, sampleColor(p + vec2(float(dx), float(dy))).a * 255.0);
+        }
+    }
+
+    if (maxEdge > 30.0) {
+        float darkness = min(1.0, (maxEdge - 30.0) / 100.0) * 0.85;
+        color *= 1.0 - darkness;
+    }
+
+    gl_FragColor = vec4(color / 255.0, 1.0);
+}
+`;
+
+class GLRenderer {
+    constructor() {
+        this.canvas = document.createElement('canvas');
+        this.gl = this.canvas.getContext('webgl', { preserveDrawingBuffer: true, premultipliedAlpha: false });
+        this.failed = !this.gl;
+
+        this.programs = {};
+        // GradientNoise -> { gradients, texture } of its current lattice
+        this.noiseTextures = new WeakMap();
+        this.framebuffer = null;
+        this.framebufferTexture = null;
+        this.framebufferWidth = 0;
+        this.framebufferHeight = 0;
+
+        // Coarse motion grid, sampled from a downscaled frame instead of a full-res readback
+        this.motionCanvas = document.createElement('canvas');
+        this.motionCtx = this.motionCanvas.getContext('2d', { willReadFrequently: true });
+
+        if (this.failed) return;
+
+        this.canvas.addEventListener('webglcontextlost', (e) => {
+            e.preventDefault();
+            this.failed = true;
+        });
+
+        try {
+            this.init();
+        } catch (err) {
+            console.error('WebGL init error:', err);
+            this.failed = true;
+        }
+    }
+
+    static isSupported() {
+        try {
+            const canvas = document.createElement('canvas');
+            return !!(window.WebGLRenderingContext && canvas.getContext('webgl'));
+        } catch (err) {
+            return false;
+        }
+    }
+
+    // Temporal stabilizing keeps per-pixel history on the CPU, so filters using it render there
+    supports(mode, filter = null) {
+        if (filter && filter.stabilizer && (filter.stability > 0 || filter.frameBlend > 0)) return false;
+        return !this.failed && (mode === 'wakingLife' || mode === 'archer');
+    }
+
+    init() {
+        const gl = this.gl;
+
+        this.programs.wakingLife = this.createProgram(GL_WAKING_LIFE_SHADER);
+        this.programs.archerColor = this.createProgram(GL_ARCHER_COLOR_SHADER);
+        this.programs.archerEdge = this.createProgram(GL_ARCHER_EDGE_SHADER);
+
+        // Fullscreen triangle pair
+        this.quad = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), gl.STATIC_DRAW);
+
+        this.videoTexture = this.createTexture(gl.LINEAR, gl.CLAMP_TO_EDGE);
+        this.motionTexture = this.createTexture(gl.NEAREST, gl.CLAMP_TO_EDGE);
+        this.toneTexture = this.createTexture(gl.NEAREST, gl.CLAMP_TO_EDGE);
+    }
+
+    compileShader(type, source) {
+        const gl = this.gl;
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            const log = gl.getShaderInfoLog(shader);
+            gl.deleteShader(shader);
+            throw new Error('Shader compile failed: ' + log);
+        }
+        return shader;
+    }
+
+    createProgram(fragmentSource) {
+        const gl = this.gl;
+        const program = gl.createProgram();
+        gl.attachShader(program, this.compileShader(gl.VERTEX_SHADER, GL_VERTEX_SHADER));
+        gl.attachShader(program, this.compileShader(gl.FRAGMENT_SHADER, fragmentSource));
+        gl.linkProgram(program);
+
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error('Program link failed: ' + gl.getProgramInfoLog(program));
+        }
+
+        // Cache uniform locations by name
+        const uniforms = {};
+        const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+        for (let i = 0; i < count; i++) {
+            const info = gl.getActiveUniform(program, i);
+            uniforms[info.name] = gl.getUniformLocation(program, info.name);
+        }
+
+        return { program, uniforms, position: gl.getAttribLocation(program, 'a_position') };
+    }
+
+    createTexture(filter, wrap) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, wrap);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, wrap);
+        return texture;
+    }
+
+    // Upload a GradientNoise lattice once per seed: reseeding replaces its gradient array, and
+    // the texture of the old one is deleted. Gradients go in red and green, mapped from -1..1 to bytes.
+    getNoiseTexture(noise) {
+        const grads = noise.gradients;
+        const cached = this.noiseTextures.get(noise);
+        if (cached && cached.gradients === grads) return cached.texture;
+
+        const gl = this.gl;
+        if (cached) gl.deleteTexture(cached.texture);
+        const size = noise.period;
+        const bytes = new Uint8Array(size * size * 4);
+        for (let i = 0; i < size * size; i++) {
+            bytes[i * 4] = Math.round((grads[i * 2] * 0.5 + 0.5) * 255);
+            bytes[i * 4 + 1] = Math.round((grads[i * 2 + 1] * 0.5 + 0.5) * 255);
+            bytes[i * 4 + 3] = 255;
+        }
+
+        const texture = this.createTexture(gl.NEAREST, gl.REPEAT);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, bytes);
+
+        this.noiseTextures.set(noise, { gradients: grads, texture });
+        return texture;
+    }
+
+    resize(width, height) {
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+    }
+
+    ensureFramebuffer(width, height) {
+        const gl = this.gl;
+        if (this.framebuffer && this.framebufferWidth === width && this.framebufferHeight === height) return;
+
+        if (!this.framebuffer) {
+            this.framebuffer = gl.createFramebuffer();
+            this.framebufferTexture = this.createTexture(gl.NEAREST, gl.CLAMP_TO_EDGE);
+        }
+
+        gl.bindTexture(gl.TEXTURE_2D, this.framebufferTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.framebufferTexture, 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        this.framebufferWidth = width;
+        this.framebufferHeight = height;
+    }
+
+    uploadVideo(video) {
+        const gl = this.gl;
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.videoTexture);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, video);
+    }
+
+    bindTexture(unit, texture, location) {
+        const gl = this.gl;
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.uniform1i(location, unit);
+    }
+
+    run(entry, target, width, height) {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target);
+        gl.viewport(0, 0, width, height);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+        gl.enableVertexAttribArray(entry.position);
+        gl.vertexAttribPointer(entry.position, 2, gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+    }
+
+    // Returns false if the frame couldn't be drawn here, so the caller can draw it on the CPU
+    draw(mode, filter, deltaMs = 16) {
+        if (!getSourceSize(filter.video).width) return true;
+
+        const width = filter.canvas.width;
+        const height = filter.canvas.height;
+
+        try {
+            this.resize(width, height);
+            this.uploadVideo(filter.video);
+
+            if (mode === 'wakingLife') {
+                this.drawWakingLife(filter, width, height, deltaMs);
+            } else if (mode === 'archer') {
+                this.drawArcher(filter, width, height, deltaMs);
+            }
+
+            filter.ctx.drawImage(this.canvas, 0, 0);
+
+            // Ink and vector outlines go on in 2D, same as the CPU path; brush strokes only when
+            // the filter asks for them here, as they need the frame back on the CPU
+            if (mode === 'wakingLife') {
+                filter.paintCanvas();
+                filter.drawInk(deltaMs);
+            }
+            if (mode === 'archer') {
+                filter.traceOutlines();
+                filter.drawOutlines();
+            }
+        } catch (err) {
+            console.error('WebGL draw error:', err);
+            // A lost context or a GL error won't clear up, so the GPU is done for the session;
+            // anything else (say in the 2D overlays) only costs this frame
+            const gl = this.gl;
+            if (gl.isContextLost() || gl.getError() !== gl.NO_ERROR) this.failed = true;
+            return false;
+        }
+        return true;
+    }
+
+    // Feed the filter's MotionDetector a frame downscaled to the motion grid
+    updateMotion(filter, width, height) {
+        const gridW = Math.floor(width / 16);
+        const gridH = Math.floor(height / 16);
+        if (gridW === 0 || gridH === 0) return;
+
+        if (this.motionCanvas.width !== gridW || this.motionCanvas.height !== gridH) {
+            this.motionCanvas.width = gridW;
+            this.motionCanvas.height = gridH;
+        }
+
+        this.motionCtx.save();
+        this.motionCtx.scale(-1, 1);
+        this.motionCtx.drawImage(filter.video, -gridW, 0, gridW, gridH);
+        this.motionCtx.restore();
+        const src = this.motionCtx.getImageData(0, 0, gridW, gridH).data;
+
+        const motion = filter.motion;
+        motion.updateGrid(src, gridW, gridH);
+
+        // Upload as bytes; motion values are small fractions so keep full 0-255 range
+        const bytes = new Uint8Array(gridW * gridH);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = Math.min(255, Math.round(motion.map[i] * 255));
+        }
+
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.motionTexture);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.LUMINANCE, gridW, gridH, 0, gl.LUMINANCE, gl.UNSIGNED_BYTE, bytes);
+    }
+
+    drawWakingLife(filter, width, height, deltaMs) {
+        const gl = this.gl;
+        const entry = this.programs.wakingLife;
+        const u = entry.uniforms;
+
+        this.updateMotion(filter, width, height);
+
+        // Advance animation state exactly as the CPU path does
+        filter.time += deltaMs;
+        filter.frameCount++;
+
+        const t = filter.time * filter.wobbleSpeed;
+        const breathT = filter.time * filter.breathingSpeed;
+
+        gl.useProgram(entry.program);
+        this.bindTexture(0, this.videoTexture, u.u_video);
+        this.bindTexture(1, this.getNoiseTexture(filter.noiseX), u.u_noiseX);
+        this.bindTexture(2, this.getNoiseTexture(filter.noiseY), u.u_noiseY);
+        this.bindTexture(3, this.getNoiseTexture(filter.noiseColor), u.u_noiseColor);
+        this.bindTexture(4, this.motionTexture, u.u_motion);
+
+        gl.uniform2f(u.u_resolution, width, height);
+        gl.uniform2f(u.u_motionGrid, Math.floor(width / 16), Math.floor(height / 16));
+        gl.uniform1f(u.u_globalMotion, filter.motion.globalMotion);
+        gl.uniform1f(u.u_time, t);
+        gl.uniform1f(u.u_noisePeriod, filter.noiseX.period);
+        gl.uniform1f(u.u_octaves, filter.noiseOctaves);
+        gl.uniform1f(u.u_lacunarity, filter.noiseLacunarity);
+        gl.uniform1f(u.u_wobbleFreq, 1 / filter.wobbleScale);
+        gl.uniform1f(u.u_colorFreq, 1 / filter.colorShiftScale);
+        gl.uniform1f(u.u_colorTime, filter.time * filter.colorShiftSpeed);
+        gl.uniform1f(u.u_breathScale, 1 + Math.sin(breathT) * 0.004 * filter.breathingIntensity);
+        gl.uniform1f(u.u_wobble, filter.wobbleIntensity);
+        gl.uniform1f(u.u_saturation, filter.saturationBoost);
+        gl.uniform1f(u.u_colorShift, filter.colorShiftAmount);
+        gl.uniform1f(u.u_levels, filter.colorLevels);
+        gl.uniform1f(u.u_ditherTime, filter.time * WAKING_LIFE_DITHER_RATE);
+
+        this.run(entry, null, width, height);
+    }
+
+    drawArcher(filter, width, height, deltaMs) {
+        const gl = this.gl;
+        filter.time += deltaMs;
+        this.ensureFramebuffer(width, height);
+
+        // Palette clustering stays on the CPU; the shader only looks colours up
+        filter.updatePalette();
+        gl.bindTexture(gl.TEXTURE_2D, this.toneTexture);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1024, 32, 0, gl.RGBA, gl.UNSIGNED_BYTE, filter.toneTable);
+
+        // Pass 1: colour, plus edges for pass 2 into the framebuffer; without raster edges
+        // the colour is all there is, straight to the screen
+        const rasterEdges = filter.rasterEdges === 'on';
+        const color = this.programs.archerColor;
+        gl.useProgram(color.program);
+        this.bindTexture(0, this.videoTexture, color.uniforms.u_video);
+        this.bindTexture(2, this.toneTexture, color.uniforms.u_toneTable);
+        gl.uniform2f(color.uniforms.u_resolution, width, height);
+        gl.uniform1f(color.uniforms.u_smoothing, Math.min(4, Math.round(filter.smoothing)));
+        gl.uniform1f(color.uniforms.u_edgesInAlpha, rasterEdges ? 1 : 0);
+        this.run(color, rasterEdges ? this.framebuffer : null, width, height);
+        if (!rasterEdges) return;
+
+        // Pass 2: dilate edges and darken the colour under them, to the screen
+        const edge = this.programs.archerEdge;
+        gl.useProgram(edge.program);
+        this.bindTexture(1, this.framebufferTexture, edge.uniforms.u_color);
+        gl.uniform2f(edge.uniforms.u_resolution, width, height);
+        gl.uniform1f(edge.uniforms.u_thickness, Math.min(6, Math.floor(filter.edgeThickness)));
+        this.run(edge, null, width, height);
+    }
+}
+
+// Export
+window.GLRenderer = GLRenderer;
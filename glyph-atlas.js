@@ -0,0 +1,76 @@
+// Glyph Atlas - Pre-rendered glyphs for text-heavy filters
+// Each glyph is drawn once per tone colour so a frame is just drawImage calls,
+// avoiding a fillText for every cell
+
+class GlyphAtlas {
+    // tones: [{ color }]; glyphs are mirrored like the rest of the output
+    // unless `mirrored` is false, for text that has to stay readable
+    constructor(glyphs, size, font, tones, mirrored = true) {
+        this.glyphs = glyphs;
+        this.size = size;
+        this.tones = tones;
+        this.mirrored = mirrored;
+
+        this.index = new Map();
+        glyphs.forEach((glyph, i) => this.index.set(glyph, i));
+
+        this.cell = size;
+        this.columns = Math.max(1, Math.min(glyphs.length, 32));
+        this.glyphRows = Math.max(1, Math.ceil(glyphs.length / this.columns));
+
+        this.canvas = createCanvas(this.columns * this.cell, this.glyphRows * tones.length * this.cell);
+        this.render(font);
+    }
+
+    render(font) {
+        const ctx = this.canvas.getContext('2d');
+        ctx.font = font;
+        ctx.textBaseline = 'top';
+
+        this.tones.forEach((tone, t) => {
+            ctx.fillStyle = tone.color;
+
+            this.glyphs.forEach((glyph, i) => {
+                const { x, y } = this.getCellOrigin(i, t);
+
+                ctx.save();
+                ctx.translate(x + this.size / 2, y);
+                if (this.mirrored) ctx.scale(-1, 1);
+                ctx.fillText(glyph, -this.size / 2, 0);
+                ctx.restore();
+            });
+        });
+    }
+
+    getCellOrigin(glyphIndex, tone) {
+        const row = tone * this.glyphRows + Math.floor(glyphIndex / this.columns);
+        return {
+            x: (glyphIndex % this.columns) * this.cell,
+            y: row * this.cell
+        };
+    }
+
+    has(glyph) {
+        return this.index.has(glyph);
+    }
+
+    // Draw a glyph with its top-left at (x, y); returns false for glyphs not in the atlas
+    draw(ctx, glyph, tone, x, y, alpha = 1) {
+        const i = this.index.get(glyph);
+        if (i === undefined) return false;
+
+        const origin = this.getCellOrigin(i, tone);
+        const previousAlpha = ctx.globalAlpha;
+        ctx.globalAlpha = previousAlpha * alpha;
+        ctx.drawImage(
+            this.canvas,
+            origin.x, origin.y, this.cell, this.cell,
+            x, y, this.cell, this.cell
+        );
+        ctx.globalAlpha = previousAlpha;
+        return true;
+    }
+}
+
+// Export
+self.GlyphAtlas = GlyphAtlas;
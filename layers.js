@@ -0,0 +1,136 @@
+// Layer Stack - Composites extra filters over the active one
+// Each layer owns a filter instance drawing into its own buffer, which is then
+// blended onto the main canvas with the layer's opacity and blend mode
+
+const LAYER_BLEND_MODES = {
+    normal: 'source-over',
+    multiply: 'multiply',
+    screen: 'screen',
+    overlay: 'overlay',
+    add: 'lighter'
+};
+
+class LayerStack {
+    constructor(canvas, video) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.video = video;
+
+        this.layers = [];
+        this.nextId = 1;
+
+        // Seed handed to each layer's filter
+        this.seed = 1;
+    }
+
+    get length() {
+        return this.layers.length;
+    }
+
+    add(filterId, options = {}) {
+        const entry = FilterRegistry.get(filterId);
+        if (!entry) return null;
+
+        const buffer = createCanvas(this.canvas.width, this.canvas.height);
+
+        const layer = {
+            id: this.nextId++,
+            filterId: filterId,
+            filter: new entry.FilterClass(buffer, this.video),
+            buffer: buffer,
+            // Mirrored copy of the composite so far, for layers that filter the layers below
+            input: null,
+            opacity: options.opacity ?? 1,
+            blend: options.blend || 'screen',
+            source: options.source || 'camera',
+            // 'all', or 'person' / 'background' to keep only that side of the segmentation mask
+            region: options.region || 'all',
+            enabled: true
+        };
+
+        if (typeof layer.filter.reseed === 'function') layer.filter.reseed(this.seed);
+
+        this.layers.push(layer);
+        return layer;
+    }
+
+    reseed(seed) {
+        this.seed = seed;
+        for (const layer of this.layers) {
+            if (typeof layer.filter.reseed === 'function') layer.filter.reseed(seed);
+        }
+    }
+
+    remove(id) {
+        this.layers = this.layers.filter(layer => layer.id !== id);
+    }
+
+    move(id, offset) {
+        const index = this.layers.findIndex(layer => layer.id === id);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= this.layers.length) return;
+
+        const [layer] = this.layers.splice(index, 1);
+        this.layers.splice(target, 0, layer);
+    }
+
+    // Filters mirror their input, so hand them a pre-mirrored copy of the canvas
+    getBelowSource(layer, width, height) {
+        if (!layer.input) layer.input = createCanvas(width, height);
+        if (layer.input.width !== width || layer.input.height !== height) {
+            layer.input.width = width;
+            layer.input.height = height;
+        }
+
+        const ctx = layer.input.getContext('2d');
+        ctx.setTransform(-1, 0, 0, 1, width, 0);
+        ctx.drawImage(this.canvas, 0, 0);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        return layer.input;
+    }
+
+    get usesMask() {
+        return this.layers.some(layer => layer.enabled && layer.region !== 'all');
+    }
+
+    // drawFilter(filterId, filter) renders one filter into its own canvas;
+    // mask is the person mask for region-limited layers
+    render(settingsFor, drawFilter, mask = null) {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+
+        for (const layer of this.layers) {
+            if (!layer.enabled || layer.opacity <= 0) continue;
+
+            const { buffer, filter } = layer;
+            if (buffer.width !== width || buffer.height !== height) {
+                buffer.width = width;
+                buffer.height = height;
+            }
+
+            // Layers share settings with the filter's own sliders
+            Object.assign(filter, settingsFor(layer.filterId));
+            filter.video = layer.source === 'below' ? this.getBelowSource(layer, width, height) : this.video;
+
+            drawFilter(layer.filterId, filter);
+
+            if (mask && layer.region !== 'all') {
+                const bufferCtx = buffer.getContext('2d');
+                bufferCtx.save();
+                bufferCtx.globalCompositeOperation = layer.region === 'person' ? 'destination-in' : 'destination-out';
+                bufferCtx.drawImage(mask, 0, 0, width, height);
+                bufferCtx.restore();
+            }
+
+            this.ctx.save();
+            this.ctx.globalAlpha = layer.opacity;
+            this.ctx.globalCompositeOperation = LAYER_BLEND_MODES[layer.blend] || 'source-over';
+            this.ctx.drawImage(buffer, 0, 0);
+            this.ctx.restore();
+        }
+    }
+}
+
+// Export
+window.LayerStack = LayerStack;
+window.LAYER_BLEND_MODES = LAYER_BLEND_MODES;
@@ -0,0 +1,874 @@
+// Matrix Filter - Digital rain driven by video luminance
+// Katakana glyphs brighten and fall faster where the scene is lit
+
+const MATRIX_GLYPH_SETS = {
+    katakana: [
+        'ｦ', 'ｧ', 'ｨ', 'ｩ', 'ｪ', 'ｫ', 'ｬ', 'ｭ', 'ｮ', 'ｯ',
+        'ｰ', 'ｱ', 'ｲ', 'ｳ', 'ｴ', 'ｵ', 'ｶ', 'ｷ', 'ｸ', 'ｹ',
+        'ｺ', 'ｻ', 'ｼ', 'ｽ', 'ｾ', 'ｿ', 'ﾀ', 'ﾁ', 'ﾂ', 'ﾃ',
+        'ﾄ', 'ﾅ', 'ﾆ', 'ﾇ', 'ﾈ', 'ﾉ', 'ﾊ', 'ﾋ', 'ﾌ', 'ﾍ',
+        'ﾎ', 'ﾏ', 'ﾐ', 'ﾑ', 'ﾒ', 'ﾓ', 'ﾔ', 'ﾕ', 'ﾖ', 'ﾗ',
+        'ﾘ', 'ﾙ', 'ﾚ', 'ﾛ', 'ﾜ', 'ﾝ'
+    ],
+    digits: Array.from('0123456789'),
+    binary: ['0', '1'],
+    latin: Array.from('ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz'),
+    hex: Array.from('0123456789ABCDEF'),
+    emoji: Array.from('😀😂😎🤖👾👻💀👽🔥⚡💧🌙⭐🌈🍀🍄🐍🐇🦋🐙💊🔑🔒💾💿📡🔋🧬🎲🎯')
+};
+
+// Colour schemes: trail glyphs, the leading glyph, its glow, and glitch sparks
+const MATRIX_PALETTES = {
+    classic: { trail: '#00ff00', head: '#e6ffe6', glow: '#c8ffc8', spark: '#00ff00' },
+    amber: { trail: '#ffb000', head: '#fff4d6', glow: '#ffd27a', spark: '#ff8c00' },
+    cyberpunk: { trail: '#ff2bd6', head: '#e8ffff', glow: '#00f0ff', spark: '#00f0ff' },
+    // Trail glyphs take the colour of the video beneath them
+    source: { trail: '#ffffff', head: '#ffffff', glow: '#ffffff', spark: '#ffffff' }
+};
+
+// Atlas tones: trail levels picked by cell brightness, then the highlight colours
+const MATRIX_TRAIL_TONES = 8;
+const MATRIX_TONE_LEAD = MATRIX_TRAIL_TONES;
+const MATRIX_TONE_SPARK_WHITE = MATRIX_TRAIL_TONES + 1;
+const MATRIX_TONE_SPARK_GREEN = MATRIX_TRAIL_TONES + 2;
+
+// ASCII art mode: glyphs from sparse to dense, picked by cell brightness
+const MATRIX_DENSITY_RAMP = Array.from(' .:-=+*#%@');
+
+// The glow pass works on the frame shrunk by this factor
+const MATRIX_GLOW_SCALE = 4;
+
+// Noise lattice cells per grid column and per 16 ms frame for the stream speed wander, and per
+// frame for the glow shimmer; a stream's speed swings by up to MATRIX_WANDER_RANGE of itself
+const MATRIX_WANDER_COLUMN_SCALE = 0.15;
+const MATRIX_WANDER_RATE = 0.005;
+const MATRIX_WANDER_RANGE = 0.6;
+const MATRIX_SHIMMER_RATE = 0.02;
+
+// Motion response: glyph churn and stream speed-up per unit of cell motion, the cell motion
+// above which a gesture sets off sparks, and the frame motion below which the scene counts as still
+const MATRIX_MOTION_CHURN = 40;
+const MATRIX_MOTION_SPEED = 10;
+const MATRIX_GESTURE_MOTION = 0.08;
+const MATRIX_STILL_MOTION = 0.02;
+
+// Custom strings beyond this many distinct glyphs are truncated to keep the atlas small
+const MATRIX_MAX_GLYPHS = 256;
+
+class MatrixFilter {
+    constructor(canvas, video) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.video = video;
+
+        // The video shrunk to one pixel per cell; the scale-down does the averaging
+        this.videoCanvas = createCanvas();
+        this.videoCtx = this.videoCanvas.getContext('2d', { willReadFrequently: true });
+
+        // Rain accumulates here, so the glow pass and anything layered on top never feed back into the trails
+        this.trailCanvas = createCanvas();
+        this.trailCtx = this.trailCanvas.getContext('2d');
+        this.glowCanvas = createCanvas();
+        this.glowCtx = this.glowCanvas.getContext('2d');
+
+        this.grid = [];
+        this.gridWidth = 0;
+        this.gridHeight = 0;
+        this.gridCharSize = 0;
+
+        this.charSize = 12;
+        this.fallSpeed = 5;
+        this.brightnessSensitivity = 6;
+        this.explosionRate = 3;
+        this.contrast = 7;
+
+        // Glyph source: a named set, or 'custom' for the characters of customGlyphs
+        this.glyphSet = 'katakana';
+        this.customGlyphs = '';
+        // When set, the streams spell this out instead of random glyphs
+        this.message = '';
+
+        this.glyphs = MATRIX_GLYPH_SETS.katakana;
+        this.glyphKey = '';
+        this.atlas = null;
+        this.atlasKey = '';
+        this.messageChars = [];
+
+        // A MATRIX_PALETTES name, or 'custom' for the colours below
+        this.palette = 'classic';
+        this.trailColor = MATRIX_PALETTES.classic.trail;
+        this.headColor = MATRIX_PALETTES.classic.head;
+        this.glowColor = MATRIX_PALETTES.classic.glow;
+        this.sparkColor = MATRIX_PALETTES.classic.spark;
+
+        // 'rain' reveals glyphs behind falling streams, 'luminance' lights every cell
+        // by brightness alone, 'ascii' is brightness-ordered character art
+        this.renderMode = 'rain';
+        this.streamsPerColumn = 2;
+        // How much video brightness dims rain trails, 0-1
+        this.videoMask = 0.8;
+        // ASCII colours: the 'palette' trail tones, or 'source' for the video's own colour
+        this.asciiColor = 'palette';
+        this.asciiAtlas = null;
+        this.asciiAtlasKey = '';
+
+        // Bloom strength, 0-1, and how much it shimmers over time, 0-1
+        this.glow = 0.5;
+        this.glowShimmer = 0.3;
+        // How much stream speeds drift up and down while falling, 0-1
+        this.streamWander = 0.4;
+
+        // How strongly movement speeds up the rain and sets off sparks, 0-2
+        this.motionResponse = 1;
+        // How far the rain slows while the scene is still, 0-1
+        this.bulletTime = 0;
+        // Simulation speed relative to real time, eased towards the bullet time target
+        this.timeScale = 1;
+        this.motion = new MotionDetector();
+
+        this.explosions = [];
+        this.brightnessData = null;
+        this.brightnessCurve = new Float32Array(256);
+        this.brightnessCurveKey = '';
+        // Mean cell brightness down each column, which sets how fast its streams fall
+        this.columnBrightness = new Float32Array(0);
+        // Per-cell scratch for drawRain(): the strongest trail over the cell and the stream it came from
+        this.cellTrail = new Float32Array(0);
+        this.cellStream = new Int32Array(0);
+        this.litCells = [];
+        this.streams = [];
+        // Streams grouped by column, so a cell only checks its own column
+        this.columnStreams = [];
+        this.gridStreams = 0;
+
+        // Every random choice comes from here so a seed reproduces the rain
+        this.random = new SeededRandom(1);
+
+        // Smooth fields for the speed wander and glow shimmer, sampled over simulation time
+        this.time = 0;
+        this.streamNoise = new GradientNoise();
+        this.glowNoise = new GradientNoise();
+        this.seedNoise();
+    }
+
+    // Restart from a clean state so the same seed and input give the same frames
+    reseed(seed) {
+        this.random.setSeed(seed);
+        this.seedNoise();
+        this.time = 0;
+        this.gridCharSize = 0;
+        this.explosions = [];
+        this.motion.reset();
+        this.timeScale = 1;
+        this.clearTrails();
+    }
+
+    // The noise fields take their seeds from the filter's generator
+    seedNoise() {
+        this.streamNoise.setSeed(this.random.int(0x100000000));
+        this.glowNoise.setSeed(this.random.int(0x100000000));
+    }
+
+    // random: where the glyphs and streams come from; the filter's own generator unless a
+    // throwaway one must leave it untouched
+    initGrid(random = this.random) {
+        if (!this.canvas.width) return;
+
+        this.gridWidth = Math.ceil(this.canvas.width / this.charSize);
+        this.gridHeight = Math.ceil(this.canvas.height / this.charSize);
+        this.gridCharSize = this.charSize;
+
+        this.grid = [];
+        for (let x = 0; x < this.gridWidth; x++) {
+            this.grid[x] = [];
+            for (let y = 0; y < this.gridHeight; y++) {
+                this.grid[x][y] = {
+                    char: this.getRandomChar(random),
+                    brightness: 0,
+                    targetBrightness: 0,
+                    changeTimer: random.next() * 100
+                };
+            }
+        }
+
+        this.streams = [];
+        this.columnStreams = [];
+        this.gridStreams = this.streamsPerColumn;
+        for (let x = 0; x < this.gridWidth; x++) {
+            const column = [];
+            for (let i = 0; i < this.streamsPerColumn; i++) {
+                const stream = {
+                    x: x,
+                    // Later streams start further above the screen so a column's streams are spread out
+                    y: random.next() * this.gridHeight - i * this.gridHeight * 0.6,
+                    speed: 0.3 + random.next() * 0.4,
+                    length: 5 + Math.floor(random.next() * 15),
+                    // Where in the message this stream starts
+                    offset: random.int(64)
+                };
+                column.push(stream);
+                this.streams.push(stream);
+            }
+            this.columnStreams.push(column);
+        }
+
+        const cells = this.gridWidth * this.gridHeight;
+        this.columnBrightness = new Float32Array(this.gridWidth);
+        this.cellTrail = new Float32Array(cells);
+        this.cellStream = new Int32Array(cells);
+    }
+
+    getRandomChar(random = this.random) {
+        return this.glyphs[random.int(this.glyphs.length)];
+    }
+
+    getGlyphSet() {
+        if (this.glyphSet === 'custom') {
+            const custom = Array.from(new Set(Array.from(this.customGlyphs).filter(c => c.trim())));
+            if (custom.length > 0) return custom.slice(0, MATRIX_MAX_GLYPHS);
+        }
+        return MATRIX_GLYPH_SETS[this.glyphSet] || MATRIX_GLYPH_SETS.katakana;
+    }
+
+    // Pick up glyph setting changes; cells are re-rolled from the new set
+    updateGlyphs() {
+        const glyphs = this.getGlyphSet();
+        const key = glyphs.join('');
+        if (key === this.glyphKey) return;
+
+        this.glyphs = glyphs;
+        this.glyphKey = key;
+        for (const column of this.grid) {
+            for (const cell of column) cell.char = this.getRandomChar();
+        }
+        for (const p of this.explosions) p.char = this.getRandomChar();
+    }
+
+    getPalette() {
+        if (this.palette === 'custom') {
+            return { trail: this.trailColor, head: this.headColor, glow: this.glowColor, spark: this.sparkColor };
+        }
+        return MATRIX_PALETTES[this.palette] || MATRIX_PALETTES.classic;
+    }
+
+    // '#rrggbb' to [r, g, b]
+    static parseColor(hex) {
+        const value = parseInt(String(hex).replace('#', ''), 16) || 0;
+        return [(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+    }
+
+    // Trail colour dimmed for a cell brightness, the way the classic green ramps from 80 to 255
+    getTrailColor(brightness) {
+        const level = (80 + brightness * 175) / 255;
+        return MatrixFilter.parseColor(this.getPalette().trail).map(c => Math.floor(c * level));
+    }
+
+    // Rebuild the glyph atlas when the glyphs, size or colours change
+    updateAtlas() {
+        this.messageChars = Array.from(this.message);
+        const messageGlyphs = Array.from(new Set(this.messageChars)).slice(0, MATRIX_MAX_GLYPHS);
+        const glyphs = Array.from(new Set([...this.glyphs, ...messageGlyphs]));
+        const palette = this.getPalette();
+        const key = `${this.charSize}|${Object.values(palette).join()}|${glyphs.join('')}`;
+        if (key === this.atlasKey) return;
+
+        const tones = [];
+        for (let i = 0; i < MATRIX_TRAIL_TONES; i++) {
+            const brightness = (i + 0.5) / MATRIX_TRAIL_TONES;
+            tones.push({ color: `rgb(${this.getTrailColor(brightness).join(', ')})` });
+        }
+        // No baked-in glow: drawGlow() blooms the whole frame at once
+        tones[MATRIX_TONE_LEAD] = { color: palette.head };
+        tones[MATRIX_TONE_SPARK_WHITE] = { color: palette.glow };
+        tones[MATRIX_TONE_SPARK_GREEN] = { color: palette.spark };
+
+        const font = `${this.charSize}px "MS Gothic", "Hiragino Kaku Gothic Pro", monospace`;
+        this.atlas = new GlyphAtlas(glyphs, this.charSize, font, tones);
+        this.atlasKey = key;
+    }
+
+    // Message glyph for a cell: text runs down each column and scrolls with its stream
+    getMessageChar(stream, y) {
+        const text = this.messageChars;
+        const index = y - Math.floor(stream.y) + stream.offset;
+        return text[((index % text.length) + text.length) % text.length];
+    }
+
+    processVideoFrame() {
+        const size = getSourceSize(this.video);
+        if (!size.width || !this.gridWidth) return;
+
+        if (this.videoCanvas.width !== this.gridWidth || this.videoCanvas.height !== this.gridHeight) {
+            this.videoCanvas.width = this.gridWidth;
+            this.videoCanvas.height = this.gridHeight;
+        }
+
+        this.videoCtx.imageSmoothingEnabled = true;
+        this.videoCtx.imageSmoothingQuality = 'high';
+        this.videoCtx.save();
+        this.videoCtx.scale(-1, 1);
+        this.videoCtx.drawImage(this.video, -this.gridWidth, 0, this.gridWidth, this.gridHeight);
+        this.videoCtx.restore();
+
+        const imageData = this.videoCtx.getImageData(0, 0, this.gridWidth, this.gridHeight);
+        this.brightnessData = imageData.data;
+    }
+
+    // Average source colour under a cell
+    getColorAt(gridX, gridY) {
+        if (!this.brightnessData) return [0, 0, 0];
+
+        const idx = (gridY * this.gridWidth + gridX) * 4;
+        return [this.brightnessData[idx], this.brightnessData[idx + 1], this.brightnessData[idx + 2]];
+    }
+
+    getRampChar(brightness) {
+        const index = Math.floor(brightness * MATRIX_DENSITY_RAMP.length);
+        return MATRIX_DENSITY_RAMP[Math.max(0, Math.min(MATRIX_DENSITY_RAMP.length - 1, index))];
+    }
+
+    // ASCII glyph colour: the palette's trail tone for this brightness, or the source colour
+    getAsciiColor(gridX, gridY, brightness) {
+        if (this.asciiColor === 'source' || this.palette === 'source') return this.getColorAt(gridX, gridY);
+        return this.getTrailColor(brightness);
+    }
+
+    // Contrast and sensitivity curve for each 8-bit luma, rebuilt when either setting changes
+    getBrightnessCurve() {
+        const key = `${this.contrast}|${this.brightnessSensitivity}`;
+        if (key === this.brightnessCurveKey) return this.brightnessCurve;
+
+        const contrastFactor = this.contrast / 5;
+        for (let luma = 0; luma < 256; luma++) {
+            let brightness = (luma / 255 - 0.5) * contrastFactor + 0.5;
+            brightness = Math.max(0, Math.min(1, brightness));
+            this.brightnessCurve[luma] = Math.pow(brightness, 2 - (this.brightnessSensitivity / 5));
+        }
+        this.brightnessCurveKey = key;
+        return this.brightnessCurve;
+    }
+
+    getBrightnessAt(gridX, gridY) {
+        if (!this.brightnessData) return 0;
+
+        const data = this.brightnessData;
+        const idx = (gridY * this.gridWidth + gridX) * 4;
+        const luma = Math.round(data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114);
+        return this.getBrightnessCurve()[luma];
+    }
+
+    // `steps` is the elapsed time in 16 ms frames, so non-real-time renders keep real-time pacing
+    updateGrid(steps = 1) {
+        const smoothing = 1 - Math.pow(0.7, steps);
+        // getBrightnessAt() unrolled, since this runs for every cell every frame
+        const curve = this.getBrightnessCurve();
+        const data = this.brightnessData;
+        const motion = this.motion.map;
+        const churn = MATRIX_MOTION_CHURN * this.motionResponse;
+
+        for (let x = 0; x < this.gridWidth; x++) {
+            const column = this.grid[x];
+            let columnTotal = 0;
+            for (let y = 0; y < this.gridHeight; y++) {
+                const cell = column[y];
+                const idx = (y * this.gridWidth + x) * 4;
+                cell.targetBrightness = curve[Math.round(data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114)];
+                cell.brightness += (cell.targetBrightness - cell.brightness) * smoothing;
+                columnTotal += cell.brightness;
+
+                // Glyphs flicker faster where it's bright and where something moves
+                cell.changeTimer -= (1 + cell.brightness * 2 + motion[y * this.gridWidth + x] * churn) * steps;
+                if (cell.changeTimer <= 0) {
+                    cell.char = this.getRandomChar();
+                    cell.changeTimer = 20 + this.random.next() * 80;
+                }
+            }
+            this.columnBrightness[x] = columnTotal / this.gridHeight;
+        }
+    }
+
+    updateStreams(steps = 1) {
+        for (let x = 0; x < this.gridWidth; x++) {
+            const speedMod = 0.5 + this.columnBrightness[x] * 1.5;
+
+            const column = this.columnStreams[x];
+            for (let i = 0; i < column.length; i++) {
+                const stream = column[i];
+                // Movement around the head pushes the stream along
+                const headMotion = this.motion.getCell(x, Math.floor(stream.y)) * this.motionResponse;
+                const motionMod = 1 + Math.min(1, headMotion) * MATRIX_MOTION_SPEED;
+                // Speeds wander smoothly, in gusts shared with neighbouring columns; the streams
+                // of one column sample the field far apart, so they don't move in step
+                const wander = 1 + this.streamWander * MATRIX_WANDER_RANGE *
+                    this.streamNoise.noise2D(x * MATRIX_WANDER_COLUMN_SCALE + i * 31.7, this.time * MATRIX_WANDER_RATE);
+                stream.y += stream.speed * (this.fallSpeed / 5) * speedMod * motionMod * wander * steps;
+
+                if (stream.y - stream.length > this.gridHeight) {
+                    // Rain re-enters after a random pause so streams sharing a column drift apart
+                    const pause = this.renderMode === 'rain' ? this.random.next() * this.gridHeight * 0.5 : 0;
+                    stream.y = -stream.length - pause;
+                    stream.speed = 0.3 + this.random.next() * 0.4;
+                    stream.length = 5 + Math.floor(this.random.next() * 15);
+                }
+            }
+        }
+    }
+
+    checkForExplosions(steps = 1) {
+        if (this.explosionRate === 0) return;
+
+        for (let x = 0; x < this.gridWidth; x += 8) {
+            for (let y = 0; y < this.gridHeight; y += 8) {
+                const brightness = this.grid[x][y].brightness;
+                const gesture = this.motion.getCell(x, y) * this.motionResponse;
+
+                // Bright spots glitch now and then; fast movement far more often
+                let chance = 0;
+                if (brightness > 0.85) chance += (this.explosionRate / 3000) * brightness;
+                if (gesture > MATRIX_GESTURE_MOTION) chance += (this.explosionRate / 30) * (gesture - MATRIX_GESTURE_MOTION);
+
+                if (chance > 0 && this.random.next() < chance * steps) {
+                    this.createExplosion(
+                        x * this.charSize + this.charSize / 2,
+                        y * this.charSize + this.charSize / 2,
+                        Math.max(brightness, Math.min(1, gesture))
+                    );
+                }
+            }
+        }
+    }
+
+    createExplosion(x, y, intensity) {
+        const sizeMultiplier = 0.15 + this.random.next() * 0.1;
+        const spreadX = this.canvas.width * sizeMultiplier;
+        const spreadY = this.canvas.height * sizeMultiplier;
+        const particleCount = 15 + Math.floor(intensity * 30);
+
+        for (let i = 0; i < particleCount; i++) {
+            const isStationary = this.random.next() < 0.4;
+            const vx = isStationary ? 0 : (this.random.next() - 0.5) * 0.3;
+            const vy = isStationary ? 0 : (this.random.next() - 0.5) * 0.3;
+            const offsetX = (this.random.next() - 0.5) * spreadX;
+            const offsetY = (this.random.next() - 0.5) * spreadY;
+
+            this.explosions.push({
+                x: x + offsetX,
+                y: y + offsetY,
+                vx: vx,
+                vy: vy,
+                life: 1,
+                decay: 0.006 + this.random.next() * 0.01,
+                char: this.getRandomChar(),
+                isWhite: this.random.next() < 0.5,
+                hasGravity: this.random.next() < 0.3
+            });
+        }
+    }
+
+    updateExplosions(steps = 1) {
+        for (let i = this.explosions.length - 1; i >= 0; i--) {
+            const p = this.explosions[i];
+
+            p.x += p.vx * steps;
+            p.y += p.vy * steps;
+
+            if (p.hasGravity) {
+                p.vy += 0.02 * steps;
+            }
+
+            p.life -= p.decay * steps;
+
+            if (this.random.next() < 0.05 * steps) {
+                p.char = this.getRandomChar();
+            }
+
+            if (p.life <= 0) {
+                this.explosions.splice(i, 1);
+            }
+        }
+
+        if (this.explosions.length > 500) {
+            this.explosions.splice(0, this.explosions.length - 500);
+        }
+    }
+
+    // Bullet time: ease towards slow motion while the scene is still, back to real time when it moves
+    updateTimeScale(steps) {
+        const stillness = 1 - Math.min(1, this.motion.globalMotion / MATRIX_STILL_MOTION);
+        const target = 1 - this.bulletTime * stillness * 0.9;
+        this.timeScale += (target - this.timeScale) * (1 - Math.pow(0.95, steps));
+        return this.timeScale;
+    }
+
+    // Fresh black trail layer at the output size
+    clearTrails() {
+        this.trailCanvas.width = this.canvas.width;
+        this.trailCanvas.height = this.canvas.height;
+        this.trailCtx.fillStyle = '#000';
+        this.trailCtx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    draw(deltaMs = 16) {
+        let steps = deltaMs / 16;
+        if (!this.canvas.width || !this.canvas.height) return;
+
+        // Rebuild the grid if the canvas or character size changed underneath us
+        if (this.gridCharSize !== this.charSize || this.gridStreams !== this.streamsPerColumn ||
+            Math.ceil(this.canvas.width / this.charSize) !== this.gridWidth ||
+            Math.ceil(this.canvas.height / this.charSize) !== this.gridHeight) {
+            this.initGrid();
+        }
+
+        this.updateGlyphs();
+        this.updateAtlas();
+        this.processVideoFrame();
+        // Rain isn't gated on brightness alone, so hold it until there's a source to mask with
+        if (!this.brightnessData) return;
+        this.motion.updateGrid(this.brightnessData, this.gridWidth, this.gridHeight);
+
+        // From here on time runs at the bullet time rate
+        steps *= this.updateTimeScale(steps);
+        this.time += steps;
+        this.updateGrid(steps);
+
+        if (this.renderMode === 'ascii') {
+            this.drawAscii();
+            return;
+        }
+
+        this.updateStreams(steps);
+        this.checkForExplosions(steps);
+        this.updateExplosions(steps);
+
+        if (this.trailCanvas.width !== this.canvas.width || this.trailCanvas.height !== this.canvas.height) {
+            this.clearTrails();
+        }
+        const ctx = this.trailCtx;
+
+        // Trail fade, compounded over the elapsed frames
+        ctx.fillStyle = `rgba(0, 0, 0, ${1 - Math.pow(0.9, steps)})`;
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Source-coloured trails can't come from the atlas, so they're drawn as text
+        if (this.palette === 'source') {
+            ctx.font = `${this.charSize}px "MS Gothic", "Hiragino Kaku Gothic Pro", monospace`;
+            ctx.textBaseline = 'top';
+        }
+
+        if (this.renderMode === 'luminance') {
+            this.drawLuminance();
+        } else {
+            this.drawRain();
+        }
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+        this.drawExplosions();
+
+        this.ctx.drawImage(this.trailCanvas, 0, 0);
+        this.drawGlow();
+    }
+
+    drawGlyph(char, gridX, gridY, tone, alpha) {
+        if (this.palette === 'source' && tone !== MATRIX_TONE_LEAD) {
+            this.drawSourceGlyph(char, gridX, gridY, alpha);
+        } else {
+            this.atlas.draw(this.trailCtx, char, tone, gridX * this.charSize, gridY * this.charSize, alpha);
+        }
+    }
+
+    // Every cell lit by its brightness; each column's first stream only marks a leading glyph
+    drawLuminance() {
+        const useMessage = this.messageChars.length > 0;
+
+        for (let x = 0; x < this.gridWidth; x++) {
+            const stream = this.columnStreams[x][0];
+
+            for (let y = 0; y < this.gridHeight; y++) {
+                const cell = this.grid[x][y];
+                const brightness = cell.brightness;
+
+                if (brightness < 0.05) continue;
+
+                const distFromHead = stream.y - y;
+                const isLeading = distFromHead >= 0 && distFromHead < 1;
+
+                let tone, alpha;
+                if (isLeading && brightness > 0.3) {
+                    tone = MATRIX_TONE_LEAD;
+                    alpha = 0.9 + brightness * 0.1;
+                } else {
+                    tone = Math.min(MATRIX_TRAIL_TONES - 1, Math.floor(brightness * MATRIX_TRAIL_TONES));
+                    alpha = 0.3 + brightness * 0.7;
+                }
+
+                const char = useMessage ? this.getMessageChar(stream, y) : cell.char;
+                this.drawGlyph(char, x, y, tone, alpha);
+            }
+        }
+    }
+
+    // Glyphs only show behind a stream head, fading out over its length;
+    // video brightness then scales what's revealed
+    drawRain() {
+        const useMessage = this.messageChars.length > 0;
+        const mask = this.videoMask;
+        const trails = this.cellTrail;
+        const owners = this.cellStream;
+        const lit = this.litCells;
+        lit.length = 0;
+
+        // Each stream marks just the cells it covers, so the work follows the rain rather than the
+        // grid; where streams overlap the strongest trail wins
+        for (let s = 0; s < this.streams.length; s++) {
+            const stream = this.streams[s];
+            const top = Math.max(0, Math.floor(stream.y - stream.length) + 1);
+            const bottom = Math.min(this.gridHeight - 1, Math.floor(stream.y));
+
+            for (let y = top; y <= bottom; y++) {
+                const i = stream.x * this.gridHeight + y;
+                const strength = 1 - (stream.y - y) / stream.length;
+                if (trails[i] === 0) lit.push(i);
+                if (strength > trails[i]) {
+                    trails[i] = strength;
+                    owners[i] = s;
+                }
+            }
+        }
+
+        for (const i of lit) {
+            const x = Math.floor(i / this.gridHeight);
+            const y = i - x * this.gridHeight;
+            const trail = trails[i];
+            const source = this.streams[owners[i]];
+            trails[i] = 0;
+
+            const cell = this.grid[x][y];
+            const intensity = trail * (1 - mask + mask * cell.brightness);
+            if (intensity < 0.05) continue;
+
+            const isHead = source.y - y < 1;
+            const tone = isHead
+                ? MATRIX_TONE_LEAD
+                : Math.min(MATRIX_TRAIL_TONES - 1, Math.floor(intensity * MATRIX_TRAIL_TONES));
+            const alpha = isHead ? 0.5 + intensity * 0.5 : 0.3 + intensity * 0.7;
+
+            const char = useMessage ? this.getMessageChar(source, y) : cell.char;
+            this.drawGlyph(char, x, y, tone, alpha);
+        }
+    }
+
+    // Mirrored glyph in the colour of the video under the cell; one setTransform instead of save/restore
+    drawSourceGlyph(char, gridX, gridY, alpha) {
+        const ctx = this.trailCtx;
+        const [r, g, b] = this.getColorAt(gridX, gridY);
+        ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${alpha})`;
+        ctx.setTransform(-1, 0, 0, 1, (gridX + 1) * this.charSize, gridY * this.charSize);
+        ctx.fillText(char, 0, 0);
+    }
+
+    // Bloom for the whole frame in one pass: shrink it (averaging each block), tint it with the
+    // glow colour and add it back over the output, brightening and dimming slowly with the shimmer
+    drawGlow() {
+        if (this.glow <= 0) return;
+
+        const width = Math.ceil(this.canvas.width / MATRIX_GLOW_SCALE);
+        const height = Math.ceil(this.canvas.height / MATRIX_GLOW_SCALE);
+        if (this.glowCanvas.width !== width || this.glowCanvas.height !== height) {
+            this.glowCanvas.width = width;
+            this.glowCanvas.height = height;
+        }
+
+        const glowCtx = this.glowCtx;
+        glowCtx.imageSmoothingEnabled = true;
+        glowCtx.imageSmoothingQuality = 'high';
+        glowCtx.drawImage(this.trailCanvas, 0, 0, width, height);
+        glowCtx.globalCompositeOperation = 'multiply';
+        glowCtx.fillStyle = this.getPalette().glow;
+        glowCtx.fillRect(0, 0, width, height);
+        glowCtx.globalCompositeOperation = 'source-over';
+
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = 'lighter';
+        const shimmer = 1 + this.glowShimmer * this.glowNoise.fbm(this.time * MATRIX_SHIMMER_RATE, 0.5);
+        this.ctx.globalAlpha = Math.min(1, this.glow * shimmer);
+        this.ctx.imageSmoothingEnabled = true;
+        this.ctx.drawImage(this.glowCanvas, 0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.restore();
+    }
+
+    // Character art: each cell shows the ramp glyph for its brightness, unmirrored so it reads
+    drawAscii() {
+        const ctx = this.ctx;
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        const font = `${this.charSize}px "Courier New", monospace`;
+        const useSource = this.asciiColor === 'source' || this.palette === 'source';
+
+        const key = `${this.charSize}|${this.getPalette().trail}`;
+        if (!useSource && this.asciiAtlasKey !== key) {
+            const tones = [];
+            for (let i = 0; i < MATRIX_TRAIL_TONES; i++) {
+                tones.push({ color: `rgb(${this.getTrailColor((i + 0.5) / MATRIX_TRAIL_TONES).join(', ')})` });
+            }
+            this.asciiAtlas = new GlyphAtlas(MATRIX_DENSITY_RAMP, this.charSize, font, tones, false);
+            this.asciiAtlasKey = key;
+        }
+
+        ctx.font = font;
+        ctx.textBaseline = 'top';
+
+        for (let x = 0; x < this.gridWidth; x++) {
+            for (let y = 0; y < this.gridHeight; y++) {
+                const brightness = this.grid[x][y].brightness;
+                const char = this.getRampChar(brightness);
+                if (char === ' ') continue;
+
+                const drawX = x * this.charSize;
+                const drawY = y * this.charSize;
+
+                if (useSource) {
+                    const [r, g, b] = this.getColorAt(x, y);
+                    ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+                    ctx.fillText(char, drawX, drawY);
+                } else {
+                    const tone = Math.min(MATRIX_TRAIL_TONES - 1, Math.floor(brightness * MATRIX_TRAIL_TONES));
+                    this.asciiAtlas.draw(ctx, char, tone, drawX, drawY);
+                }
+            }
+        }
+    }
+
+    // Current frame as density-ramp character art: 'plain', 'ansi' (24-bit colour escapes) or 'html'
+    toText(format = 'plain') {
+        // Only the grid's size matters here. An out-of-date grid is built from a throwaway
+        // generator and left marked stale, so the next draw() rebuilds it from the seeded one
+        // exactly as if nothing had been exported.
+        if (this.gridCharSize !== this.charSize || this.grid.length === 0) {
+            this.initGrid(new SeededRandom(this.random.seed));
+            this.gridCharSize = 0;
+        }
+        this.processVideoFrame();
+
+        const lines = [];
+        for (let y = 0; y < this.gridHeight; y++) {
+            let line = '';
+            let lastColor = null;
+
+            for (let x = 0; x < this.gridWidth; x++) {
+                const brightness = this.getBrightnessAt(x, y);
+                const char = this.getRampChar(brightness);
+                if (format === 'plain') {
+                    line += char;
+                    continue;
+                }
+
+                const color = this.getAsciiColor(x, y, brightness).join(format === 'ansi' ? ';' : ', ');
+                if (format === 'ansi') {
+                    if (color !== lastColor) line += `\x1b[38;2;${color}m`;
+                    line += char;
+                } else {
+                    const escaped = char.replace('&', '&amp;').replace('<', '&lt;').replace('>', '&gt;');
+                    if (color !== lastColor) {
+                        if (lastColor !== null) line += '</span>';
+                        line += `<span style="color: rgb(${color})">`;
+                    }
+                    line += escaped;
+                }
+                lastColor = color;
+            }
+
+            if (format === 'ansi') line += '\x1b[0m';
+            if (format === 'html' && lastColor !== null) line += '</span>';
+            lines.push(line);
+        }
+
+        const text = lines.join('\n');
+        if (format !== 'html') return text + '\n';
+
+        return '<!DOCTYPE html>\n<html>\n<head><meta charset="utf-8"><title>Four Fingers</title></head>\n' +
+            '<body style="margin: 0; background: #000;">\n' +
+            '<pre style="margin: 0; font: 12px/1 \'Courier New\', monospace; letter-spacing: 0.4em;">\n' +
+            text + '\n</pre>\n</body>\n</html>\n';
+    }
+
+    drawExplosions() {
+        for (const p of this.explosions) {
+            const tone = p.isWhite ? MATRIX_TONE_SPARK_WHITE : MATRIX_TONE_SPARK_GREEN;
+            // Sparks are anchored at their right edge, as they were when drawn mirrored
+            this.atlas.draw(this.trailCtx, p.char, tone, p.x - this.charSize, p.y, p.life);
+        }
+    }
+}
+
+// Export (self is window on the page, the global scope in the filter worker)
+self.MatrixFilter = MatrixFilter;
+
+FilterRegistry.register('matrix', MatrixFilter, {
+    name: 'Matrix',
+    color: '#00ff41',
+    params: [
+        { id: 'charSize', label: 'Character Size', min: 8, max: 24, default: 12, unit: 'px' },
+        { id: 'fallSpeed', label: 'Fall Speed', min: 1, max: 10, default: 5 },
+        { id: 'brightness', label: 'Brightness', property: 'brightnessSensitivity', min: 1, max: 10, default: 6 },
+        { id: 'explosionRate', label: 'Glitch Rate', min: 0, max: 10, default: 3 },
+        { id: 'contrast', label: 'Contrast', min: 1, max: 10, default: 7 },
+        { id: 'matrixGlow', label: 'Glow', property: 'glow', min: 0, max: 10, default: 5, transform: val => val / 10 },
+        { id: 'glowShimmer', label: 'Glow Shimmer', min: 0, max: 10, default: 3, transform: val => val / 10 },
+        { id: 'streamWander', label: 'Speed Wander', min: 0, max: 10, default: 4, transform: val => val / 10 },
+        { id: 'motionResponse', label: 'Motion Response', min: 0, max: 10, default: 5, transform: val => val / 5 },
+        { id: 'bulletTime', label: 'Bullet Time', min: 0, max: 10, default: 0, transform: val => val / 10 },
+        {
+            id: 'glyphSet', label: 'Glyphs', type: 'select', default: 'katakana',
+            options: [
+                { value: 'katakana', label: 'Katakana' },
+                { value: 'digits', label: 'Digits' },
+                { value: 'binary', label: 'Binary' },
+                { value: 'latin', label: 'Latin' },
+                { value: 'hex', label: 'Hex' },
+                { value: 'emoji', label: 'Emoji' },
+                { value: 'custom', label: 'Custom' }
+            ]
+        },
+        { id: 'customGlyphs', label: 'Custom Glyphs', type: 'text', default: '', placeholder: 'Characters for the Custom set' },
+        { id: 'rainMessage', label: 'Message', property: 'message', type: 'text', default: '', placeholder: 'Text for the streams to spell' },
+        {
+            id: 'matrixStyle', label: 'Style', property: 'renderMode', type: 'select', default: 'rain',
+            options: [
+                { value: 'rain', label: 'Digital Rain' },
+                { value: 'luminance', label: 'Luminance Only' },
+                { value: 'ascii', label: 'ASCII Art' }
+            ]
+        },
+        { id: 'streamsPerColumn', label: 'Streams per Column', min: 1, max: 4, default: 2 },
+        { id: 'videoMask', label: 'Video Mask', min: 0, max: 10, default: 8, transform: val => val / 10 },
+        {
+            id: 'asciiColor', label: 'ASCII Color', type: 'select', default: 'palette',
+            options: [
+                { value: 'palette', label: 'Palette' },
+                { value: 'source', label: 'Source Color' }
+            ]
+        },
+        {
+            id: 'matrixPalette', label: 'Palette', property: 'palette', type: 'select', default: 'classic',
+            options: [
+                { value: 'classic', label: 'Classic Green' },
+                { value: 'amber', label: 'Amber Terminal' },
+                { value: 'cyberpunk', label: 'Cyberpunk' },
+                { value: 'source', label: 'Source Color' },
+                { value: 'custom', label: 'Custom' }
+            ]
+        },
+        // Used by the Custom palette
+        { id: 'trailColor', label: 'Trail Color', type: 'color', default: MATRIX_PALETTES.classic.trail },
+        { id: 'headColor', label: 'Head Color', type: 'color', default: MATRIX_PALETTES.classic.head },
+        { id: 'glowColor', label: 'Glow Color', type: 'color', default: MATRIX_PALETTES.classic.glow },
+        { id: 'sparkColor', label: 'Glitch Color', type: 'color', default: MATRIX_PALETTES.classic.spark }
+    ],
+    // Downloads offered in the settings section
+    exports: [
+        { label: 'Text', extension: 'txt', type: 'text/plain', create: filter => filter.toText('plain') },
+        { label: 'ANSI', extension: 'ans', type: 'text/plain', create: filter => filter.toText('ansi') },
+        { label: 'HTML', extension: 'html', type: 'text/html', create: filter => filter.toText('html') }
+    ]
+});
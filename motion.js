@@ -0,0 +1,101 @@
+// Motion Detector - Frame-difference motion on a coarse grid, shared by the filters
+// Each cell keeps a smoothed change level; globalMotion is the smoothed average over the frame
+
+class MotionDetector {
+    // cellSize: source pixels per grid cell when fed full-size frames through update()
+    constructor(cellSize = 16) {
+        this.cellSize = cellSize;
+        this.width = 0;
+        this.height = 0;
+        this.map = null;
+        this.globalMotion = 0;
+
+        this.prevFrame = null;
+        this.samples = null;
+    }
+
+    // Forget history, e.g. after a seek or reseed
+    reset() {
+        this.width = 0;
+        this.height = 0;
+        this.map = null;
+        this.globalMotion = 0;
+        this.prevFrame = null;
+    }
+
+    // Full-size RGBA frame: compare the pixel at the centre of each cell
+    update(src, width, height) {
+        const gridW = Math.floor(width / this.cellSize);
+        const gridH = Math.floor(height / this.cellSize);
+        if (gridW === 0 || gridH === 0) return;
+
+        if (!this.samples || this.samples.length !== gridW * gridH * 4) {
+            this.samples = new Uint8ClampedArray(gridW * gridH * 4);
+        }
+
+        const half = Math.floor(this.cellSize / 2);
+        for (let gy = 0; gy < gridH; gy++) {
+            for (let gx = 0; gx < gridW; gx++) {
+                const idx = ((gy * this.cellSize + half) * width + gx * this.cellSize + half) * 4;
+                const sampleIdx = (gy * gridW + gx) * 4;
+                this.samples[sampleIdx] = src[idx];
+                this.samples[sampleIdx + 1] = src[idx + 1];
+                this.samples[sampleIdx + 2] = src[idx + 2];
+            }
+        }
+
+        this.updateGrid(this.samples, gridW, gridH);
+    }
+
+    // RGBA frame already shrunk to one pixel per cell
+    updateGrid(src, gridW, gridH) {
+        if (gridW === 0 || gridH === 0) return;
+
+        // New grid size: start over rather than diff mismatched frames
+        if (gridW !== this.width || gridH !== this.height) {
+            this.width = gridW;
+            this.height = gridH;
+            this.map = new Float32Array(gridW * gridH);
+            this.prevFrame = null;
+        }
+
+        if (!this.prevFrame) {
+            this.prevFrame = new Uint8ClampedArray(src.subarray(0, gridW * gridH * 4));
+            return;
+        }
+
+        let totalMotion = 0;
+        for (let i = 0; i < gridW * gridH; i++) {
+            const idx = i * 4;
+            const diffR = Math.abs(src[idx] - this.prevFrame[idx]);
+            const diffG = Math.abs(src[idx + 1] - this.prevFrame[idx + 1]);
+            const diffB = Math.abs(src[idx + 2] - this.prevFrame[idx + 2]);
+            const motion = (diffR + diffG + diffB) / (255 * 3);
+
+            // Smooth motion over time
+            this.map[i] = this.map[i] * 0.7 + motion * 0.3;
+            totalMotion += this.map[i];
+        }
+
+        const avgMotion = totalMotion / (gridW * gridH);
+        this.globalMotion = this.globalMotion * 0.8 + avgMotion * 0.2;
+
+        this.prevFrame.set(src.subarray(0, gridW * gridH * 4));
+    }
+
+    // Motion of a grid cell; outside the grid falls back to the frame average
+    getCell(gx, gy) {
+        if (!this.map || gx < 0 || gy < 0 || gx >= this.width || gy >= this.height) {
+            return this.globalMotion;
+        }
+        return this.map[gy * this.width + gx];
+    }
+
+    // Motion at a source pixel position, for frames fed through update()
+    getMotionAt(x, y) {
+        return this.getCell(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+    }
+}
+
+// Export (self is window on the page, the global scope in the filter worker)
+self.MotionDetector = MotionDetector;
@@ -0,0 +1,85 @@
+// Gradient Noise - Seeded, tileable Perlin noise and fractal sums of it
+// Random unit gradients sit on a lattice that wraps every `period` cells, so the field tiles;
+// the GL renderer uploads the same lattice so both backends animate the same noise
+
+// Lattice cells before the noise repeats; a power of two
+const NOISE_PERIOD = 256;
+
+class GradientNoise {
+    // period: lattice size, rounded up to a power of two
+    constructor(seed = 1, period = NOISE_PERIOD) {
+        this.period = 2 ** Math.ceil(Math.log2(Math.max(2, period)));
+        this.gradients = null;
+        this.setSeed(seed);
+    }
+
+    // Accepts anything SeededRandom does. The lattice is rebuilt rather than refilled, so
+    // anything cached against the old one (the GL texture) is dropped with it.
+    setSeed(seed) {
+        const random = new SeededRandom(seed);
+        const count = this.period * this.period;
+        this.gradients = new Float32Array(count * 2);
+        for (let i = 0; i < count; i++) {
+            const angle = random.next() * Math.PI * 2;
+            this.gradients[i * 2] = Math.cos(angle);
+            this.gradients[i * 2 + 1] = Math.sin(angle);
+        }
+    }
+
+    // Perlin noise in [-1, 1], 0 on every lattice point
+    noise2D(x, y) {
+        const period = this.period;
+        const grads = this.gradients;
+        const fx = Math.floor(x);
+        const fy = Math.floor(y);
+        const dx = x - fx;
+        const dy = y - fy;
+
+        // The period is a power of two, so masking wraps negative cells too
+        const mask = period - 1;
+        const x0 = fx & mask;
+        const y0 = fy & mask;
+        const x1 = (x0 + 1) & mask;
+        const y1 = (y0 + 1) & mask;
+
+        const g00 = (y0 * period + x0) * 2;
+        const g10 = (y0 * period + x1) * 2;
+        const g01 = (y1 * period + x0) * 2;
+        const g11 = (y1 * period + x1) * 2;
+        const n00 = grads[g00] * dx + grads[g00 + 1] * dy;
+        const n10 = grads[g10] * (dx - 1) + grads[g10 + 1] * dy;
+        const n01 = grads[g01] * dx + grads[g01 + 1] * (dy - 1);
+        const n11 = grads[g11] * (dx - 1) + grads[g11 + 1] * (dy - 1);
+
+        // Quintic fade, so the field has no creases at cell borders
+        const sx = dx * dx * dx * (dx * (dx * 6 - 15) + 10);
+        const sy = dy * dy * dy * (dy * (dy * 6 - 15) + 10);
+
+        const nx0 = n00 + (n10 - n00) * sx;
+        const nx1 = n01 + (n11 - n01) * sx;
+
+        // Unit gradients reach at most √½ halfway between lattice points
+        return (nx0 + (nx1 - nx0) * sy) * Math.SQRT2;
+    }
+
+    // Fractal Brownian motion: octaves of noise, each lacunarity times finer and gain times
+    // weaker than the last, normalized back to [-1, 1]
+    fbm(x, y, octaves = 3, lacunarity = 2, gain = 0.5) {
+        let value = 0;
+        let amplitude = 1;
+        let frequency = 1;
+        let total = 0;
+
+        for (let i = 0; i < octaves; i++) {
+            value += amplitude * this.noise2D(x * frequency, y * frequency);
+            total += amplitude;
+            amplitude *= gain;
+            frequency *= lacunarity;
+        }
+
+        return total > 0 ? value / total : 0;
+    }
+}
+
+// Export (self is window on the page, the global scope in the filter worker)
+self.GradientNoise = GradientNoise;
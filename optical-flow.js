@@ -0,0 +1,320 @@
+// Optical Flow - Where each patch of the frame moved since the last one
+// Coarse-to-fine block matching on a luminance pyramid: the coarsest level searches wide,
+// each finer level refines the vector it inherits, and the finest adds a sub-pixel step
+
+// Extra matching cost per pixel of offset (luminance units per block pixel), so flat or
+// noisy patches settle on no motion instead of a random match
+const FLOW_OFFSET_PENALTY = 0.2;
+
+// Summed block gradient (per pixel) below which a patch has too little texture to match;
+// those take the flow of their neighbours instead
+const FLOW_MIN_TEXTURE = 4;
+
+// Search distance, in pixels of its level, around the vector a finer level inherits
+const FLOW_REFINE_RADIUS = 2;
+
+class OpticalFlow {
+    // blockSize: pixels per flow vector along each side; searchRadius: search distance at the
+    // coarsest level, in its pixels; levels: pyramid depth. The largest motion found is about
+    // searchRadius * 2^(levels - 1) pixels per frame.
+    constructor({ blockSize = 4, searchRadius = 4, levels = 3 } = {}) {
+        this.blockSize = blockSize;
+        this.searchRadius = searchRadius;
+        this.levels = levels;
+
+        this.width = 0;
+        this.height = 0;
+        this.previous = null;
+
+        // Flow per block of the full-size frame, in its pixels per frame
+        this.gridW = 0;
+        this.gridH = 0;
+        this.flowX = null;
+        this.flowY = null;
+    }
+
+    // Forget the previous frame, e.g. after a seek or reseed
+    reset() {
+        this.width = 0;
+        this.height = 0;
+        this.previous = null;
+        this.gridW = 0;
+        this.gridH = 0;
+        this.flowX = null;
+        this.flowY = null;
+    }
+
+    // Luminance frame (0-255, one value per pixel). The first frame, or one of a new size,
+    // gives no motion.
+    update(lum, width, height) {
+        const current = this.buildPyramid(lum, width, height);
+
+        if (width !== this.width || height !== this.height || !this.previous) {
+            this.width = width;
+            this.height = height;
+            this.gridW = Math.floor(width / this.blockSize);
+            this.gridH = Math.floor(height / this.blockSize);
+            this.flowX = new Float32Array(this.gridW * this.gridH);
+            this.flowY = new Float32Array(this.gridW * this.gridH);
+            this.previous = current;
+            return;
+        }
+
+        // Coarsest level first; each finer one starts from the vectors of the level above
+        let coarse = null;
+        for (let level = current.length - 1; level >= 0; level--) {
+            coarse = this.matchLevel(this.previous[level], current[level], coarse, level === current.length - 1);
+        }
+
+        this.fillUntextured(coarse);
+        this.flowX = this.median(coarse.flowX, coarse.gridW, coarse.gridH);
+        this.flowY = this.median(coarse.flowY, coarse.gridW, coarse.gridH);
+        this.previous = current;
+    }
+
+    // Halve the frame until the blocks would no longer fit
+    buildPyramid(lum, width, height) {
+        const pyramid = [{ lum: Float32Array.from(lum.subarray(0, width * height)), width, height }];
+
+        for (let level = 1; level < this.levels; level++) {
+            const above = pyramid[level - 1];
+            const w = Math.floor(above.width / 2);
+            const h = Math.floor(above.height / 2);
+            if (w < this.blockSize * 2 || h < this.blockSize * 2) break;
+
+            const out = new Float32Array(w * h);
+            for (let y = 0; y < h; y++) {
+                for (let x = 0; x < w; x++) {
+                    const i = y * 2 * above.width + x * 2;
+                    out[y * w + x] = (above.lum[i] + above.lum[i + 1] +
+                        above.lum[i + above.width] + above.lum[i + above.width + 1]) * 0.25;
+                }
+            }
+            pyramid.push({ lum: out, width: w, height: h });
+        }
+        return pyramid;
+    }
+
+    // Block matching on one level. coarse: the level above's result, whose vectors (doubled)
+    // are the starting guesses; widest: whether this is the coarsest level, which searches wide.
+    matchLevel(prev, cur, coarse, widest) {
+        const block = this.blockSize;
+        const { width, height } = prev;
+        const gridW = Math.floor(width / block);
+        const gridH = Math.floor(height / block);
+        const radius = widest ? this.searchRadius : FLOW_REFINE_RADIUS;
+        const finest = prev.width === this.width;
+
+        const flowX = new Float32Array(gridW * gridH);
+        const flowY = new Float32Array(gridW * gridH);
+        const texture = new Float32Array(gridW * gridH);
+
+        for (let by = 0; by < gridH; by++) {
+            for (let bx = 0; bx < gridW; bx++) {
+                const x0 = bx * block;
+                const y0 = by * block;
+
+                let guessX = 0;
+                let guessY = 0;
+                if (coarse) {
+                    const c = Math.min(by >> 1, coarse.gridH - 1) * coarse.gridW + Math.min(bx >> 1, coarse.gridW - 1);
+                    guessX = Math.round(coarse.flowX[c] * 2);
+                    guessY = Math.round(coarse.flowY[c] * 2);
+                }
+
+                // Search around the inherited guess, and around no motion in case the coarse
+                // level was fooled by detail it blurred away
+                let bestX = 0;
+                let bestY = 0;
+                let bestCost = Infinity;
+                const searches = guessX === 0 && guessY === 0 ? 1 : 2;
+                for (let s = 0; s < searches; s++) {
+                    const cx = s === 0 ? guessX : 0;
+                    const cy = s === 0 ? guessY : 0;
+                    for (let dy = cy - radius; dy <= cy + radius; dy++) {
+                        for (let dx = cx - radius; dx <= cx + radius; dx++) {
+                            const cost = this.blockCost(prev, cur, x0, y0, dx, dy, bestCost);
+                            if (cost < bestCost) {
+                                bestCost = cost;
+                                bestX = dx;
+                                bestY = dy;
+                            }
+                        }
+                    }
+                }
+
+                let fx = bestX;
+                let fy = bestY;
+                if (finest) {
+                    // Parabola through the costs either side of the best match
+                    fx += this.subPixel(
+                        this.blockCost(prev, cur, x0, y0, bestX - 1, bestY), bestCost,
+                        this.blockCost(prev, cur, x0, y0, bestX + 1, bestY)
+                    );
+                    fy += this.subPixel(
+                        this.blockCost(prev, cur, x0, y0, bestX, bestY - 1), bestCost,
+                        this.blockCost(prev, cur, x0, y0, bestX, bestY + 1)
+                    );
+                }
+
+                const b = by * gridW + bx;
+                flowX[b] = fx;
+                flowY[b] = fy;
+                texture[b] = this.blockTexture(prev, x0, y0);
+            }
+        }
+
+        const result = { gridW, gridH, flowX, flowY, texture };
+        if (!finest) this.fillUntextured(result);
+        return result;
+    }
+
+    // Mean absolute difference between a block of prev and the block of cur it would have moved
+    // to, plus the offset penalty. Only the part still inside the frame counts, so patches can
+    // move out across the border; Infinity once less than half of the block is left, or as soon
+    // as the cost is sure to pass limit.
+    blockCost(prev, cur, x0, y0, dx, dy, limit = Infinity) {
+        const block = this.blockSize;
+        const { width, height } = prev;
+        const left = Math.max(0, -(x0 + dx));
+        const top = Math.max(0, -(y0 + dy));
+        const right = Math.min(block, width - (x0 + dx));
+        const bottom = Math.min(block, height - (y0 + dy));
+        const area = (right - left) * (bottom - top);
+        if (right <= left || bottom <= top || area * 2 < block * block) return Infinity;
+
+        const penalty = FLOW_OFFSET_PENALTY * (Math.abs(dx) + Math.abs(dy));
+        const budget = (limit - penalty) * area;
+        if (budget <= 0) return Infinity;
+
+        const prevLum = prev.lum;
+        const curLum = cur.lum;
+        let total = 0;
+        for (let y = top; y < bottom; y++) {
+            const p = (y0 + y) * width + x0;
+            const c = (y0 + y + dy) * width + x0 + dx;
+            for (let x = left; x < right; x++) {
+                total += Math.abs(prevLum[p + x] - curLum[c + x]);
+            }
+            if (total >= budget) return Infinity;
+        }
+        return total / area + penalty;
+    }
+
+    // Mean gradient inside a block: how well its match can be trusted
+    blockTexture(frame, x0, y0) {
+        const block = this.blockSize;
+        const { lum, width } = frame;
+        let total = 0;
+        for (let y = 0; y < block; y++) {
+            for (let x = 0; x < block - 1; x++) {
+                const i = (y0 + y) * width + x0 + x;
+                total += Math.abs(lum[i + 1] - lum[i]);
+                if (y < block - 1) total += Math.abs(lum[i + width] - lum[i]);
+            }
+        }
+        return total / (block * block);
+    }
+
+    // Offset of the minimum of a parabola through three costs at -1, 0 and +1
+    subPixel(left, centre, right) {
+        if (!isFinite(left) || !isFinite(right)) return 0;
+        const curve = left - 2 * centre + right;
+        if (curve <= 0) return 0;
+        return Math.max(-0.5, Math.min(0.5, (left - right) / (2 * curve)));
+    }
+
+    // Blocks too flat to match take the texture-weighted mean of their neighbours' flow.
+    // Two passes reach across small flat areas such as the inside of a hand.
+    fillUntextured(result) {
+        const { gridW, gridH, flowX, flowY, texture } = result;
+
+        for (let pass = 0; pass < 2; pass++) {
+            for (let by = 0; by < gridH; by++) {
+                for (let bx = 0; bx < gridW; bx++) {
+                    const b = by * gridW + bx;
+                    if (texture[b] >= FLOW_MIN_TEXTURE) continue;
+
+                    let sumX = 0;
+                    let sumY = 0;
+                    let weight = 0;
+                    for (let ny = Math.max(0, by - 1); ny <= Math.min(gridH - 1, by + 1); ny++) {
+                        for (let nx = Math.max(0, bx - 1); nx <= Math.min(gridW - 1, bx + 1); nx++) {
+                            const n = ny * gridW + nx;
+                            if (n === b || texture[n] < FLOW_MIN_TEXTURE) continue;
+                            sumX += flowX[n] * texture[n];
+                            sumY += flowY[n] * texture[n];
+                            weight += texture[n];
+                        }
+                    }
+
+                    if (weight > 0) {
+                        flowX[b] = sumX / weight;
+                        flowY[b] = sumY / weight;
+                        // Filled blocks can pass their flow on in the next pass
+                        texture[b] = FLOW_MIN_TEXTURE;
+                    } else {
+                        flowX[b] = 0;
+                        flowY[b] = 0;
+                    }
+                }
+            }
+        }
+    }
+
+    // 3x3 median of one flow component, which drops lone mismatches
+    median(values, gridW, gridH) {
+        const out = new Float32Array(values.length);
+        const window = new Float32Array(9);
+        for (let by = 0; by < gridH; by++) {
+            for (let bx = 0; bx < gridW; bx++) {
+                // Insertion sort into the window as it fills
+                let count = 0;
+                for (let ny = Math.max(0, by - 1); ny <= Math.min(gridH - 1, by + 1); ny++) {
+                    for (let nx = Math.max(0, bx - 1); nx <= Math.min(gridW - 1, bx + 1); nx++) {
+                        const v = values[ny * gridW + nx];
+                        let j = count++;
+                        while (j > 0 && window[j - 1] > v) {
+                            window[j] = window[j - 1];
+                            j--;
+                        }
+                        window[j] = v;
+                    }
+                }
+                out[by * gridW + bx] = window[count >> 1];
+            }
+        }
+        return out;
+    }
+
+    // Flow at a point of the frame (in its pixels), interpolated between block centres.
+    // Written to out as [x, y]; zero before there are two frames to compare.
+    sample(x, y, out) {
+        out[0] = 0;
+        out[1] = 0;
+        if (!this.flowX || this.gridW === 0 || this.gridH === 0) return out;
+
+        const block = this.blockSize;
+        const gx = Math.max(0, Math.min(this.gridW - 1, x / block - 0.5));
+        const gy = Math.max(0, Math.min(this.gridH - 1, y / block - 0.5));
+        const x0 = Math.floor(gx);
+        const y0 = Math.floor(gy);
+        const x1 = Math.min(x0 + 1, this.gridW - 1);
+        const y1 = Math.min(y0 + 1, this.gridH - 1);
+        const fx = gx - x0;
+        const fy = gy - y0;
+
+        const i00 = y0 * this.gridW + x0;
+        const i10 = y0 * this.gridW + x1;
+        const i01 = y1 * this.gridW + x0;
+        const i11 = y1 * this.gridW + x1;
+        out[0] = (this.flowX[i00] * (1 - fx) + this.flowX[i10] * fx) * (1 - fy) +
+            (this.flowX[i01] * (1 - fx) + this.flowX[i11] * fx) * fy;
+        out[1] = (this.flowY[i00] * (1 - fx) + this.flowY[i10] * fx) * (1 - fy) +
+            (this.flowY[i01] * (1 - fx) + this.flowY[i11] * fx) * fy;
+        return out;
+    }
+}
+
+// Export (self is window on the page, the global scope in the filter worker)
+self.OpticalFlow = OpticalFlow;
@@ -0,0 +1,282 @@
+// Outline Tracer - Turns a luminance frame into smooth vector outlines
+// Canny-style edges (Sobel, non-maximum suppression, hysteresis) are linked into polylines,
+// simplified with Ramer-Douglas-Peucker and rounded off with Chaikin corner cutting
+
+// Neighbour offsets, straight neighbours first so chains prefer them over diagonals
+const TRACER_NEIGHBOURS = [[1, 0], [0, 1], [-1, 0], [0, -1], [1, 1], [-1, 1], [-1, -1], [1, -1]];
+
+class OutlineTracer {
+    // low/high: hysteresis thresholds on Sobel magnitude (luminance 0-255);
+    // minLength: shortest chain kept, in pixels; tolerance: simplification error, in pixels;
+    // smoothing: Chaikin passes; persistence (0-1): how far last frame's edges may fade before
+    // they drop out, for steadier outlines on video
+    constructor({ low = 30, high = 80, minLength = 4, tolerance = 0.75, smoothing = 2, persistence = 0 } = {}) {
+        this.low = low;
+        this.high = high;
+        this.minLength = minLength;
+        this.tolerance = tolerance;
+        this.smoothing = smoothing;
+        this.persistence = persistence;
+
+        this.width = 0;
+        this.height = 0;
+        this.magnitude = null;
+        this.direction = null;
+        this.edges = null;
+        this.previous = null;
+    }
+
+    // Forget the previous frame's edges
+    reset() {
+        this.width = 0;
+        this.height = 0;
+        this.previous = null;
+    }
+
+    // Returns [{ points: [x0, y0, x1, y1, ...], strength: 0-1, closed }] in pixel coordinates
+    trace(lum, width, height) {
+        if (width < 3 || height < 3) return [];
+
+        if (width !== this.width || height !== this.height) {
+            this.width = width;
+            this.height = height;
+            this.magnitude = new Float32Array(width * height);
+            this.direction = new Uint8Array(width * height);
+            this.edges = new Uint8Array(width * height);
+            this.previous = new Uint8Array(width * height);
+        }
+
+        this.computeGradients(lum, width, height);
+        this.thinEdges(width, height);
+        this.applyHysteresis(width, height);
+        this.previous.set(this.edges);
+
+        return this.linkEdges(width, height)
+            .map(chain => {
+                let points = this.simplify(chain.points);
+                for (let i = 0; i < this.smoothing; i++) points = this.chaikin(points, chain.closed);
+                return { points, strength: chain.strength, closed: chain.closed };
+            });
+    }
+
+    // Sobel magnitude, with the gradient direction quantized to 0/45/90/135 degrees
+    computeGradients(lum, width, height) {
+        this.magnitude.fill(0);
+        // Directions are only needed where a pixel can become an edge
+        const floor = this.low * (1 - 0.5 * this.persistence);
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const gx = (lum[i - width + 1] + 2 * lum[i + 1] + lum[i + width + 1]) -
+                    (lum[i - width - 1] + 2 * lum[i - 1] + lum[i + width - 1]);
+                const gy = (lum[i + width - 1] + 2 * lum[i + width] + lum[i + width + 1]) -
+                    (lum[i - width - 1] + 2 * lum[i - width] + lum[i - width + 1]);
+
+                const magnitude = Math.sqrt(gx * gx + gy * gy);
+                this.magnitude[i] = magnitude;
+                if (magnitude < floor) continue;
+
+                // Nearest of the four directions, split at 22.5 degrees (tan = 0.4142)
+                const ax = Math.abs(gx);
+                const ay = Math.abs(gy);
+                if (ay <= ax * 0.4142) this.direction[i] = 0;
+                else if (ax <= ay * 0.4142) this.direction[i] = 2;
+                else this.direction[i] = (gx > 0) === (gy > 0) ? 1 : 3;
+            }
+        }
+    }
+
+    // Non-maximum suppression: keep only the ridge of each edge, one pixel wide
+    thinEdges(width, height) {
+        const mag = this.magnitude;
+        const edges = this.edges;
+        edges.fill(0);
+
+        // Step across the edge for each quantized gradient direction
+        const across = [1, width + 1, width, width - 1];
+
+        // Last frame's edge pixels count as strong down to a lower threshold. An edge that moved
+        // has no gradient left at its old position, so nothing trails behind it.
+        const held = this.low * (1 - 0.5 * this.persistence);
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const m = mag[i];
+                const wasEdge = this.persistence > 0 && this.previous[i] === 1;
+                if (m < (wasEdge ? held : this.low)) continue;
+
+                // A step edge gives two equal pixels across it; ties go to the later one
+                const step = across[this.direction[i]];
+                if (m <= mag[i - step] || m < mag[i + step]) continue;
+
+                // 2: strong, 1: weak
+                edges[i] = m >= this.high || wasEdge ? 2 : 1;
+            }
+        }
+    }
+
+    // Weak edge pixels survive only when connected to a strong one
+    applyHysteresis(width, height) {
+        const edges = this.edges;
+        const stack = [];
+
+        for (let i = 0; i < edges.length; i++) {
+            if (edges[i] === 2) stack.push(i);
+        }
+
+        while (stack.length > 0) {
+            const i = stack.pop();
+            const x = i % width;
+            const y = (i - x) / width;
+            for (const [dx, dy] of TRACER_NEIGHBOURS) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                const n = ny * width + nx;
+                if (edges[n] === 1) {
+                    edges[n] = 2;
+                    stack.push(n);
+                }
+            }
+        }
+
+        for (let i = 0; i < edges.length; i++) {
+            edges[i] = edges[i] === 2 ? 1 : 0;
+        }
+    }
+
+    // Walk the thinned edges into chains, starting from free ends so open curves come out whole
+    linkEdges(width, height) {
+        const edges = this.edges;
+        const visited = new Uint8Array(width * height);
+        const chains = [];
+
+        const neighbourCount = (i) => {
+            const x = i % width;
+            const y = (i - x) / width;
+            let count = 0;
+            for (const [dx, dy] of TRACER_NEIGHBOURS) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx >= 0 && ny >= 0 && nx < width && ny < height && edges[ny * width + nx]) count++;
+            }
+            return count;
+        };
+
+        const walk = (start) => {
+            const points = [];
+            let total = 0;
+            let i = start;
+
+            while (i !== -1) {
+                visited[i] = 1;
+                const x = i % width;
+                const y = (i - x) / width;
+                points.push(x, y);
+                total += this.magnitude[i];
+
+                i = -1;
+                for (const [dx, dy] of TRACER_NEIGHBOURS) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                    const n = ny * width + nx;
+                    if (edges[n] && !visited[n]) {
+                        i = n;
+                        break;
+                    }
+                }
+            }
+
+            const count = points.length / 2;
+            if (count < this.minLength) return;
+
+            // Loops close back onto their first pixel
+            const sx = points[0], sy = points[1];
+            const ex = points[points.length - 2], ey = points[points.length - 1];
+            const closed = count >= 8 && Math.abs(sx - ex) <= 1 && Math.abs(sy - ey) <= 1;
+
+            chains.push({ points, strength: Math.min(1, total / count / 255), closed });
+        };
+
+        for (let i = 0; i < edges.length; i++) {
+            if (edges[i] && !visited[i] && neighbourCount(i) === 1) walk(i);
+        }
+        for (let i = 0; i < edges.length; i++) {
+            if (edges[i] && !visited[i]) walk(i);
+        }
+
+        return chains;
+    }
+
+    // Ramer-Douglas-Peucker
+    simplify(points) {
+        const count = points.length / 2;
+        if (count < 3) return points.slice();
+
+        const keep = new Uint8Array(count);
+        keep[0] = 1;
+        keep[count - 1] = 1;
+        const stack = [[0, count - 1]];
+        const tolerance = this.tolerance * this.tolerance;
+
+        while (stack.length > 0) {
+            const [first, last] = stack.pop();
+            const ax = points[first * 2], ay = points[first * 2 + 1];
+            const dx = points[last * 2] - ax;
+            const dy = points[last * 2 + 1] - ay;
+            const lengthSq = dx * dx + dy * dy;
+
+            let farthest = -1;
+            let farthestDist = tolerance;
+            for (let i = first + 1; i < last; i++) {
+                const px = points[i * 2] - ax;
+                const py = points[i * 2 + 1] - ay;
+                // Squared distance to the chord (to the start point when the chord is degenerate)
+                const dist = lengthSq > 0
+                    ? (px * dy - py * dx) * (px * dy - py * dx) / lengthSq
+                    : px * px + py * py;
+                if (dist > farthestDist) {
+                    farthestDist = dist;
+                    farthest = i;
+                }
+            }
+
+            if (farthest !== -1) {
+                keep[farthest] = 1;
+                stack.push([first, farthest], [farthest, last]);
+            }
+        }
+
+        const result = [];
+        for (let i = 0; i < count; i++) {
+            if (keep[i]) result.push(points[i * 2], points[i * 2 + 1]);
+        }
+        return result;
+    }
+
+    // Chaikin corner cutting; open curves keep their end points. Cuts are capped at maxCut pixels
+    // so long straight runs keep crisp corners while pixel staircases round off
+    chaikin(points, closed, maxCut = 2) {
+        const count = points.length / 2;
+        if (count < 3) return points;
+
+        const result = closed ? [] : [points[0], points[1]];
+        const segments = closed ? count : count - 1;
+        for (let i = 0; i < segments; i++) {
+            const j = (i + 1) % count;
+            const ax = points[i * 2], ay = points[i * 2 + 1];
+            const bx = points[j * 2], by = points[j * 2 + 1];
+            const cut = Math.min(0.25, maxCut / (Math.hypot(bx - ax, by - ay) || 1));
+            result.push(ax + (bx - ax) * cut, ay + (by - ay) * cut);
+            result.push(bx + (ax - bx) * cut, by + (ay - by) * cut);
+        }
+        if (!closed) result.push(points[points.length - 2], points[points.length - 1]);
+        return result;
+    }
+}
+
+// Export (self is window on the page, the global scope in the filter worker)
+self.OutlineTracer = OutlineTracer;
@@ -0,0 +1,115 @@
+// Preset Store - Named slider presets per filter, persisted in localStorage
+// Values are raw slider values keyed by control id, the same shape snapshots store
+
+class PresetStore {
+    constructor() {
+        this.presetsKey = 'four-fingers:presets';
+        this.lastUsedKey = 'four-fingers:last-used';
+
+        this.presets = this.read(this.presetsKey) || {};
+        this.lastUsed = this.read(this.lastUsedKey) || { mode: null, settings: {}, seed: null };
+    }
+
+    read(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key));
+        } catch (err) {
+            return null;
+        }
+    }
+
+    write(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (err) {
+            console.error('Preset storage error:', err);
+        }
+    }
+
+    list(filterId) {
+        return this.presets[filterId] || [];
+    }
+
+    get(filterId, name) {
+        return this.list(filterId).find(preset => preset.name === name);
+    }
+
+    // Saving under an existing name overwrites it
+    save(filterId, name, values) {
+        const presets = this.list(filterId).filter(preset => preset.name !== name);
+        presets.push({ name, values: { ...values } });
+        presets.sort((a, b) => a.name.localeCompare(b.name));
+
+        this.presets[filterId] = presets;
+        this.write(this.presetsKey, this.presets);
+    }
+
+    rename(filterId, oldName, newName) {
+        const preset = this.get(filterId, oldName);
+        if (!preset || oldName === newName) return;
+
+        this.delete(filterId, oldName);
+        this.save(filterId, newName, preset.values);
+    }
+
+    delete(filterId, name) {
+        this.presets[filterId] = this.list(filterId).filter(preset => preset.name !== name);
+        this.write(this.presetsKey, this.presets);
+    }
+
+    // Last-used settings, restored on startup
+    getLastUsed(filterId) {
+        return this.lastUsed.settings[filterId] || null;
+    }
+
+    // settings: slider values keyed by filter id
+    saveLastUsed(mode, settings, seed) {
+        this.lastUsed = { mode, settings: { ...this.lastUsed.settings, ...settings }, seed };
+        this.write(this.lastUsedKey, this.lastUsed);
+    }
+
+    export() {
+        return JSON.stringify({ version: 1, presets: this.presets }, null, 2);
+    }
+
+    // Merge presets from exported JSON; returns how many were imported
+    import(json) {
+        const data = JSON.parse(json);
+        if (!data || typeof data.presets !== 'object') {
+            throw new Error('Not a Four Fingers preset file');
+        }
+
+        let count = 0;
+        for (const [filterId, presets] of Object.entries(data.presets)) {
+            if (!Array.isArray(presets)) continue;
+            for (const preset of presets) {
+                if (!preset || typeof preset.name !== 'string' || typeof preset.values !== 'object') continue;
+                this.save(filterId, preset.name, preset.values);
+                count++;
+            }
+        }
+        return count;
+    }
+
+    // URL hash: #filter=<id>&seed=<seed>&<controlId>=<value>...
+    static encodeHash(mode, values, seed) {
+        const params = new URLSearchParams({ filter: mode });
+        if (seed) params.set('seed', seed);
+        for (const [id, val] of Object.entries(values)) params.set(id, val);
+        return '#' + params.toString();
+    }
+
+    static decodeHash(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const mode = params.get('filter');
+        if (!mode) return null;
+
+        const seed = params.get('seed');
+        params.delete('filter');
+        params.delete('seed');
+        return { mode, seed, values: Object.fromEntries(params.entries()) };
+    }
+}
+
+// Export
+window.PresetStore = PresetStore;
@@ -0,0 +1,48 @@
+// Seeded Random - Reproducible replacement for Math.random()
+// mulberry32 generator; filters own one each so the same seed and input give the same frames
+
+class SeededRandom {
+    constructor(seed = 1) {
+        this.setSeed(seed);
+    }
+
+    // Accepts a number or any string; non-numeric strings are hashed
+    setSeed(seed) {
+        this.seed = SeededRandom.toSeed(seed);
+        this.state = this.seed;
+    }
+
+    static toSeed(value) {
+        const text = String(value).trim();
+        if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+        // FNV-1a
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Uniform float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [0, max)
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+}
+
+// Export
+self.SeededRandom = SeededRandom;
@@ -0,0 +1,103 @@
+// Canvas Recorder - Captures the filtered output to a WebM clip
+// Records the canvas stream itself, so filter switches never interrupt a take
+
+class CanvasRecorder {
+    constructor(canvas) {
+        this.canvas = canvas;
+
+        // Settings
+        this.frameRate = 30;
+        this.timeslice = 1000;
+
+        // Recording state
+        this.recorder = null;
+        this.stream = null;
+        this.chunks = [];
+        this.size = 0;
+        this.startTime = 0;
+        this.blob = null;
+        this.mimeType = '';
+
+        // Callbacks
+        this.onDataAvailable = null;
+    }
+
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    }
+
+    getMimeType() {
+        const candidates = [
+            'video/webm;codecs=vp9',
+            'video/webm;codecs=vp8',
+            'video/webm'
+        ];
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    get isRecording() {
+        return !!this.recorder && this.recorder.state === 'recording';
+    }
+
+    start() {
+        if (this.isRecording) return;
+
+        this.mimeType = this.getMimeType();
+        this.stream = this.canvas.captureStream(this.frameRate);
+        this.recorder = new MediaRecorder(this.stream, this.mimeType ? { mimeType: this.mimeType } : undefined);
+
+        this.chunks = [];
+        this.size = 0;
+        this.blob = null;
+
+        this.recorder.addEventListener('dataavailable', (e) => {
+            if (!e.data || e.data.size === 0) return;
+            this.chunks.push(e.data);
+            this.size += e.data.size;
+            if (this.onDataAvailable) this.onDataAvailable(this.size);
+        });
+
+        // Emit chunks periodically so the size readout stays live
+        this.recorder.start(this.timeslice);
+        this.startTime = performance.now();
+    }
+
+    stop() {
+        if (!this.isRecording) return Promise.resolve(this.blob);
+
+        return new Promise((resolve) => {
+            this.recorder.addEventListener('stop', () => {
+                this.stream.getTracks().forEach(track => track.stop());
+                this.stream = null;
+
+                this.blob = new Blob(this.chunks, { type: this.mimeType || 'video/webm' });
+                this.chunks = [];
+                resolve(this.blob);
+            }, { once: true });
+
+            this.recorder.stop();
+        });
+    }
+
+    getElapsed() {
+        if (!this.isRecording) return 0;
+        return performance.now() - this.startTime;
+    }
+
+    static formatTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    }
+
+    static formatSize(bytes) {
+        if (bytes < 1024) return bytes + ' B';
+        if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(0) + ' KB';
+        return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    }
+}
+
+// Export
+window.CanvasRecorder = CanvasRecorder;
@@ -0,0 +1,66 @@
+// Render Scale - Adaptive internal resolution
+// Filters process at a fraction of the window size and the canvas is upscaled by CSS.
+// The scale steps down when FPS falls below the target and creeps back up when there's headroom.
+
+class RenderScaler {
+    constructor() {
+        // Settings
+        this.targetFps = 0;        // 0 disables adaptation (full resolution)
+        this.minScale = 0.25;
+        this.maxScale = 1;
+        this.scaleStep = 0.1;
+        this.sampleInterval = 500;
+
+        // State
+        this.scale = 1;
+        this.fps = 0;
+        this.frames = 0;
+        this.lastSample = performance.now();
+
+        // Consecutive good samples needed before stepping back up, to avoid oscillating
+        this.upgradeDelay = 4;
+        this.goodSamples = 0;
+    }
+
+    setTarget(fps) {
+        this.targetFps = fps;
+        this.goodSamples = 0;
+    }
+
+    // Count a frame that actually reached the screen
+    recordFrame() {
+        this.frames++;
+    }
+
+    // Call once per animation tick; returns true when the scale changed
+    update(now = performance.now()) {
+        const elapsed = now - this.lastSample;
+        if (elapsed < this.sampleInterval) return false;
+
+        this.fps = this.frames * 1000 / elapsed;
+        this.frames = 0;
+        this.lastSample = now;
+
+        const previous = this.scale;
+
+        if (!this.targetFps) {
+            this.scale = this.maxScale;
+        } else if (this.fps < this.targetFps * 0.9) {
+            this.scale = Math.max(this.minScale, this.scale - this.scaleStep);
+            this.goodSamples = 0;
+        } else if (this.fps >= this.targetFps * 0.97) {
+            this.goodSamples++;
+            if (this.goodSamples >= this.upgradeDelay) {
+                this.scale = Math.min(this.maxScale, this.scale + this.scaleStep);
+                this.goodSamples = 0;
+            }
+        }
+
+        // Keep steps exact so repeated adds don't drift
+        this.scale = Math.round(this.scale * 100) / 100;
+        return this.scale !== previous;
+    }
+}
+
+// Export
+window.RenderScaler = RenderScaler;
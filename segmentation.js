@@ -0,0 +1,214 @@
+// Person Segmentation - A per-frame mask of the person on camera
+// Runs the MediaPipe selfie segmentation model bundled with the app, from local files so it works
+// offline; if it can't load, background subtraction against a plate of the empty room stands in
+
+// The bundled model's script, wasm and .tflite files (see vendor/selfie_segmentation/README.md)
+const SEGMENTATION_MODEL_PATH = 'vendor/selfie_segmentation/';
+
+// Shown whenever the model can't be used and background subtraction takes over
+const SEGMENTATION_FALLBACK_STATUS = 'Segmentation model unavailable. Background subtraction: step out of frame and capture the background';
+
+// Mask resolution; compositing scales it up, which also softens the edge
+const SEGMENTATION_WIDTH = 256;
+
+class PersonSegmenter {
+    constructor() {
+        // White, with alpha = how surely each pixel is the person; mirrored like the filter output
+        this.mask = createCanvas(1, 1);
+        this.maskCtx = this.mask.getContext('2d');
+
+        // 'model' once the model is running, 'background' for the built-in fallback
+        this.method = 'background';
+        this.status = 'Background subtraction: step out of frame and capture the background';
+        this.onStatus = null;
+
+        this.model = null;
+        this.modelBusy = false;
+        this.modelLoading = null;
+
+        // Background subtraction: the empty-room plate and the smoothed person mask
+        this.frameCanvas = createCanvas();
+        this.frameCtx = this.frameCanvas.getContext('2d', { willReadFrequently: true });
+        this.plate = null;
+        this.coverage = null;
+        this.capturePending = false;
+    }
+
+    setStatus(text) {
+        this.status = text;
+        if (this.onStatus) this.onStatus(text);
+    }
+
+    // Load the bundled model once; resolves false (and keeps the fallback) if it can't be loaded
+    loadModel(path = SEGMENTATION_MODEL_PATH) {
+        if (this.modelLoading) return this.modelLoading;
+
+        this.modelLoading = new Promise((resolve) => {
+            if (typeof document === 'undefined') {
+                resolve(false);
+                return;
+            }
+            const script = document.createElement('script');
+            script.src = path + 'selfie_segmentation.js';
+            script.onload = () => resolve(true);
+            script.onerror = () => resolve(false);
+            document.head.appendChild(script);
+        }).then(async (loaded) => {
+            if (!loaded || typeof SelfieSegmentation === 'undefined') {
+                console.warn(`Could not load the segmentation model from ${path}; using background subtraction`);
+                this.setStatus(SEGMENTATION_FALLBACK_STATUS);
+                return false;
+            }
+
+            try {
+                const model = new SelfieSegmentation({ locateFile: file => path + file });
+                model.setOptions({ modelSelection: 1 });
+                model.onResults(results => this.drawModelMask(results.segmentationMask));
+                await model.initialize();
+
+                this.model = model;
+                this.method = 'model';
+                this.setStatus('Person segmentation model running');
+                return true;
+            } catch (err) {
+                console.error('Segmentation model failed to start:', err);
+                this.setStatus(SEGMENTATION_FALLBACK_STATUS);
+                return false;
+            }
+        });
+
+        return this.modelLoading;
+    }
+
+    // Use the next frame as the empty-room plate
+    captureBackground() {
+        this.capturePending = true;
+    }
+
+    // Forget the plate; a capture that's been asked for still happens on the next frame
+    reset() {
+        this.plate = null;
+        this.coverage = null;
+    }
+
+    // Size the mask to the source's aspect ratio
+    resizeMask(source) {
+        const size = getSourceSize(source);
+        if (!size.width || !size.height) return false;
+
+        const width = SEGMENTATION_WIDTH;
+        const height = Math.max(1, Math.round(width * size.height / size.width));
+        if (this.mask.width !== width || this.mask.height !== height) {
+            this.mask.width = width;
+            this.mask.height = height;
+            this.frameCanvas.width = width;
+            this.frameCanvas.height = height;
+            this.reset();
+        }
+        return true;
+    }
+
+    // Refresh the mask for the current frame
+    update(source) {
+        if (!this.resizeMask(source)) return;
+
+        if (this.method === 'model') {
+            // Results arrive asynchronously; skip frames while the model is busy
+            if (this.modelBusy) return;
+            this.modelBusy = true;
+            this.model.send({ image: source })
+                .catch(err => console.error('Segmentation error:', err))
+                .finally(() => { this.modelBusy = false; });
+            return;
+        }
+
+        this.updateBackground(source);
+    }
+
+    drawModelMask(segmentationMask) {
+        const { width, height } = this.mask;
+        this.maskCtx.save();
+        this.maskCtx.clearRect(0, 0, width, height);
+        this.maskCtx.scale(-1, 1);
+        this.maskCtx.drawImage(segmentationMask, -width, 0, width, height);
+        this.maskCtx.restore();
+    }
+
+    // Whatever differs from the plate is the person
+    updateBackground(source) {
+        const { width, height } = this.frameCanvas;
+
+        this.frameCtx.save();
+        this.frameCtx.scale(-1, 1);
+        this.frameCtx.drawImage(source, -width, 0, width, height);
+        this.frameCtx.restore();
+        const data = this.frameCtx.getImageData(0, 0, width, height).data;
+
+        if (!this.plate || this.capturePending) {
+            this.plate = new Float32Array(width * height * 3);
+            for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+                this.plate[j] = data[i];
+                this.plate[j + 1] = data[i + 1];
+                this.plate[j + 2] = data[i + 2];
+            }
+            this.coverage = new Float32Array(width * height);
+
+            if (this.capturePending) {
+                this.setStatus('Background subtraction: background captured');
+            }
+            this.capturePending = false;
+            this.maskCtx.clearRect(0, 0, width, height);
+            return;
+        }
+
+        for (let p = 0, i = 0, j = 0; p < width * height; p++, i += 4, j += 3) {
+            const diff = (
+                Math.abs(data[i] - this.plate[j]) +
+                Math.abs(data[i + 1] - this.plate[j + 1]) +
+                Math.abs(data[i + 2] - this.plate[j + 2])
+            ) / (255 * 3);
+
+            // Soft threshold, smoothed over time to stop the edge flickering
+            const t = Math.max(0, Math.min(1, (diff - 0.06) / 0.1));
+            const target = t * t * (3 - 2 * t);
+            this.coverage[p] = this.coverage[p] * 0.5 + target * 0.5;
+
+            // The plate follows lighting drift where the room shows, and only very slowly
+            // absorbs anything that stops moving in front of it
+            const rate = this.coverage[p] < 0.5 ? 0.02 : 0.001;
+            this.plate[j] += (data[i] - this.plate[j]) * rate;
+            this.plate[j + 1] += (data[i + 1] - this.plate[j + 1]) * rate;
+            this.plate[j + 2] += (data[i + 2] - this.plate[j + 2]) * rate;
+        }
+
+        // 3x3 box blur drops speckle noise before the mask is written out
+        const image = this.maskCtx.createImageData(width, height);
+        const out = image.data;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let total = 0;
+                let samples = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    const sy = y + dy;
+                    if (sy < 0 || sy >= height) continue;
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const sx = x + dx;
+                        if (sx < 0 || sx >= width) continue;
+                        total += this.coverage[sy * width + sx];
+                        samples++;
+                    }
+                }
+
+                const idx = (y * width + x) * 4;
+                out[idx] = 255;
+                out[idx + 1] = 255;
+                out[idx + 2] = 255;
+                out[idx + 3] = Math.round((total / samples) * 255);
+            }
+        }
+        this.maskCtx.putImageData(image, 0, 0);
+    }
+}
+
+// Export
+self.PersonSegmenter = PersonSegmenter;
@@ -0,0 +1,90 @@
+// Snapshot Store - Keeps recent stills in IndexedDB
+// Each still remembers the filter and slider values that produced it
+
+class SnapshotStore {
+    constructor(maxItems = 24) {
+        this.dbName = 'four-fingers';
+        this.storeName = 'snapshots';
+        this.maxItems = maxItems;
+        this.db = null;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('createdAt', 'createdAt');
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async transaction(mode, work) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const store = tx.objectStore(this.storeName);
+            let result;
+
+            const request = work(store);
+            if (request) {
+                request.onsuccess = () => { result = request.result; };
+            }
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async add(snapshot) {
+        const id = await this.transaction('readwrite', store => store.add(snapshot));
+        await this.prune();
+        return id;
+    }
+
+    async list() {
+        const items = await this.transaction('readonly', store => store.getAll());
+        return items.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    delete(id) {
+        return this.transaction('readwrite', store => store.delete(id));
+    }
+
+    // Drop the oldest stills beyond maxItems
+    async prune() {
+        const items = await this.list();
+        const stale = items.slice(this.maxItems);
+        if (stale.length === 0) return;
+
+        await this.transaction('readwrite', (store) => {
+            stale.forEach(item => store.delete(item.id));
+        });
+    }
+
+    static capture(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+                if (blob) resolve(blob);
+                else reject(new Error('Could not encode canvas frame'));
+            }, 'image/png');
+        });
+    }
+}
+
+// Export
+window.SnapshotStore = SnapshotStore;
@@ -0,0 +1,90 @@
+// Source Manager - Chooses what the filters process
+// Camera stream, a local video file, or a still image; filters just receive the element
+
+class SourceManager {
+    constructor(video) {
+        this.video = video;
+        this.image = new Image();
+
+        // 'camera' | 'video' | 'image'
+        this.type = 'camera';
+        this.fileName = '';
+        this.objectUrl = null;
+    }
+
+    // Element the filters should draw from
+    get element() {
+        return this.type === 'image' ? this.image : this.video;
+    }
+
+    static getFileType(file) {
+        if (file.type.startsWith('video/')) return 'video';
+        if (file.type.startsWith('image/')) return 'image';
+        return null;
+    }
+
+    stopCamera() {
+        if (this.video.srcObject) {
+            this.video.srcObject.getTracks().forEach(track => track.stop());
+            this.video.srcObject = null;
+        }
+    }
+
+    releaseFile() {
+        if (this.objectUrl) URL.revokeObjectURL(this.objectUrl);
+        this.objectUrl = null;
+        this.fileName = '';
+    }
+
+    // Called before a camera stream is attached
+    useCamera() {
+        if (this.type !== 'camera') {
+            this.video.pause();
+            this.video.removeAttribute('src');
+            this.video.load();
+            this.releaseFile();
+        }
+        this.type = 'camera';
+    }
+
+    async loadFile(file) {
+        const type = SourceManager.getFileType(file);
+        if (!type) throw new Error(`Unsupported file type: ${file.type || file.name}`);
+
+        const url = URL.createObjectURL(file);
+
+        if (type === 'video') {
+            this.stopCamera();
+            this.video.src = url;
+            this.video.loop = true;
+            this.video.muted = true;
+
+            await new Promise((resolve, reject) => {
+                this.video.onloadedmetadata = () => resolve();
+                this.video.onerror = () => reject(new Error('Could not decode video'));
+            });
+            this.video.onerror = null;
+            await this.video.play();
+        } else {
+            this.image.src = url;
+            await this.image.decode();
+            this.stopCamera();
+            this.video.pause();
+        }
+
+        this.releaseFile();
+        this.type = type;
+        this.fileName = file.name;
+        this.objectUrl = url;
+    }
+
+    static formatTime(seconds) {
+        if (!isFinite(seconds)) return '0:00';
+        const minutes = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${minutes}:${String(secs).padStart(2, '0')}`;
+    }
+}
+
+// Export
+window.SourceManager = SourceManager;
@@ -0,0 +1,151 @@
+// Temporal Stabilizer - Frame-to-frame coherence for the pixel filters
+// Hysteresis on quantized values, edge persistence and blending with the previous frame.
+// History only counts where the scene is still, so anything that moves responds at once.
+
+// Cell motion (MotionDetector units) at and above which a pixel ignores its history
+const STABILIZER_MOTION_CUTOFF = 0.04;
+
+// Summed RGB change (0-765) at and above which a pixel counts as really changed rather than
+// noisy; the motion grid is coarse, so blending checks each pixel against this too
+const STABILIZER_CHANGE_CUTOFF = 64;
+
+class TemporalStabilizer {
+    constructor() {
+        this.strength = 0;
+        this.blend = 0;
+        this.width = 0;
+        this.height = 0;
+
+        // Held quantization level per channel (-1: none yet)
+        this.levels = null;
+        // Held input colour per pixel, for dead-band hysteresis
+        this.reference = null;
+        this.hasReference = null;
+        // Whether each pixel was an edge last frame
+        this.edgeOn = null;
+        // Previous frame, before any line work
+        this.frame = null;
+        this.hasFrame = false;
+    }
+
+    // Forget history, e.g. after a seek or reseed
+    reset() {
+        this.width = 0;
+        this.height = 0;
+        this.levels = null;
+        this.reference = null;
+        this.hasReference = null;
+        this.edgeOn = null;
+        this.frame = null;
+        this.hasFrame = false;
+    }
+
+    // Call once per frame before any other method; returns whether stabilizing is on.
+    // strength drives the hysteresis, blend how much of the previous frame still areas keep (0-1)
+    begin(width, height, strength, blend = 0) {
+        this.strength = strength;
+        this.blend = blend;
+        if (strength <= 0 && blend <= 0) {
+            if (this.width !== 0) this.reset();
+            return false;
+        }
+
+        if (width !== this.width || height !== this.height) {
+            this.reset();
+            this.width = width;
+            this.height = height;
+            this.levels = new Int16Array(width * height * 3).fill(-1);
+            this.reference = new Uint8ClampedArray(width * height * 3);
+            this.hasReference = new Uint8Array(width * height);
+            this.edgeOn = new Uint8Array(width * height);
+            this.frame = new Uint8ClampedArray(width * height * 4);
+        }
+        return true;
+    }
+
+    // Whether begin() turned stabilizing on for this frame
+    get active() {
+        return this.frame !== null;
+    }
+
+    // 1 where the scene is still, falling to 0 at the motion cutoff
+    stillness(motion) {
+        return Math.max(0, 1 - motion / STABILIZER_MOTION_CUTOFF);
+    }
+
+    // How much of a pixel's previous value to keep (0-1): none once its cell is moving or the
+    // pixel itself has changed by more than noise would (change: summed RGB difference)
+    persistence(motion, change) {
+        return this.stillness(motion) * Math.max(0, 1 - change / STABILIZER_CHANGE_CUTOFF);
+    }
+
+    // Quantization level for a continuous level value (value / step). The previous level is kept
+    // until the value moves past the boundary by up to 0.4 of a step, so noise can't flip it.
+    // Levels start at 0: dither can push a value below it, and -1 marks "nothing held".
+    holdLevel(index, level, motion) {
+        const previous = this.levels[index];
+        const margin = 0.5 + 0.4 * this.strength * this.stillness(motion);
+
+        const result = previous >= 0 && Math.abs(level - previous) <= margin
+            ? previous
+            : Math.max(0, Math.round(level));
+        this.levels[index] = result;
+        return result;
+    }
+
+    // Dead band on a pixel's input colour: while it stays within the band of the colour last
+    // used, that colour is reused, so lookups keyed on it give the same answer.
+    // Returns the offset of the colour to use in this.reference.
+    holdColor(pixel, r, g, b, motion) {
+        const offset = pixel * 3;
+        const band = 24 * this.strength * this.stillness(motion);
+        const ref = this.reference;
+
+        const drift = Math.abs(r - ref[offset]) + Math.abs(g - ref[offset + 1]) + Math.abs(b - ref[offset + 2]);
+        if (!this.hasReference[pixel] || drift > band) {
+            ref[offset] = r;
+            ref[offset + 1] = g;
+            ref[offset + 2] = b;
+            this.hasReference[pixel] = 1;
+        }
+        return offset;
+    }
+
+    // Edge hysteresis: a pixel that was an edge stays one until its magnitude drops
+    // well below the threshold, instead of blinking as it hovers around it
+    holdEdge(pixel, magnitude, threshold, motion) {
+        const keep = threshold * (1 - 0.6 * this.strength * this.stillness(motion));
+        const on = magnitude > threshold || (this.edgeOn[pixel] === 1 && magnitude > keep);
+        this.edgeOn[pixel] = on ? 1 : 0;
+        return on;
+    }
+
+    // Mix the previous frame into still areas of dst (RGBA) and remember dst for the next frame.
+    // motionAt(x, y) gives the motion under each pixel.
+    blendFrame(dst, motionAt) {
+        const { width, height, frame } = this;
+
+        if (this.hasFrame && this.blend > 0) {
+            const maxMix = 0.6 * this.blend;
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const idx = (y * width + x) * 4;
+                    const change = Math.abs(dst[idx] - frame[idx]) + Math.abs(dst[idx + 1] - frame[idx + 1]) +
+                        Math.abs(dst[idx + 2] - frame[idx + 2]);
+                    const mix = maxMix * this.persistence(motionAt(x, y), change);
+                    if (mix <= 0) continue;
+
+                    dst[idx] += (frame[idx] - dst[idx]) * mix;
+                    dst[idx + 1] += (frame[idx + 1] - dst[idx + 1]) * mix;
+                    dst[idx + 2] += (frame[idx + 2] - dst[idx + 2]) * mix;
+                }
+            }
+        }
+
+        frame.set(dst);
+        this.hasFrame = true;
+    }
+}
+
+// Export (self is window on the page, the global scope in the filter worker)
+self.TemporalStabilizer = TemporalStabilizer;
@@ -0,0 +1,108 @@
+// Brush Painter Tests - Stroke direction, colour stops, textures and repeatability
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('assert');
+
+const { loadFilters } = require('./harness');
+
+const WIDTH = 48;
+const HEIGHT = 36;
+
+function painter(options) {
+    return new (loadFilters().BrushPainter)(options);
+}
+
+// Left half dark red, right half light blue: one vertical edge down the middle
+function splitFrame() {
+    const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    for (let p = 0; p < WIDTH * HEIGHT; p++) {
+        const left = p % WIDTH < WIDTH / 2;
+        data.set(left ? [120, 20, 20, 255] : [60, 140, 220, 255], p * 4);
+    }
+    return data;
+}
+
+// Smooth diagonal ramps, so every part of the frame has detail for strokes to pick up
+function rampFrame() {
+    const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            data.set([x * 5, y * 7, (x + y) * 3, 255], (y * WIDTH + x) * 4);
+        }
+    }
+    return data;
+}
+
+test('brushPainter: strokes run along an edge, not across it', () => {
+    const brush = painter({ length: 6 });
+    brush.paint(splitFrame(), WIDTH, HEIGHT);
+
+    const points = brush.traceStroke(WIDTH / 2 - 1, HEIGHT / 2, 2, [120, 20, 20], 1);
+    assert.ok(points.length > 2, 'the stroke got past its first dab');
+    const dx = points[points.length - 2] - points[0];
+    const dy = points[points.length - 1] - points[1];
+    assert.ok(Math.abs(dy) > 4 * Math.abs(dx), `stroke went (${dx}, ${dy})`);
+});
+
+test('brushPainter: a stroke stops before it runs into a different colour', () => {
+    // Green across the bottom of the red half, right where the edge would lead the stroke
+    const data = splitFrame();
+    for (let p = WIDTH * 16; p < WIDTH * HEIGHT; p++) {
+        if (p % WIDTH < WIDTH / 2) data.set([40, 200, 40, 255], p * 4);
+    }
+    const brush = painter({ length: 10 });
+    brush.paint(data, WIDTH, HEIGHT);
+
+    for (let seed = 0; seed < 8; seed++) {
+        const points = brush.traceStroke(WIDTH / 2 - 2, 8, 2, [120, 20, 20], seed);
+        for (let k = 0; k < points.length; k += 2) {
+            assert.ok(points[k] < WIDTH / 2 && points[k + 1] < 16, `point at (${points[k]}, ${points[k + 1]})`);
+        }
+    }
+});
+
+test('brushPainter: flat colour stays flat under a flat brush', () => {
+    const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4).fill(90);
+    painter({ texture: 'flat' }).paint(data, WIDTH, HEIGHT);
+    assert.ok(data.every(v => v === 90));
+});
+
+test('brushPainter: no opacity leaves the frame alone', () => {
+    const data = rampFrame();
+    painter({ opacity: 0 }).paint(data, WIDTH, HEIGHT);
+    assert.ok(Buffer.from(data).equals(Buffer.from(rampFrame())));
+});
+
+test('brushPainter: a still frame is painted the same way every time', () => {
+    const brush = painter();
+    const first = rampFrame();
+    const second = rampFrame();
+    brush.paint(first, WIDTH, HEIGHT);
+    brush.paint(second, WIDTH, HEIGHT);
+
+    assert.ok(!Buffer.from(first).equals(Buffer.from(rampFrame())), 'strokes changed the frame');
+    assert.ok(Buffer.from(first).equals(Buffer.from(second)));
+});
+
+test('brushPainter: each brush texture leaves different marks', () => {
+    const results = ['bristle', 'flat', 'dry'].map(texture => {
+        const data = rampFrame();
+        painter({ texture }).paint(data, WIDTH, HEIGHT);
+        return Buffer.from(data);
+    });
+
+    assert.ok(!results[0].equals(results[1]));
+    assert.ok(!results[0].equals(results[2]));
+    assert.ok(!results[1].equals(results[2]));
+});
+
+test('brushPainter: its colour and edge tables are per brush-sized cell, not per pixel', () => {
+    const brush = painter({ size: 2 });
+    brush.paint(rampFrame(), WIDTH, HEIGHT);
+
+    const entries = brush.grids.reduce((sum, grid) => sum + grid.color.length + grid.tensor.length, 0);
+    assert.ok(entries < WIDTH * HEIGHT * 2, `${entries} table entries`);
+    // Means, not running sums: bounded by the channel range however big the frame
+    assert.ok(brush.grids.every(grid => grid.color.every(v => v >= 0 && v <= 255)));
+});
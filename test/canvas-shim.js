@@ -0,0 +1,459 @@
+// Canvas Shim - Minimal software 2D canvas for running filters under Node
+// Covers the calls the filters make; deterministic so output can be compared to goldens
+
+class ShimImageData {
+    constructor(dataOrWidth, width, height) {
+        if (typeof dataOrWidth === 'number') {
+            this.width = dataOrWidth;
+            this.height = width;
+            this.data = new Uint8ClampedArray(this.width * this.height * 4);
+        } else {
+            this.data = dataOrWidth;
+            this.width = width;
+            this.height = height;
+        }
+    }
+}
+
+// '#rgb', '#rrggbb', 'rgb()' and 'rgba()'; anything else draws opaque black
+function parseColor(style) {
+    const text = String(style).trim();
+
+    if (text[0] === '#') {
+        const hex = text.length === 4
+            ? text.slice(1).split('').map(c => c + c).join('')
+            : text.slice(1, 7);
+        return [
+            parseInt(hex.slice(0, 2), 16),
+            parseInt(hex.slice(2, 4), 16),
+            parseInt(hex.slice(4, 6), 16),
+            1
+        ];
+    }
+
+    const match = text.match(/^rgba?\(([^)]+)\)$/);
+    if (match) {
+        const parts = match[1].split(',').map(part => parseFloat(part));
+        return [parts[0], parts[1], parts[2], parts.length > 3 ? parts[3] : 1];
+    }
+
+    return [0, 0, 0, 1];
+}
+
+class ShimContext {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.stack = [];
+        this.path = [];
+
+        this.transform = [1, 0, 0, 1, 0, 0];
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.lineJoin = 'miter';
+        this.globalAlpha = 1;
+        this.globalCompositeOperation = 'source-over';
+        this.font = '10px sans-serif';
+        this.textBaseline = 'alphabetic';
+        this.shadowColor = 'rgba(0, 0, 0, 0)';
+        this.shadowBlur = 0;
+    }
+
+    save() {
+        this.stack.push({
+            transform: this.transform.slice(),
+            fillStyle: this.fillStyle,
+            strokeStyle: this.strokeStyle,
+            lineWidth: this.lineWidth,
+            globalAlpha: this.globalAlpha,
+            globalCompositeOperation: this.globalCompositeOperation,
+            font: this.font,
+            textBaseline: this.textBaseline,
+            shadowColor: this.shadowColor,
+            shadowBlur: this.shadowBlur
+        });
+    }
+
+    restore() {
+        const state = this.stack.pop();
+        if (state) Object.assign(this, state);
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        this.transform = [a, b, c, d, e, f];
+    }
+
+    translate(x, y) {
+        const t = this.transform;
+        t[4] += t[0] * x + t[2] * y;
+        t[5] += t[1] * x + t[3] * y;
+    }
+
+    scale(x, y) {
+        const t = this.transform;
+        t[0] *= x;
+        t[1] *= x;
+        t[2] *= y;
+        t[3] *= y;
+    }
+
+    apply(x, y) {
+        const t = this.transform;
+        return [t[0] * x + t[2] * y + t[4], t[1] * x + t[3] * y + t[5]];
+    }
+
+    // Device-space bounds of a user-space rectangle (transforms are axis-aligned here)
+    deviceRect(x, y, w, h) {
+        const [x0, y0] = this.apply(x, y);
+        const [x1, y1] = this.apply(x + w, y + h);
+        return {
+            left: Math.min(x0, x1),
+            top: Math.min(y0, y1),
+            right: Math.max(x0, x1),
+            bottom: Math.max(y0, y1)
+        };
+    }
+
+    // Blend one device pixel: source-over, plus the 'lighter' and 'multiply' composites
+    blend(px, py, r, g, b, a) {
+        const { width, height, pixels } = this.canvas;
+        if (px < 0 || py < 0 || px >= width || py >= height || a <= 0) return;
+
+        const idx = (py * width + px) * 4;
+        const dstA = pixels[idx + 3] / 255;
+
+        if (this.globalCompositeOperation === 'lighter') {
+            const sumA = Math.min(1, a + dstA);
+            pixels[idx] = (r * a + pixels[idx] * dstA) / sumA;
+            pixels[idx + 1] = (g * a + pixels[idx + 1] * dstA) / sumA;
+            pixels[idx + 2] = (b * a + pixels[idx + 2] * dstA) / sumA;
+            pixels[idx + 3] = sumA * 255;
+            return;
+        }
+        if (this.globalCompositeOperation === 'multiply') {
+            // Source colour mixed with its product with the backdrop, then laid over as usual
+            r = r * (1 - dstA) + (r * pixels[idx] / 255) * dstA;
+            g = g * (1 - dstA) + (g * pixels[idx + 1] / 255) * dstA;
+            b = b * (1 - dstA) + (b * pixels[idx + 2] / 255) * dstA;
+        }
+
+        const outA = a + dstA * (1 - a);
+        if (outA <= 0) return;
+
+        pixels[idx] = (r * a + pixels[idx] * dstA * (1 - a)) / outA;
+        pixels[idx + 1] = (g * a + pixels[idx + 1] * dstA * (1 - a)) / outA;
+        pixels[idx + 2] = (b * a + pixels[idx + 2] * dstA * (1 - a)) / outA;
+        pixels[idx + 3] = outA * 255;
+    }
+
+    fillDeviceRect(rect, style) {
+        const [r, g, b, a] = parseColor(style);
+        const alpha = a * this.globalAlpha;
+
+        const x0 = Math.max(0, Math.round(rect.left));
+        const y0 = Math.max(0, Math.round(rect.top));
+        const x1 = Math.min(this.canvas.width, Math.round(rect.right));
+        const y1 = Math.min(this.canvas.height, Math.round(rect.bottom));
+
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                this.blend(x, y, r, g, b, alpha);
+            }
+        }
+    }
+
+    fillRect(x, y, w, h) {
+        this.fillDeviceRect(this.deviceRect(x, y, w, h), this.fillStyle);
+    }
+
+    clearRect(x, y, w, h) {
+        const rect = this.deviceRect(x, y, w, h);
+        const x0 = Math.max(0, Math.round(rect.left));
+        const x1 = Math.min(this.canvas.width, Math.round(rect.right));
+        const y0 = Math.max(0, Math.round(rect.top));
+        const y1 = Math.min(this.canvas.height, Math.round(rect.bottom));
+        if (x1 <= x0) return;
+
+        for (let py = y0; py < y1; py++) {
+            const row = py * this.canvas.width;
+            this.canvas.pixels.fill(0, (row + x0) * 4, (row + x1) * 4);
+        }
+    }
+
+    // Glyphs are drawn as solid cells: 0.6em wide, 1em tall
+    fillText(text, x, y) {
+        const size = parseFloat((this.font.match(/([\d.]+)px/) || [0, 10])[1]);
+        const top = this.textBaseline === 'top' ? y : y - size * 0.8;
+        this.fillDeviceRect(this.deviceRect(x, top, size * 0.6 * String(text).length, size), this.fillStyle);
+    }
+
+    measureText(text) {
+        const size = parseFloat((this.font.match(/([\d.]+)px/) || [0, 10])[1]);
+        return { width: size * 0.6 * String(text).length };
+    }
+
+    beginPath() {
+        this.path = [];
+    }
+
+    moveTo(x, y) {
+        this.path.push({ move: true, point: this.apply(x, y) });
+    }
+
+    lineTo(x, y) {
+        this.path.push({ move: false, point: this.apply(x, y) });
+    }
+
+    closePath() {
+        // Back to the start of the current subpath
+        const start = [...this.path].reverse().find(item => item.move);
+        if (start) this.path.push({ move: false, point: start.point });
+    }
+
+    // Strokes every segment as a capsule of lineWidth, each pixel covered once
+    stroke() {
+        const [r, g, b, a] = parseColor(this.strokeStyle);
+        const alpha = a * this.globalAlpha;
+        const radius = Math.max(0.5, this.lineWidth / 2);
+        const covered = new Set();
+
+        let last = null;
+        for (const item of this.path) {
+            if (!item.move && last) {
+                const [ax, ay] = last;
+                const [bx, by] = item.point;
+                const dx = bx - ax;
+                const dy = by - ay;
+                const lengthSq = dx * dx + dy * dy;
+
+                const minX = Math.floor(Math.min(ax, bx) - radius);
+                const maxX = Math.ceil(Math.max(ax, bx) + radius);
+                const minY = Math.floor(Math.min(ay, by) - radius);
+                const maxY = Math.ceil(Math.max(ay, by) + radius);
+
+                for (let py = minY; py <= maxY; py++) {
+                    for (let px = minX; px <= maxX; px++) {
+                        // Distance from the pixel centre to the segment
+                        const cx = px + 0.5;
+                        const cy = py + 0.5;
+                        const t = lengthSq > 0
+                            ? Math.max(0, Math.min(1, ((cx - ax) * dx + (cy - ay) * dy) / lengthSq))
+                            : 0;
+                        const ex = cx - (ax + t * dx);
+                        const ey = cy - (ay + t * dy);
+                        if (ex * ex + ey * ey > radius * radius) continue;
+
+                        const key = py * 65536 + px;
+                        if (covered.has(key)) continue;
+                        covered.add(key);
+                        this.blend(px, py, r, g, b, alpha);
+                    }
+                }
+            }
+            last = item.point;
+        }
+    }
+
+    // Fills the path's subpaths with the nonzero rule, sampling at pixel centres
+    fill() {
+        const [r, g, b, a] = parseColor(this.fillStyle);
+        const alpha = a * this.globalAlpha;
+
+        // Edges of every subpath, each subpath implicitly closed
+        const edges = [];
+        let start = null;
+        let last = null;
+        const close = () => {
+            if (start && last && (start[0] !== last[0] || start[1] !== last[1])) edges.push([last, start]);
+        };
+        for (const item of this.path) {
+            if (item.move) {
+                close();
+                start = item.point;
+            } else if (last) {
+                edges.push([last, item.point]);
+            }
+            last = item.point;
+        }
+        close();
+        if (edges.length === 0) return;
+
+        const ys = edges.flatMap(([p, q]) => [p[1], q[1]]);
+        const minY = Math.max(0, Math.floor(Math.min(...ys)));
+        const maxY = Math.min(this.canvas.height - 1, Math.ceil(Math.max(...ys)));
+
+        for (let py = minY; py <= maxY; py++) {
+            const cy = py + 0.5;
+            const crossings = [];
+            for (const [p, q] of edges) {
+                if ((p[1] <= cy) === (q[1] <= cy)) continue;
+                const x = p[0] + (cy - p[1]) / (q[1] - p[1]) * (q[0] - p[0]);
+                crossings.push({ x, dir: q[1] > p[1] ? 1 : -1 });
+            }
+            crossings.sort((m, n) => m.x - n.x);
+
+            let winding = 0;
+            for (let i = 0; i < crossings.length - 1; i++) {
+                winding += crossings[i].dir;
+                if (winding === 0) continue;
+                const x0 = Math.max(0, Math.ceil(crossings[i].x - 0.5));
+                const x1 = Math.min(this.canvas.width - 1, Math.floor(crossings[i + 1].x - 0.5));
+                for (let px = x0; px <= x1; px++) this.blend(px, py, r, g, b, alpha);
+            }
+        }
+    }
+
+    createImageData(width, height) {
+        return new ShimImageData(width, height);
+    }
+
+    getImageData(x, y, width, height) {
+        const out = new ShimImageData(width, height);
+        const { pixels } = this.canvas;
+
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                const sx = x + col;
+                const sy = y + row;
+                if (sx < 0 || sy < 0 || sx >= this.canvas.width || sy >= this.canvas.height) continue;
+
+                const src = (sy * this.canvas.width + sx) * 4;
+                const dst = (row * width + col) * 4;
+                out.data[dst] = pixels[src];
+                out.data[dst + 1] = pixels[src + 1];
+                out.data[dst + 2] = pixels[src + 2];
+                out.data[dst + 3] = pixels[src + 3];
+            }
+        }
+        return out;
+    }
+
+    // Ignores the transform and replaces pixels, like the real API
+    putImageData(imageData, x, y) {
+        const { pixels } = this.canvas;
+
+        for (let row = 0; row < imageData.height; row++) {
+            for (let col = 0; col < imageData.width; col++) {
+                const dx = x + col;
+                const dy = y + row;
+                if (dx < 0 || dy < 0 || dx >= this.canvas.width || dy >= this.canvas.height) continue;
+
+                const src = (row * imageData.width + col) * 4;
+                const dst = (dy * this.canvas.width + dx) * 4;
+                pixels[dst] = imageData.data[src];
+                pixels[dst + 1] = imageData.data[src + 1];
+                pixels[dst + 2] = imageData.data[src + 2];
+                pixels[dst + 3] = imageData.data[src + 3];
+            }
+        }
+    }
+
+    // drawImage(source, [sx, sy, sw, sh,] dx, dy[, dw, dh]) with nearest-neighbour sampling
+    drawImage(source, ...args) {
+        const image = source.frame || source;
+        let sx = 0;
+        let sy = 0;
+        let sw = image.width;
+        let sh = image.height;
+        let dx, dy, dw, dh;
+
+        if (args.length === 8) {
+            [sx, sy, sw, sh, dx, dy, dw, dh] = args;
+        } else {
+            [dx, dy, dw = sw, dh = sh] = args;
+        }
+        if (!sw || !sh || !image.width || !image.height) return;
+
+        const rect = this.deviceRect(dx, dy, dw, dh);
+        const t = this.transform;
+        const flipX = t[0] < 0;
+        const flipY = t[3] < 0;
+        const width = rect.right - rect.left;
+        const height = rect.bottom - rect.top;
+        if (width <= 0 || height <= 0) return;
+
+        const x0 = Math.max(0, Math.round(rect.left));
+        const y0 = Math.max(0, Math.round(rect.top));
+        const x1 = Math.min(this.canvas.width, Math.round(rect.right));
+        const y1 = Math.min(this.canvas.height, Math.round(rect.bottom));
+
+        for (let py = y0; py < y1; py++) {
+            let v = (py + 0.5 - rect.top) / height;
+            if (flipY) v = 1 - v;
+            const srcY = sy + Math.min(sh - 1, Math.floor(v * sh));
+            if (srcY < 0 || srcY >= image.height) continue;
+
+            for (let px = x0; px < x1; px++) {
+                let u = (px + 0.5 - rect.left) / width;
+                if (flipX) u = 1 - u;
+                const srcX = sx + Math.min(sw - 1, Math.floor(u * sw));
+                if (srcX < 0 || srcX >= image.width) continue;
+
+                const idx = (srcY * image.width + srcX) * 4;
+                const a = (image.pixels[idx + 3] / 255) * this.globalAlpha;
+                this.blend(px, py, image.pixels[idx], image.pixels[idx + 1], image.pixels[idx + 2], a);
+            }
+        }
+    }
+}
+
+// Stands in for both DOM canvases and OffscreenCanvas
+class ShimCanvas {
+    constructor(width = 0, height = 0) {
+        this._width = width;
+        this._height = height;
+        this.pixels = new Uint8ClampedArray(width * height * 4);
+        this.context = null;
+    }
+
+    get width() {
+        return this._width;
+    }
+
+    set width(value) {
+        this._width = value;
+        this.reset();
+    }
+
+    get height() {
+        return this._height;
+    }
+
+    set height(value) {
+        this._height = value;
+        this.reset();
+    }
+
+    // Resizing clears the canvas and its drawing state, as in the browser
+    reset() {
+        this.pixels = new Uint8ClampedArray(this._width * this._height * 4);
+        if (this.context) {
+            this.context.transform = [1, 0, 0, 1, 0, 0];
+            this.context.stack = [];
+        }
+    }
+
+    getContext(type) {
+        if (type !== '2d') return null;
+        if (!this.context) this.context = new ShimContext(this);
+        return this.context;
+    }
+}
+
+// A video element whose current frame is a ShimCanvas
+class ShimVideo {
+    constructor(width, height) {
+        this.frame = new ShimCanvas(width, height);
+    }
+
+    get videoWidth() {
+        return this.frame.width;
+    }
+
+    get videoHeight() {
+        return this.frame.height;
+    }
+}
+
+module.exports = { ShimCanvas, ShimContext, ShimImageData, ShimVideo, parseColor };
@@ -0,0 +1,666 @@
+// Filter Tests - Golden-image regression and edge cases for every filter
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('assert');
+
+const { paintFrame, createFilter, render, compareImages, expectGolden } = require('./harness');
+
+const FILTERS = ['matrix', 'wakingLife', 'archer'];
+
+for (const id of FILTERS) {
+    test(`${id}: matches golden at default settings`, () => {
+        const { canvas } = render(id);
+        expectGolden(id, canvas);
+    });
+
+    test(`${id}: same seed and input give identical frames`, () => {
+        const first = render(id, { seed: 42 });
+        const second = render(id, { seed: 42 });
+        assert.ok(Buffer.from(first.canvas.pixels).equals(Buffer.from(second.canvas.pixels)));
+    });
+
+    test(`${id}: video larger and differently shaped than the canvas`, () => {
+        const { canvas } = render(id, { videoWidth: 96, videoHeight: 40 });
+        expectGolden(id + '-video-96x40', canvas);
+    });
+
+    test(`${id}: video smaller than the canvas`, () => {
+        const { canvas } = render(id, { videoWidth: 32, videoHeight: 32 });
+        expectGolden(id + '-video-32x32', canvas);
+    });
+
+    test(`${id}: zero-size canvas draws nothing and does not throw`, () => {
+        const { canvas } = render(id, { width: 0, height: 0 });
+        assert.strictEqual(canvas.pixels.length, 0);
+    });
+
+    test(`${id}: no video frame yet leaves the canvas untouched`, () => {
+        const { filter, canvas } = createFilter(id, { videoWidth: 0, videoHeight: 0 });
+        filter.draw(16);
+        for (let i = 0; i < canvas.pixels.length; i += 4) {
+            assert.deepStrictEqual(Array.from(canvas.pixels.subarray(i, i + 3)), [0, 0, 0]);
+        }
+    });
+
+    test(`${id}: canvas resized between frames`, () => {
+        const setup = createFilter(id);
+        paintFrame(setup.video, 0);
+        setup.filter.draw(16);
+
+        setup.canvas.width = 40;
+        setup.canvas.height = 56;
+        for (let i = 1; i < 3; i++) {
+            paintFrame(setup.video, i);
+            setup.filter.draw(16);
+        }
+        expectGolden(id + '-resized', setup.canvas);
+    });
+}
+
+// Lowest "Color Levels" slider value for the quantizing filters
+for (const [id, control] of [['wakingLife', 'colorLevels'], ['archer', 'archerColors']]) {
+    test(`${id}: ${control} at its minimum`, () => {
+        const { entry } = createFilter(id);
+        const param = entry.descriptor.params.find(p => p.id === control);
+
+        const { canvas } = render(id, { settings: { [control]: param.min } });
+        expectGolden(`${id}-min-levels`, canvas);
+    });
+}
+
+test('wakingLife: minimum colour levels quantize every channel', () => {
+    // No edge pass or brush strokes, so the quantized image is all that's drawn
+    const { canvas } = render('wakingLife', { settings: { colorLevels: 4, edgeOpacity: 0, painterliness: 0 } });
+    const allowed = new Set([0, 85, 170, 255]);
+
+    for (let i = 0; i < canvas.pixels.length; i += 4) {
+        for (let c = 0; c < 3; c++) {
+            assert.ok(allowed.has(canvas.pixels[i + c]), `channel value ${canvas.pixels[i + c]} at byte ${i + c}`);
+        }
+    }
+});
+
+test('matrix: different seeds give different rain', () => {
+    const first = render('matrix', { seed: 1, frames: 8 });
+    const second = render('matrix', { seed: 2, frames: 8 });
+    assert.ok(!Buffer.from(first.canvas.pixels).equals(Buffer.from(second.canvas.pixels)));
+});
+
+test('matrix: every glyph set builds an atlas holding its glyphs', () => {
+    const { entry } = createFilter('matrix');
+    const sets = entry.descriptor.params.find(p => p.id === 'glyphSet').options.map(opt => opt.value);
+
+    for (const glyphSet of sets) {
+        const { filter } = render('matrix', { settings: { glyphSet, customGlyphs: 'ab c' }, frames: 2 });
+        assert.ok(filter.glyphs.length > 0, glyphSet);
+        for (const glyph of filter.glyphs) assert.ok(filter.atlas.has(glyph), `${glyphSet}: ${glyph}`);
+        for (const column of filter.grid) {
+            for (const cell of column) assert.ok(filter.glyphs.includes(cell.char), `${glyphSet}: ${cell.char}`);
+        }
+    }
+});
+
+test('matrix: custom glyphs ignore whitespace and repeats', () => {
+    const { filter } = render('matrix', { settings: { glyphSet: 'custom', customGlyphs: 'xyx y' }, frames: 1 });
+    assert.deepStrictEqual(Array.from(filter.glyphs), ['x', 'y']);
+});
+
+test('matrix: message spells down each column and scrolls with the stream', () => {
+    const { filter } = render('matrix', { settings: { rainMessage: 'WAKE UP' }, frames: 2 });
+    const stream = filter.streams[0];
+    const read = () => Array.from({ length: 7 }, (_, y) => filter.getMessageChar(stream, y)).join('');
+
+    const before = read();
+    assert.ok(('WAKE UP' + 'WAKE UP').includes(before), before);
+
+    stream.y += 1;
+    assert.strictEqual(read(), before.slice(-1) + before.slice(0, -1));
+});
+
+test('matrix: ASCII art in green and in source colour', () => {
+    expectGolden('matrix-ascii', render('matrix', { settings: { matrixStyle: 'ascii', charSize: 8 } }).canvas);
+    expectGolden('matrix-ascii-source', render('matrix', {
+        settings: { matrixStyle: 'ascii', asciiColor: 'source', charSize: 8 }
+    }).canvas);
+});
+
+test('matrix: text export follows the density ramp', () => {
+    const { filter } = render('matrix', { settings: { charSize: 8 }, frames: 1 });
+    const lines = filter.toText('plain').replace(/\n$/, '').split('\n');
+
+    assert.strictEqual(lines.length, filter.gridHeight);
+    for (const line of lines) {
+        assert.strictEqual(line.length, filter.gridWidth);
+        assert.match(line, /^[ .:\-=+*#%@]+$/);
+    }
+    // The bright disc is the densest glyph, the dark bar along the bottom is empty
+    assert.ok(lines.some(line => line.includes('@')));
+    assert.strictEqual(lines[lines.length - 1].trim(), '');
+});
+
+test('matrix: exporting text before the first frame leaves the rain as it was', () => {
+    const frames = exportFirst => {
+        const { filter, canvas, video } = createFilter('matrix', { settings: { charSize: 8 } });
+        paintFrame(video, 0);
+        if (exportFirst) assert.ok(filter.toText('plain').includes('@'));
+        // The canvas takes the video's shape before the first frame is drawn
+        canvas.width = 40;
+        canvas.height = 56;
+        for (let i = 0; i < 6; i++) filter.draw(16);
+        return Buffer.from(canvas.pixels);
+    };
+
+    assert.ok(frames(true).equals(frames(false)));
+});
+
+test('matrix: ANSI and HTML exports carry colour', () => {
+    const { filter } = render('matrix', { settings: { asciiColor: 'source' }, frames: 1 });
+
+    const ansi = filter.toText('ansi');
+    assert.match(ansi, /\x1b\[38;2;\d+;\d+;\d+m/);
+    assert.strictEqual(ansi.trimEnd().split('\n').length, filter.gridHeight);
+    assert.ok(ansi.trimEnd().split('\n').every(line => line.endsWith('\x1b[0m')));
+
+    const html = filter.toText('html');
+    assert.ok(html.startsWith('<!DOCTYPE html>'));
+    assert.strictEqual((html.match(/<span /g) || []).length, (html.match(/<\/span>/g) || []).length);
+});
+
+test('matrix: palettes recolour the rain', () => {
+    for (const palette of ['amber', 'cyberpunk', 'source']) {
+        expectGolden(`matrix-palette-${palette}`, render('matrix', { settings: { matrixPalette: palette, charSize: 8 } }).canvas);
+    }
+});
+
+test('matrix: custom palette uses the picked trail colour', () => {
+    const { canvas } = render('matrix', {
+        settings: { matrixPalette: 'custom', trailColor: '#0000ff', headColor: '#000080', matrixStyle: 'luminance', charSize: 8 },
+        frames: 1
+    });
+
+    // Head picked blue too, so every lit pixel comes from the picked colours
+    let lit = 0;
+    for (let i = 0; i < canvas.pixels.length; i += 4) {
+        const [r, g, b] = canvas.pixels.subarray(i, i + 3);
+        if (r + g + b === 0) continue;
+        lit++;
+        assert.ok(b > r && b > g, `pixel ${i / 4} is ${[r, g, b]}`);
+    }
+    assert.ok(lit > 0);
+});
+
+test('matrix: luminance-only style', () => {
+    expectGolden('matrix-luminance', render('matrix', { settings: { matrixStyle: 'luminance', charSize: 8 } }).canvas);
+});
+
+test('matrix: streams per column', () => {
+    const { filter } = render('matrix', { settings: { streamsPerColumn: 3, charSize: 8 }, frames: 1 });
+    assert.strictEqual(filter.streams.length, filter.gridWidth * 3);
+    for (const column of filter.columnStreams) assert.strictEqual(column.length, 3);
+
+    filter.streamsPerColumn = 1;
+    filter.draw(16);
+    assert.strictEqual(filter.streams.length, filter.gridWidth);
+});
+
+test('matrix: rain only lights cells a stream has passed over', () => {
+    const { filter, canvas, video } = createFilter('matrix', { settings: { charSize: 8 } });
+    paintFrame(video, 0);
+    filter.draw(16);
+
+    // Park every stream above the screen and clear the trails; the next frame has nothing to reveal
+    for (const stream of filter.streams) {
+        stream.y = -100;
+        stream.speed = 0;
+    }
+    filter.explosionRate = 0;
+    filter.explosions = [];
+    filter.glow = 0;
+    filter.clearTrails();
+    filter.draw(16);
+    for (let i = 0; i < canvas.pixels.length; i += 4) {
+        assert.deepStrictEqual(Array.from(canvas.pixels.subarray(i, i + 3)), [0, 0, 0]);
+    }
+
+    // A single stream lights only its own column, from its head up its trail
+    const stream = filter.columnStreams[2][0];
+    stream.y = 3;
+    stream.length = 3;
+    filter.clearTrails();
+    filter.draw(16);
+
+    let lit = 0;
+    for (let i = 0; i < canvas.pixels.length; i += 4) {
+        const [r, g, b] = canvas.pixels.subarray(i, i + 3);
+        if (r + g + b === 0) continue;
+        lit++;
+        const px = (i / 4) % canvas.width;
+        const py = Math.floor(i / 4 / canvas.width);
+        assert.ok(px >= 16 && px < 24, `pixel column ${px}`);
+        assert.ok(py >= 8 && py < 32, `pixel row ${py}`);
+    }
+    assert.ok(lit > 0);
+});
+
+test('matrix: rain draws only the cells its streams cover', () => {
+    const { filter, video } = createFilter('matrix', { width: 128, height: 96, settings: { charSize: 4, explosionRate: 0 } });
+    paintFrame(video, 0);
+    filter.draw(16);
+
+    let draws = 0;
+    const atlasDraw = filter.atlas.draw.bind(filter.atlas);
+    filter.atlas.draw = (...args) => {
+        draws++;
+        return atlasDraw(...args);
+    };
+    filter.draw(16);
+
+    let covered = 0;
+    for (const stream of filter.streams) {
+        const top = Math.max(0, Math.floor(stream.y - stream.length) + 1);
+        const bottom = Math.min(filter.gridHeight - 1, Math.floor(stream.y));
+        covered += Math.max(0, bottom - top + 1);
+    }
+    assert.ok(draws > 0);
+    assert.ok(draws <= covered, `${draws} glyphs drawn for ${covered} covered cells`);
+    assert.ok(covered < filter.gridWidth * filter.gridHeight);
+});
+
+test('matrix: glow only adds light', () => {
+    const plain = render('matrix', { settings: { matrixGlow: 0 } }).canvas.pixels;
+    const glowing = render('matrix', { settings: { matrixGlow: 10 } }).canvas.pixels;
+
+    let brighter = 0;
+    for (let i = 0; i < plain.length; i += 4) {
+        for (let c = 0; c < 3; c++) assert.ok(glowing[i + c] >= plain[i + c], `byte ${i + c}`);
+        if (glowing[i] + glowing[i + 1] + glowing[i + 2] > plain[i] + plain[i + 1] + plain[i + 2]) brighter++;
+    }
+    assert.ok(brighter > 0);
+});
+
+test('matrix: glow shimmer brightens and dims the glow over time', () => {
+    const alphas = shimmer => {
+        const { filter, canvas, video } = createFilter('matrix', { settings: { glowShimmer: shimmer } });
+        const ctx = canvas.getContext('2d');
+        const seen = [];
+        const drawImage = ctx.drawImage.bind(ctx);
+        ctx.drawImage = (...args) => {
+            if (ctx.globalCompositeOperation === 'lighter') seen.push(ctx.globalAlpha);
+            drawImage(...args);
+        };
+        paintFrame(video, 0);
+        for (let i = 0; i < 120; i++) filter.draw(16);
+        return seen;
+    };
+
+    assert.ok(alphas(0).every(alpha => alpha === 0.5));
+    const shimmering = alphas(10);
+    assert.ok(Math.max(...shimmering) - Math.min(...shimmering) > 0.05);
+    // Smooth noise, not a flicker
+    for (let i = 1; i < shimmering.length; i++) assert.ok(Math.abs(shimmering[i] - shimmering[i - 1]) < 0.02);
+});
+
+// Matrix with its motion detector pinned to a fixed level everywhere
+function matrixWithMotion(level, settings = {}) {
+    const setup = createFilter('matrix', { settings: { charSize: 8, ...settings } });
+    paintFrame(setup.video, 0);
+    setup.filter.draw(16);
+
+    const motion = setup.filter.motion;
+    motion.updateGrid = () => {
+        motion.map.fill(level);
+        motion.globalMotion = level;
+    };
+    return setup;
+}
+
+test('matrix: movement speeds up the rain and sets off sparks', () => {
+    const still = matrixWithMotion(0, { explosionRate: 10 });
+    const moving = matrixWithMotion(0.5, { explosionRate: 10 });
+    const startStill = still.filter.streams.map(stream => stream.y);
+    const startMoving = moving.filter.streams.map(stream => stream.y);
+
+    still.filter.draw(16);
+    moving.filter.draw(16);
+    still.filter.streams.forEach((stream, i) => {
+        const stillStep = stream.y - startStill[i];
+        const movingStep = moving.filter.streams[i].y - startMoving[i];
+        // Streams that wrapped around start over, so only compare the ones still falling
+        if (stillStep > 0 && movingStep > 0) assert.ok(movingStep > stillStep, `stream ${i}`);
+    });
+
+    for (let i = 0; i < 20; i++) moving.filter.draw(16);
+    assert.ok(moving.filter.explosions.length > 0);
+
+    const unresponsive = matrixWithMotion(0.5, { explosionRate: 10, motionResponse: 0 });
+    const before = unresponsive.filter.explosions.length;
+    for (let i = 0; i < 20; i++) unresponsive.filter.draw(16);
+    // Only the bright disc can glitch now, and far less often
+    assert.ok(unresponsive.filter.explosions.length - before < moving.filter.explosions.length);
+});
+
+test('matrix: bullet time slows the rain while the scene is still', () => {
+    const fall = (bulletTime, level) => {
+        const { filter } = matrixWithMotion(level, { bulletTime });
+        for (let i = 0; i < 60; i++) filter.draw(16);
+        return filter.timeScale;
+    };
+
+    assert.strictEqual(fall(0, 0), 1);
+    assert.ok(fall(10, 0) < 0.2);
+    // Movement brings it back to real time
+    assert.ok(fall(10, 0.5) > 0.99);
+});
+
+test('matrix: speed wander drifts stream speeds smoothly', () => {
+    // Each frame's fall relative to the stream's own speed, once the brightness has settled
+    const rates = streamWander => {
+        const { filter } = matrixWithMotion(0, { streamWander });
+        const stream = filter.streams[0];
+        const result = [];
+        for (let i = 0; i < 240; i++) {
+            const y = stream.y;
+            filter.draw(16);
+            // Streams that wrapped around start over at a new speed
+            if (i >= 40 && stream.y > y) result.push((stream.y - y) / stream.speed);
+        }
+        return result;
+    };
+    const spread = values => Math.max(...values) / Math.min(...values);
+
+    assert.ok(spread(rates(0)) < 1.001);
+    const wandering = rates(10);
+    assert.ok(spread(wandering) > 1.1, `${spread(wandering)}`);
+    for (let i = 1; i < wandering.length; i++) {
+        assert.ok(Math.abs(wandering[i] / wandering[i - 1] - 1) < 0.05, `jump at frame ${i}`);
+    }
+});
+
+// Every pixel of the video set by fn(x, y) -> [r, g, b]
+function paintWith(video, fn) {
+    const { width, height, pixels } = video.frame;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = (y * width + x) * 4;
+            const [r, g, b] = fn(x, y);
+            pixels[idx] = r;
+            pixels[idx + 1] = g;
+            pixels[idx + 2] = b;
+            pixels[idx + 3] = 255;
+        }
+    }
+}
+
+test('archer: a noisy flat wall comes out as one flat colour', () => {
+    // Straddles 127.5, where rounding each channel used to split the wall in two
+    const { filter, canvas, video } = createFilter('archer', { width: 32, height: 24 });
+    paintWith(video, (x, y) => {
+        const v = (x * 7 + y * 13) % 3 === 0 ? 126 : 129;
+        return [v, v, v];
+    });
+    filter.draw(16);
+
+    const colors = new Set();
+    for (let y = 4; y < 20; y++) {
+        for (let x = 4; x < 28; x++) {
+            const idx = (y * 32 + x) * 4;
+            colors.add(Array.from(canvas.pixels.subarray(idx, idx + 3)).join());
+        }
+    }
+    assert.deepStrictEqual(Array.from(colors).length, 1, Array.from(colors).join(' '));
+});
+
+test('archer: each palette colour gets at most one tone per shading band', () => {
+    for (const [colors, bands] of [[3, 2], [6, 3], [12, 3]]) {
+        const { filter } = render('archer', { settings: { archerColors: colors, archerBands: bands }, frames: 1 });
+        const tones = new Set();
+        for (let i = 0; i < filter.toneTable.length; i += 4) {
+            tones.add(Array.from(filter.toneTable.subarray(i, i + 3)).join());
+        }
+        assert.strictEqual(filter.palette.length, colors * 3);
+        assert.ok(tones.size <= colors * bands, `${colors} colours, ${bands} bands: ${tones.size} tones`);
+    }
+});
+
+test('archer: palette lock holds the colours while the scene drifts', () => {
+    const drift = (lock) => {
+        const { filter, video } = createFilter('archer', { settings: { archerPaletteLock: lock } });
+        paintFrame(video, 0);
+        filter.draw(16);
+        const first = Array.from(filter.palette);
+
+        // Same scene, lights turned down a little
+        const { pixels } = video.frame;
+        for (let i = 0; i < pixels.length; i += 4) {
+            for (let c = 0; c < 3; c++) pixels[i + c] *= 0.85;
+        }
+        filter.draw(16);
+        return Math.max(...first.map((v, i) => Math.abs(v - filter.palette[i])));
+    };
+
+    assert.strictEqual(drift(10), 0);
+    assert.ok(drift(0) > drift(7));
+    assert.ok(drift(7) > 0);
+});
+
+test('archer: outlines are inked with a single fill, not a stroke per segment', () => {
+    const { filter, canvas, video } = createFilter('archer', { width: 160, height: 120 });
+    const ctx = canvas.getContext('2d');
+    const calls = { fill: 0, stroke: 0 };
+    const fill = ctx.fill.bind(ctx);
+    ctx.fill = () => { calls.fill++; fill(); };
+    ctx.stroke = () => { calls.stroke++; };
+
+    paintFrame(video, 0);
+    filter.draw(16);
+
+    assert.ok(filter.outlines.length > 0);
+    assert.deepStrictEqual(calls, { fill: 1, stroke: 0 });
+});
+
+test('archer: SVG export holds one path per outline at the canvas size', () => {
+    const { filter, video } = createFilter('archer', { width: 160, height: 120 });
+    paintFrame(video, 0);
+    filter.draw(16);
+
+    const svg = filter.toSVG();
+    assert.ok(svg.startsWith('<?xml'));
+    assert.ok(svg.includes('width="160" height="120" viewBox="0 0 160 120"'));
+
+    const paths = svg.match(/<path d="M[^"]+Z"\/>/g) || [];
+    assert.ok(paths.length > 0);
+    assert.strictEqual(paths.length, filter.outlines.length);
+    assert.ok(!/NaN|undefined/.test(svg));
+});
+
+test('archer: SVG export is the displayed outlines, not a fresh trace', () => {
+    const { filter, video } = createFilter('archer', { width: 160, height: 120, settings: { archerStability: 10 } });
+    paintFrame(video, 0);
+    filter.draw(16);
+    const outlines = filter.outlines;
+    const traceLum = Array.from(filter.traceLum);
+
+    // The scene moves on, but nothing draws it yet
+    paintFrame(video, 8);
+    const svg = filter.toSVG();
+
+    assert.strictEqual(filter.outlines, outlines);
+    assert.deepStrictEqual(Array.from(filter.traceLum), traceLum);
+    assert.strictEqual((svg.match(/<path /g) || []).length, outlines.length);
+});
+
+test('archer: SVG export traces the frame itself when this instance never drew it', () => {
+    // As on the page while the worker renders: the main-thread filter only sees the video
+    const { filter, video } = createFilter('archer', { width: 160, height: 120, settings: { archerStability: 10 } });
+    paintFrame(video, 0);
+
+    const paths = filter.toSVG().match(/<path d="M[^"]+Z"\/>/g) || [];
+    assert.ok(paths.length > 0);
+    // The live trace state is left for the instance's own frames
+    assert.strictEqual(filter.outlines.length, 0);
+    assert.strictEqual(filter.traceLum, null);
+
+    // Same outlines as drawing the frame would ink
+    filter.draw(16);
+    assert.strictEqual(paths.length, filter.outlines.length);
+});
+
+test('archer: line boil wobbles the outlines over time, the same way for the same seed', () => {
+    const ribbons = (archerLineBoil, seed, time) => {
+        const { filter, video } = createFilter('archer', { width: 160, height: 120, settings: { archerLineBoil }, seed });
+        paintFrame(video, 0);
+        filter.draw(16);
+        filter.time = time;
+        return JSON.stringify(filter.outlines.map(line => Array.from(filter.getRibbon(line))));
+    };
+
+    assert.strictEqual(ribbons(0, 1, 0), ribbons(0, 1, 5000));
+    assert.notStrictEqual(ribbons(10, 1, 0), ribbons(10, 1, 5000));
+    assert.strictEqual(ribbons(10, 1, 5000), ribbons(10, 1, 5000));
+    assert.notStrictEqual(ribbons(10, 1, 5000), ribbons(10, 2, 5000));
+});
+
+test('archer: raster edge darkening is off unless asked for', () => {
+    const plain = render('archer', { frames: 1 });
+    const darkened = render('archer', { settings: { archerRasterEdges: 'on' }, frames: 1 });
+
+    const dark = pixels => pixels.reduce((sum, v, i) => sum + (i % 4 === 3 ? 0 : v), 0);
+    assert.ok(dark(darkened.canvas.pixels) < dark(plain.canvas.pixels));
+});
+
+// Test card with a little per-frame sensor noise
+function paintNoisyFrame(video, index) {
+    paintFrame(video, 0);
+    const { pixels } = video.frame;
+    for (let i = 0; i < pixels.length; i += 4) {
+        const noise = ((i * 2654435761 + index * 40503) >>> 0) % 7 - 3;
+        for (let c = 0; c < 3; c++) pixels[i + c] += noise;
+    }
+}
+
+// Share of pixels that change between the last two of a dozen frames of a still, noisy scene
+function flicker(id, settings) {
+    const { filter, canvas, video } = createFilter(id, { settings });
+    let previous = null;
+    let changed = 0;
+    for (let i = 0; i < 12; i++) {
+        paintNoisyFrame(video, i);
+        filter.draw(16);
+        if (previous) {
+            changed = 0;
+            for (let p = 0; p < canvas.pixels.length; p += 4) {
+                if (canvas.pixels[p] !== previous[p] || canvas.pixels[p + 1] !== previous[p + 1] ||
+                    canvas.pixels[p + 2] !== previous[p + 2]) changed++;
+            }
+        }
+        previous = Uint8ClampedArray.from(canvas.pixels);
+    }
+    return changed / (canvas.pixels.length / 4);
+}
+
+for (const [id, prefix, calm] of [
+    ['wakingLife', '', { wobbleIntensity: 0, breathingIntensity: 0, colorShift: 0, edgeOpacity: 0 }],
+    ['archer', 'archer', {}]
+]) {
+    const stability = prefix ? prefix + 'Stability' : 'stability';
+
+    test(`${id}: stability cuts flicker on a still, noisy scene`, () => {
+        const loose = flicker(id, { ...calm, [stability]: 0 });
+        const steady = flicker(id, { ...calm, [stability]: 10 });
+        assert.ok(steady < loose / 2, `${steady} vs ${loose}`);
+    });
+}
+
+test('archer: while stabilizing, raster edges add no flicker of their own', () => {
+    const outlines = flicker('archer', { archerStability: 10 });
+    const raster = flicker('archer', { archerStability: 10, archerRasterEdges: 'on' });
+    assert.ok(raster <= outlines, `${raster} vs ${outlines}`);
+});
+
+test('archer: stabilizing never smears a fast-moving object', () => {
+    const settings = { archerStability: 10, archerFrameBlend: 10 };
+    const steady = createFilter('archer', { settings });
+    const plain = createFilter('archer');
+
+    // Hold still for a while, then jump the disc across the frame
+    for (const setup of [steady, plain]) {
+        for (let i = 0; i < 6; i++) {
+            paintFrame(setup.video, 0);
+            setup.filter.draw(16);
+        }
+        paintFrame(setup.video, 8);
+        setup.filter.draw(16);
+    }
+
+    const result = compareImages(steady.canvas, plain.canvas, 24);
+    assert.ok(result.ratio < 0.02, `${(result.ratio * 100).toFixed(1)}% of pixels lag behind`);
+});
+
+test('wakingLife: ink strokes carry over between frames and travel with the motion', () => {
+    const { filter, video } = createFilter('wakingLife', { width: 96, height: 72 });
+    // A bright textured square sliding 3 px a frame across a dark wall
+    const paintSquare = (left) => paintWith(video, (x, y) => {
+        const inside = x >= left && x < left + 24 && y >= 24 && y < 48;
+        const v = inside ? 200 + ((x - left) * 5 + y * 3) % 40 : 30;
+        return [v, v, v];
+    });
+
+    let previous = null;
+    for (let i = 0; i < 6; i++) {
+        previous = new Map(Array.from(filter.strokes, s => [s, { x: s.x, y: s.y }]));
+        paintSquare(20 + i * 3);
+        filter.draw(16);
+    }
+
+    const carried = Array.from(filter.strokes).filter(s => previous.has(s) && s.y > 26 && s.y < 46);
+    assert.ok(carried.length >= 4, `only ${carried.length} strokes carried over`);
+
+    // The canvas is mirrored, so the square moves left
+    const moved = carried.reduce((sum, s) => sum + (s.x - previous.get(s).x), 0) / carried.length;
+    assert.ok(Math.abs(moved + 3) < 1, `strokes moved ${moved} px`);
+    assert.ok(carried.every(s => s.vx < -1.5), 'strokes know which way they are travelling');
+});
+
+test('wakingLife: the noise controls reshape the wobble', () => {
+    // No brush strokes or ink, so only the wobble and colour drift differ
+    const base = { painterliness: 0, edgeOpacity: 0 };
+    const pixels = (settings) => Buffer.from(render('wakingLife', { settings: { ...base, ...settings } }).canvas.pixels);
+    const reference = pixels({});
+
+    for (const settings of [{ wobbleScale: 20 }, { noiseOctaves: 6 }, { noiseLacunarity: 30 }, { wobbleSpeed: 10 }]) {
+        assert.ok(!pixels(settings).equals(reference), JSON.stringify(settings));
+    }
+    // With the wobble and drift off, the noise settings have nothing to shape
+    const still = { wobbleIntensity: 0, colorShift: 0 };
+    assert.ok(pixels({ ...still, wobbleScale: 20 }).equals(pixels(still)));
+});
+
+test('wakingLife: the dither moves with elapsed time, not the frame count', () => {
+    // Only the quantization dither animates with these settings
+    const settings = { painterliness: 0, edgeOpacity: 0, wobbleIntensity: 0, colorShift: 0, breathingIntensity: 0 };
+    const play = deltas => {
+        const { filter, canvas, video } = createFilter('wakingLife', { settings });
+        paintFrame(video, 0);
+        for (const deltaMs of deltas) filter.draw(deltaMs);
+        return Buffer.from(canvas.pixels);
+    };
+
+    // 60 fps playback and a 30 fps export reach the same moment
+    assert.ok(play([16, 16, 16, 16]).equals(play([32, 32])));
+    assert.ok(!play([16, 16]).equals(play([32, 32])));
+});
+
+test('wakingLife: the GL path only reads the frame back for brush strokes when asked to', () => {
+    const { filter, canvas, video } = createFilter('wakingLife');
+    paintFrame(video, 0);
+    filter.draw(16);
+    const drawn = Buffer.from(canvas.pixels);
+
+    filter.paintCanvas();
+    assert.ok(Buffer.from(canvas.pixels).equals(drawn), 'no strokes by default');
+
+    filter.gpuPainting = 'on';
+    filter.paintCanvas();
+    assert.ok(!Buffer.from(canvas.pixels).equals(drawn));
+});
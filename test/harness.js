@@ -0,0 +1,184 @@
+// Test Harness - Loads the filter scripts into a Node sandbox and renders synthetic video
+// Golden images live in test/golden; run with UPDATE_GOLDENS=1 to rewrite them
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const { ShimCanvas, ShimVideo } = require('./canvas-shim');
+const { encodePNG, decodePNG } = require('./png');
+
+const ROOT = path.join(__dirname, '..');
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+
+// Same order index.html loads them in
+const FILTER_SCRIPTS = [
+    'canvas-utils.js',
+    'random.js',
+    'noise.js',
+    'motion.js',
+    'segmentation.js',
+    'glyph-atlas.js',
+    'outline-tracer.js',
+    'temporal-stabilizer.js',
+    'optical-flow.js',
+    'brush-painter.js',
+    'filter-registry.js',
+    'matrix.js',
+    'waking-life.js',
+    'archer.js'
+];
+
+// A fresh worker-like global per call, so registries and state never leak between tests
+function loadFilters() {
+    const sandbox = { console, OffscreenCanvas: ShimCanvas };
+    sandbox.self = sandbox;
+    vm.createContext(sandbox);
+
+    for (const script of FILTER_SCRIPTS) {
+        const file = path.join(ROOT, script);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+    }
+    return sandbox;
+}
+
+// Deterministic test card: gradient, a moving bright disc, a flat block and a dark bar
+function paintFrame(video, index) {
+    const { width, height, pixels } = video.frame;
+    const discX = width * (0.3 + 0.05 * index);
+    const discY = height * 0.45;
+    const radius = Math.min(width, height) * 0.2;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = (y * width + x) * 4;
+            let r = 40 + (x / Math.max(1, width - 1)) * 160;
+            let g = 60;
+            let b = 40 + (y / Math.max(1, height - 1)) * 160;
+
+            if (x > width * 0.65 && x < width * 0.9 && y > height * 0.2 && y < height * 0.6) {
+                r = 30;
+                g = 180;
+                b = 70;
+            }
+            if (y > height * 0.8) {
+                r = g = b = 10;
+            }
+            const dx = x - discX;
+            const dy = y - discY;
+            if (dx * dx + dy * dy < radius * radius) {
+                r = g = b = 245;
+            }
+
+            pixels[idx] = r;
+            pixels[idx + 1] = g;
+            pixels[idx + 2] = b;
+            pixels[idx + 3] = 255;
+        }
+    }
+}
+
+// settings are raw slider values keyed by control id, as presets store them
+function createFilter(id, options = {}) {
+    const {
+        width = 64,
+        height = 48,
+        videoWidth = width,
+        videoHeight = height,
+        settings = {},
+        seed = 1
+    } = options;
+
+    const scope = loadFilters();
+    const entry = scope.FilterRegistry.get(id);
+    assert.ok(entry, `Filter "${id}" is not registered`);
+
+    const canvas = new ShimCanvas(width, height);
+    const video = new ShimVideo(videoWidth, videoHeight);
+    const filter = new entry.FilterClass(canvas, video);
+
+    for (const param of entry.descriptor.params) {
+        const value = param.id in settings ? settings[param.id] : param.default;
+        filter[param.property] = param.transform(value);
+    }
+    if (typeof filter.reseed === 'function') filter.reseed(seed);
+
+    // Start from black, as App.setMode() does
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+
+    return { scope, entry, filter, canvas, video };
+}
+
+// Draws `frames` frames at a fixed 16 ms step and returns the canvas
+function render(id, options = {}) {
+    const setup = createFilter(id, options);
+    const frames = options.frames || 4;
+
+    for (let i = 0; i < frames; i++) {
+        paintFrame(setup.video, i);
+        setup.filter.draw(16);
+    }
+    return setup;
+}
+
+// Channels further apart than `threshold` count as a mismatched pixel
+function compareImages(actual, expected, threshold) {
+    const diff = new Uint8ClampedArray(actual.pixels.length);
+    let mismatched = 0;
+    let maxDelta = 0;
+
+    for (let i = 0; i < actual.pixels.length; i += 4) {
+        let delta = 0;
+        for (let c = 0; c < 4; c++) {
+            delta = Math.max(delta, Math.abs(actual.pixels[i + c] - expected.pixels[i + c]));
+        }
+        maxDelta = Math.max(maxDelta, delta);
+        if (delta > threshold) mismatched++;
+
+        diff[i] = delta > threshold ? 255 : delta * 8;
+        diff[i + 1] = 0;
+        diff[i + 2] = 0;
+        diff[i + 3] = 255;
+    }
+
+    return { mismatched, ratio: mismatched / (actual.pixels.length / 4), maxDelta, diff };
+}
+
+function expectGolden(name, canvas, { threshold = 3, maxRatio = 0.005 } = {}) {
+    const file = path.join(GOLDEN_DIR, name + '.png');
+    const actual = { width: canvas.width, height: canvas.height, pixels: canvas.pixels };
+
+    if (process.env.UPDATE_GOLDENS) {
+        fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+        fs.writeFileSync(file, encodePNG(actual.width, actual.height, actual.pixels));
+        return;
+    }
+
+    assert.ok(fs.existsSync(file), `Missing golden ${name}.png; run with UPDATE_GOLDENS=1 to create it`);
+    const expected = decodePNG(fs.readFileSync(file));
+    assert.deepStrictEqual(
+        [actual.width, actual.height],
+        [expected.width, expected.height],
+        `${name}: size differs from golden`
+    );
+
+    const result = compareImages(actual, expected, threshold);
+    if (result.ratio > maxRatio) {
+        // Leave the evidence somewhere it won't be committed
+        const outDir = path.join(os.tmpdir(), 'four-fingers-tests');
+        fs.mkdirSync(outDir, { recursive: true });
+        fs.writeFileSync(path.join(outDir, name + '.actual.png'), encodePNG(actual.width, actual.height, actual.pixels));
+        fs.writeFileSync(path.join(outDir, name + '.diff.png'), encodePNG(actual.width, actual.height, result.diff));
+
+        assert.fail(
+            `${name}: ${result.mismatched} pixels (${(result.ratio * 100).toFixed(2)}%) differ from golden, ` +
+            `max channel delta ${result.maxDelta}; see ${outDir}`
+        );
+    }
+}
+
+module.exports = { loadFilters, paintFrame, createFilter, render, compareImages, expectGolden };
@@ -0,0 +1,58 @@
+// Motion Detector Tests - Frame differencing shared by the filters
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('assert');
+
+const { loadFilters } = require('./harness');
+
+// Solid grey RGBA frame, optionally with one bright pixel
+function frame(width, height, bright = null) {
+    const pixels = new Uint8ClampedArray(width * height * 4).fill(100);
+    if (bright) pixels.fill(255, (bright.y * width + bright.x) * 4, (bright.y * width + bright.x) * 4 + 3);
+    return pixels;
+}
+
+test('motion: still frames register no motion', () => {
+    const motion = new (loadFilters().MotionDetector)();
+    for (let i = 0; i < 3; i++) motion.updateGrid(frame(4, 3), 4, 3);
+
+    assert.ok(motion.map.every(value => value === 0));
+    assert.strictEqual(motion.globalMotion, 0);
+});
+
+test('motion: a changed cell moves only that cell', () => {
+    const motion = new (loadFilters().MotionDetector)();
+    motion.updateGrid(frame(4, 3), 4, 3);
+    motion.updateGrid(frame(4, 3, { x: 2, y: 1 }), 4, 3);
+
+    assert.ok(motion.getCell(2, 1) > 0);
+    assert.strictEqual(motion.getCell(0, 0), 0);
+    assert.ok(motion.globalMotion > 0);
+    // Off the grid falls back to the frame average
+    assert.strictEqual(motion.getCell(-1, 0), motion.globalMotion);
+});
+
+test('motion: full-size frames are sampled at cell centres', () => {
+    const motion = new (loadFilters().MotionDetector)(4);
+    motion.update(frame(16, 8), 16, 8);
+    motion.update(frame(16, 8, { x: 6, y: 2 }), 16, 8);
+
+    assert.deepStrictEqual([motion.width, motion.height], [4, 2]);
+    assert.ok(motion.getMotionAt(5, 1) > 0);
+    assert.strictEqual(motion.getMotionAt(1, 1), 0);
+});
+
+test('motion: a new frame size starts over instead of diffing mismatched frames', () => {
+    const motion = new (loadFilters().MotionDetector)();
+    motion.updateGrid(frame(4, 3), 4, 3);
+    motion.updateGrid(frame(4, 3, { x: 0, y: 0 }), 4, 3);
+    motion.updateGrid(frame(2, 2, { x: 1, y: 1 }), 2, 2);
+
+    assert.deepStrictEqual([motion.width, motion.height], [2, 2]);
+    assert.ok(motion.map.every(value => value === 0));
+
+    motion.reset();
+    assert.strictEqual(motion.map, null);
+    assert.strictEqual(motion.globalMotion, 0);
+});
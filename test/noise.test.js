@@ -0,0 +1,59 @@
+// Gradient Noise Tests - Seeding, tiling, range and the fractal sum
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('assert');
+
+const { loadFilters } = require('./harness');
+
+function noise(seed = 1, period) {
+    return new (loadFilters().GradientNoise)(seed, period);
+}
+
+// Points off the lattice, on both sides of zero
+function samples(count = 200) {
+    return Array.from({ length: count }, (_, i) => [Math.sin(i * 12.9898) * 300, Math.cos(i * 78.233) * 300]);
+}
+
+test('noise: the same seed gives the same field, another seed a different one', () => {
+    const a = noise('forest');
+    const b = noise('forest');
+    const c = noise('desert');
+    const points = samples();
+
+    assert.ok(points.every(([x, y]) => a.noise2D(x, y) === b.noise2D(x, y)));
+    assert.ok(points.some(([x, y]) => a.noise2D(x, y) !== c.noise2D(x, y)));
+});
+
+test('noise: the field tiles every period, negative coordinates included', () => {
+    const field = noise(3, 16);
+    for (const [x, y] of samples()) {
+        assert.ok(Math.abs(field.noise2D(x, y) - field.noise2D(x + 16, y - 32)) < 1e-9, `at ${x}, ${y}`);
+    }
+});
+
+test('noise: negative coordinates are not a mirror of positive ones', () => {
+    const field = noise(5);
+    const points = samples().map(([x, y]) => [Math.abs(x) + 0.3, Math.abs(y) + 0.3]);
+    assert.ok(points.some(([x, y]) => Math.abs(field.noise2D(-x, -y) - field.noise2D(x, y)) > 0.05));
+});
+
+test('noise: values stay in [-1, 1], are zero on the lattice and change smoothly', () => {
+    const field = noise(9);
+    for (const [x, y] of samples()) {
+        const value = field.noise2D(x, y);
+        assert.ok(value >= -1 && value <= 1, `${value} at ${x}, ${y}`);
+        assert.ok(Math.abs(field.noise2D(x + 0.01, y) - value) < 0.05, `jump at ${x}, ${y}`);
+    }
+    assert.strictEqual(field.noise2D(4, -7), 0);
+});
+
+test('noise: fbm with one octave is the plain noise, and more octaves add detail', () => {
+    const field = noise(11);
+    const points = samples();
+
+    assert.ok(points.every(([x, y]) => field.fbm(x, y, 1) === field.noise2D(x, y)));
+    assert.ok(points.some(([x, y]) => field.fbm(x, y, 4) !== field.fbm(x, y, 1)));
+    assert.ok(points.some(([x, y]) => field.fbm(x, y, 4, 2.5) !== field.fbm(x, y, 4, 2)));
+    assert.ok(points.every(([x, y]) => Math.abs(field.fbm(x, y, 6, 3)) <= 1));
+});
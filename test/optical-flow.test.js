@@ -0,0 +1,55 @@
+// Optical Flow Tests - Block matching recovers how a pattern moved between two frames
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('assert');
+
+const { loadFilters } = require('./harness');
+
+// Smooth luminance pattern, shifted by (dx, dy) pixels
+function pattern(width, height, dx = 0, dy = 0) {
+    const lum = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const u = x - dx;
+            const v = y - dy;
+            lum[y * width + x] = 128 + 50 * Math.sin(u * 0.15 + 1) * Math.cos(v * 0.21) +
+                30 * Math.sin((u - v) * 0.11) + 20 * Math.cos(u * 0.4 + v * 0.05);
+        }
+    }
+    return lum;
+}
+
+function flowBetween(dx, dy, width = 80, height = 60) {
+    const flow = new (loadFilters().OpticalFlow)();
+    flow.update(pattern(width, height), width, height);
+    flow.update(pattern(width, height, dx, dy), width, height);
+    return flow;
+}
+
+test('flow: still frames give no motion', () => {
+    const flow = flowBetween(0, 0);
+    assert.ok(flow.flowX.every(v => Math.abs(v) < 0.25));
+    assert.ok(flow.flowY.every(v => Math.abs(v) < 0.25));
+});
+
+test('flow: a small shift is found to within half a pixel', () => {
+    const flow = flowBetween(3, 2);
+    const out = flow.sample(40, 30, [0, 0]);
+    assert.ok(Math.abs(out[0] - 3) < 0.5 && Math.abs(out[1] - 2) < 0.5, `got ${out[0]}, ${out[1]}`);
+});
+
+test('flow: the pyramid finds motion beyond the finest search radius', () => {
+    const flow = flowBetween(12, 0);
+    const out = flow.sample(30, 30, [0, 0]);
+    assert.ok(Math.abs(out[0] - 12) < 1 && Math.abs(out[1]) < 1, `got ${out[0]}, ${out[1]}`);
+});
+
+test('flow: the first frame, and a change of size, start from no motion', () => {
+    const flow = new (loadFilters().OpticalFlow)();
+    flow.update(pattern(80, 60), 80, 60);
+    assert.deepStrictEqual(Array.from(flow.sample(40, 30, [1, 1])), [0, 0]);
+
+    flow.update(pattern(40, 30, 3, 2), 40, 30);
+    assert.deepStrictEqual(Array.from(flow.sample(20, 15, [1, 1])), [0, 0]);
+});
@@ -0,0 +1,66 @@
+// Outline Tracer Tests - Edge thinning, linking and simplification
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('assert');
+
+const { loadFilters } = require('./harness');
+
+// Luminance frame: `inside(x, y)` pixels at 200, the rest at 40
+function frame(width, height, inside) {
+    const lum = new Float32Array(width * height).fill(40);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (inside(x, y)) lum[y * width + x] = 200;
+        }
+    }
+    return lum;
+}
+
+test('tracer: a square traces as one closed loop around its border', () => {
+    const tracer = new (loadFilters().OutlineTracer)();
+    const lines = tracer.trace(frame(40, 30, (x, y) => x >= 10 && x < 30 && y >= 8 && y < 22), 40, 30);
+
+    assert.strictEqual(lines.length, 1);
+    assert.ok(lines[0].closed);
+    for (let i = 0; i < lines[0].points.length; i += 2) {
+        const [x, y] = [lines[0].points[i], lines[0].points[i + 1]];
+        assert.ok(x >= 8 && x <= 31 && y >= 6 && y <= 23, `point ${x},${y} strays from the square`);
+    }
+});
+
+test('tracer: a straight edge simplifies to its two end points', () => {
+    const tracer = new (loadFilters().OutlineTracer)({ smoothing: 0 });
+    const lines = tracer.trace(frame(40, 30, x => x >= 20), 40, 30);
+
+    assert.strictEqual(lines.length, 1);
+    assert.ok(!lines[0].closed);
+    assert.strictEqual(lines[0].points.length, 4);
+    assert.ok(Math.abs(lines[0].points[0] - lines[0].points[2]) <= 1);
+});
+
+test('tracer: faint texture below the thresholds gives no outlines', () => {
+    const tracer = new (loadFilters().OutlineTracer)();
+    const lum = new Float32Array(40 * 30).map((_, i) => 100 + ((i * 7) % 5));
+    assert.strictEqual(tracer.trace(lum, 40, 30).length, 0);
+});
+
+test('tracer: weak edges survive only when joined to a strong one', () => {
+    const tracer = new (loadFilters().OutlineTracer)({ low: 30, high: 300 });
+    // An edge that fades from strong on the left to weak on the right, and a weak one on its own
+    const lum = new Float32Array(60 * 30);
+    for (let y = 0; y < 30; y++) {
+        for (let x = 0; x < 60; x++) {
+            const fading = y >= 10 ? 120 - x * (100 / 59) : 0;
+            const lone = y >= 24 && x >= 10 && x < 50 ? 20 : 0;
+            lum[y * 60 + x] = 40 + fading + lone;
+        }
+    }
+
+    const lines = tracer.trace(lum, 60, 30);
+    assert.ok(lines.length >= 1);
+    // The weak end is reached through the strong end...
+    assert.ok(lines.some(line => line.points.some((v, i) => i % 2 === 0 && v > 50)));
+    // ...but the lone weak edge low in the frame is dropped
+    assert.ok(lines.every(line => line.points.every((v, i) => i % 2 === 0 || v < 20)));
+});
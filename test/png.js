@@ -0,0 +1,120 @@
+// PNG - Reads and writes 8-bit RGBA PNGs for the golden images
+// Uses only Node's zlib, so the tests need no packages
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    CRC_TABLE[n] = c >>> 0;
+}
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+function encodePNG(width, height, pixels) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // RGBA
+
+    // Filter type 0 on every row
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        Buffer.from(pixels.buffer, pixels.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+    }
+
+    return Buffer.concat([
+        SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+// Only 8-bit RGBA, non-interlaced; the kind encodePNG writes
+function decodePNG(buffer) {
+    if (!buffer.subarray(0, 8).equals(SIGNATURE)) throw new Error('Not a PNG file');
+
+    let width = 0;
+    let height = 0;
+    const idat = [];
+
+    let offset = 8;
+    while (offset < buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+        if (type === 'IHDR') {
+            width = data.readUInt32BE(0);
+            height = data.readUInt32BE(4);
+            if (data[8] !== 8 || data[9] !== 6 || data[12] !== 0) {
+                throw new Error('Only 8-bit RGBA non-interlaced PNGs are supported');
+            }
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += length + 12;
+    }
+
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const stride = width * 4;
+    const pixels = new Uint8ClampedArray(stride * height);
+
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const row = y * (stride + 1) + 1;
+
+        for (let x = 0; x < stride; x++) {
+            const left = x >= 4 ? pixels[y * stride + x - 4] : 0;
+            const up = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+            const upLeft = x >= 4 && y > 0 ? pixels[(y - 1) * stride + x - 4] : 0;
+            const value = raw[row + x];
+
+            let out = value;
+            if (filter === 1) out = value + left;
+            else if (filter === 2) out = value + up;
+            else if (filter === 3) out = value + ((left + up) >> 1);
+            else if (filter === 4) out = value + paeth(left, up, upLeft);
+
+            pixels[y * stride + x] = out & 0xFF;
+        }
+    }
+
+    return { width, height, pixels };
+}
+
+module.exports = { encodePNG, decodePNG };
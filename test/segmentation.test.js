@@ -0,0 +1,100 @@
+// Segmentation Tests - Background-subtraction fallback for the person mask
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('assert');
+
+const { ShimVideo } = require('./canvas-shim');
+const { loadFilters, paintFrame } = require('./harness');
+
+// Test card with a flat "person" block standing in the left half of the source
+function paintWithPerson(video) {
+    paintFrame(video, 0);
+    const { width, height, pixels } = video.frame;
+    for (let y = Math.floor(height * 0.2); y < height; y++) {
+        for (let x = Math.floor(width * 0.1); x < Math.floor(width * 0.35); x++) {
+            const idx = (y * width + x) * 4;
+            pixels[idx] = 230;
+            pixels[idx + 1] = 180;
+            pixels[idx + 2] = 150;
+        }
+    }
+}
+
+// Mask alpha at a point given as a fraction of the source, before mirroring
+function coverageAt(segmenter, u, v) {
+    const { width, height, pixels } = segmenter.mask;
+    const x = Math.floor((1 - u) * width);
+    const y = Math.floor(v * height);
+    return pixels[(y * width + x) * 4 + 3];
+}
+
+test('segmentation: falls back to background subtraction without the model', async () => {
+    const segmenter = new (loadFilters().PersonSegmenter)();
+    assert.strictEqual(await segmenter.loadModel(), false);
+    assert.strictEqual(segmenter.method, 'background');
+    assert.ok(segmenter.status.startsWith('Segmentation model unavailable'), segmenter.status);
+});
+
+test('segmentation: says it fell back when the model loads but fails to start', async () => {
+    const scope = loadFilters();
+    const segmenter = new scope.PersonSegmenter();
+    // A page whose script tags load at once, and a model that throws while starting up
+    scope.document = { createElement: () => ({}), head: { appendChild: script => script.onload() } };
+    scope.SelfieSegmentation = class {
+        setOptions() {}
+        onResults() {}
+        async initialize() { throw new Error('no WebGL'); }
+    };
+    const statuses = [];
+    segmenter.onStatus = text => statuses.push(text);
+
+    const error = console.error;
+    console.error = () => {};
+    try {
+        assert.strictEqual(await segmenter.loadModel(), false);
+    } finally {
+        console.error = error;
+    }
+    assert.strictEqual(segmenter.method, 'background');
+    assert.strictEqual(statuses.length, 1);
+    assert.ok(statuses[0].startsWith('Segmentation model unavailable'), statuses[0]);
+});
+
+test('segmentation: whatever differs from the captured background is the person', () => {
+    const segmenter = new (loadFilters().PersonSegmenter)();
+    const video = new ShimVideo(128, 96);
+    const statuses = [];
+    segmenter.onStatus = text => statuses.push(text);
+
+    paintFrame(video, 0);
+    segmenter.captureBackground();
+    segmenter.update(video);
+    assert.strictEqual(statuses.length, 1);
+
+    paintWithPerson(video);
+    for (let i = 0; i < 4; i++) segmenter.update(video);
+
+    // Mask keeps the source aspect ratio at a fixed width
+    assert.deepStrictEqual([segmenter.mask.width, segmenter.mask.height], [256, 192]);
+    assert.ok(coverageAt(segmenter, 0.2, 0.6) > 200, 'inside the person');
+    assert.ok(coverageAt(segmenter, 0.7, 0.6) < 20, 'background');
+    assert.ok(coverageAt(segmenter, 0.2, 0.05) < 20, 'above the person');
+});
+
+test('segmentation: an unchanged room gives an empty mask', () => {
+    const segmenter = new (loadFilters().PersonSegmenter)();
+    const video = new ShimVideo(64, 48);
+    paintFrame(video, 0);
+    for (let i = 0; i < 3; i++) segmenter.update(video);
+
+    const { pixels } = segmenter.mask;
+    for (let i = 3; i < pixels.length; i += 4) assert.strictEqual(pixels[i], 0);
+});
+
+test('segmentation: no frame yet leaves the empty placeholder mask', () => {
+    const segmenter = new (loadFilters().PersonSegmenter)();
+    segmenter.update(new ShimVideo(0, 0));
+    assert.deepStrictEqual([segmenter.mask.width, segmenter.mask.height], [1, 1]);
+    assert.strictEqual(segmenter.mask.pixels[3], 0);
+});
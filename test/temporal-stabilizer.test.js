@@ -0,0 +1,81 @@
+// Temporal Stabilizer Tests - Hysteresis and blending, and that motion overrides both
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('assert');
+
+const { loadFilters } = require('./harness');
+
+function stabilizer(strength, blend = 0) {
+    const stab = new (loadFilters().TemporalStabilizer)();
+    stab.begin(4, 4, strength, blend);
+    return stab;
+}
+
+test('stabilizer: off leaves quantization as plain rounding and keeps no history', () => {
+    const stab = new (loadFilters().TemporalStabilizer)();
+    assert.strictEqual(stab.begin(4, 4, 0, 0), false);
+    assert.ok(!stab.active);
+});
+
+test('stabilizer: a level holds while the value jitters around a boundary', () => {
+    const stab = stabilizer(1);
+    assert.strictEqual(stab.holdLevel(0, 2.4, 0), 2);
+    // Past the rounding boundary, but inside the hysteresis margin
+    assert.strictEqual(stab.holdLevel(0, 2.7, 0), 2);
+    assert.strictEqual(stab.holdLevel(0, 2.3, 0), 2);
+    // A real change gets through
+    assert.strictEqual(stab.holdLevel(0, 3.2, 0), 3);
+});
+
+test('stabilizer: levels dithered below zero come out as 0 and are held like any other', () => {
+    const stab = stabilizer(1);
+    assert.strictEqual(stab.holdLevel(0, -0.8, 0), 0);
+    // Held, not mistaken for "nothing held yet"
+    assert.strictEqual(stab.levels[0], 0);
+    assert.strictEqual(stab.holdLevel(0, 0.7, 0), 0);
+    assert.strictEqual(stab.holdLevel(1, -2.4, 0), 0);
+});
+
+test('stabilizer: moving pixels ignore their history', () => {
+    const stab = stabilizer(1);
+    stab.holdLevel(0, 2.4, 0);
+    assert.strictEqual(stab.holdLevel(0, 2.7, 1), 3);
+
+    stab.holdColor(0, 100, 100, 100, 0);
+    const offset = stab.holdColor(0, 110, 100, 100, 0);
+    assert.strictEqual(stab.reference[offset], 100);
+    stab.holdColor(0, 110, 100, 100, 1);
+    assert.strictEqual(stab.reference[offset], 110);
+});
+
+test('stabilizer: an edge stays on as it fades below the threshold, not once it is gone', () => {
+    const stab = stabilizer(1);
+    assert.ok(!stab.holdEdge(0, 20, 25, 0));
+    assert.ok(stab.holdEdge(0, 30, 25, 0));
+    assert.ok(stab.holdEdge(0, 20, 25, 0));
+    assert.ok(!stab.holdEdge(0, 5, 25, 0));
+    // Pixels that were never edges don't gain from the lower threshold
+    assert.ok(!stab.holdEdge(1, 20, 25, 0));
+});
+
+test('stabilizer: frame blending mixes still areas and leaves moving ones sharp', () => {
+    const stab = stabilizer(0, 1);
+    const first = new Uint8ClampedArray(4 * 4 * 4).fill(100);
+    stab.blendFrame(first, () => 0);
+
+    const second = new Uint8ClampedArray(4 * 4 * 4).fill(110);
+    stab.blendFrame(second, x => (x < 2 ? 0 : 1));
+
+    assert.ok(second[0] < 110, 'still pixel keeps some of the previous frame');
+    assert.strictEqual(second[3 * 4], 110, 'moving pixel is the new frame only');
+});
+
+test('stabilizer: a pixel that really changed is not blended, even where the grid sees no motion', () => {
+    const stab = stabilizer(0, 1);
+    stab.blendFrame(new Uint8ClampedArray(4 * 4 * 4).fill(0), () => 0);
+
+    const next = new Uint8ClampedArray(4 * 4 * 4).fill(200);
+    stab.blendFrame(next, () => 0);
+    assert.strictEqual(next[0], 200);
+});
@@ -1,5 +1,24 @@
 // Waking Life Filter - Interpolated Rotoscope Style
-// Replicates the dreamy, constantly-shifting hand-drawn animation aesthetic
+// Replicates the dreamy, constantly-shifting hand-drawn animation aesthetic.
+// Ink strokes persist between frames and are carried along by optical flow, like lines
+// traced over one frame and nudged into place on the next
+
+// Ink strokes sit on a grid of this many canvas pixels, traced from the frame shrunk to match
+const WAKING_LIFE_STROKE_STEP = 3;
+
+// Sobel magnitude (grid luminance) a stroke starts on; it holds on down to 0.6 of it
+const WAKING_LIFE_EDGE_THRESHOLD = 25;
+
+// Flow speed (canvas pixels per frame) at which a stroke turns fully to follow the motion
+const WAKING_LIFE_FLOW_ALIGN = 8;
+
+// How long a stroke takes to fade out once its edge is gone (ms)
+const WAKING_LIFE_STROKE_FADE = 60;
+
+// How fast the dither pattern and the ink colour drift through their noise (lattice cells per ms),
+// so they keep the same pace whatever the frame rate
+const WAKING_LIFE_DITHER_RATE = 0.1 / 16;
+const WAKING_LIFE_INK_COLOR_RATE = 0.05 / 16;
 
 class WakingLifeFilter {
     constructor(canvas, video) {
@@ -8,12 +27,15 @@ class WakingLifeFilter {
         this.video = video;
 
         // Processing canvases
-        this.videoCanvas = document.createElement('canvas');
+        this.videoCanvas = createCanvas();
         this.videoCtx = this.videoCanvas.getContext('2d', { willReadFrequently: true });
 
-        this.processCanvas = document.createElement('canvas');
+        this.processCanvas = createCanvas();
         this.processCtx = this.processCanvas.getContext('2d', { willReadFrequently: true });
 
+        this.strokeCanvas = createCanvas();
+        this.strokeCtx = this.strokeCanvas.getContext('2d', { willReadFrequently: true });
+
         // Settings
         this.wobbleIntensity = 2.5;
         this.wobbleSpeed = 0.002;
@@ -24,17 +46,35 @@ class WakingLifeFilter {
         this.colorShiftSpeed = 0.0008;
         this.breathingIntensity = 2.5;
         this.breathingSpeed = 0.0015;
+        // Feature sizes of the wobble and colour drift fields (px), and their fractal detail
+        this.wobbleScale = 67;
+        this.colorShiftScale = 125;
+        this.noiseOctaves = 3;
+        this.noiseLacunarity = 2;
         this.painterliness = 0.6;
+        this.brushSize = 2;
+        this.strokeLength = 4;
+        this.strokeDensity = 1;
+        this.brushTexture = 'bristle';
+        // Brush strokes are painted on the CPU; on the GL backend they cost a full readback per
+        // frame, so there they stay off unless asked for
+        this.gpuPainting = 'off';
         this.saturationBoost = 1.3;
+        this.stability = 0;
+        this.frameBlend = 0;
 
         // Animation state
         this.time = 0;
         this.frameCount = 0;
 
-        // Perlin-like noise tables
-        this.noiseTableX = this.generateNoiseTable();
-        this.noiseTableY = this.generateNoiseTable();
-        this.noiseTableColor = this.generateNoiseTable();
+        // Every random choice comes from here so a seed reproduces the animation
+        this.random = new SeededRandom(1);
+
+        // Gradient noise fields for the horizontal and vertical wobble and the colour drift
+        this.noiseX = new GradientNoise();
+        this.noiseY = new GradientNoise();
+        this.noiseColor = new GradientNoise();
+        this.seedNoise();
 
         // Edge data cache
         this.edgeData = null;
@@ -42,123 +82,48 @@ class WakingLifeFilter {
         this.lastHeight = 0;
 
         // Motion detection
-        this.prevFrame = null;
-        this.motionMap = null;
-        this.globalMotion = 0;
-    }
-
-    generateNoiseTable() {
-        const size = 512;
-        const table = new Float32Array(size * size);
-        for (let i = 0; i < table.length; i++) {
-            table[i] = Math.random();
-        }
-        return table;
-    }
+        this.motion = new MotionDetector(16);
 
-    noise2D(x, y, table) {
-        const size = 512;
-        const xi = Math.floor(Math.abs(x)) % size;
-        const yi = Math.floor(Math.abs(y)) % size;
-        const xf = x - Math.floor(x);
-        const yf = y - Math.floor(y);
+        // Ink strokes on the stroke grid and the optical flow that carries them between frames:
+        // { x, y, vx, vy, gx, gy, magnitude, fade, seedX, seedY } in canvas pixels
+        this.flow = new OpticalFlow();
+        this.strokes = [];
 
-        const n00 = table[yi * size + xi];
-        const n10 = table[yi * size + ((xi + 1) % size)];
-        const n01 = table[((yi + 1) % size) * size + xi];
-        const n11 = table[((yi + 1) % size) * size + ((xi + 1) % size)];
+        // Anti-flicker: quantization and edge hysteresis, blending with the previous frame
+        this.stabilizer = new TemporalStabilizer();
 
-        // Smoothstep interpolation
-        const sx = xf * xf * (3 - 2 * xf);
-        const sy = yf * yf * (3 - 2 * yf);
-
-        const nx0 = n00 * (1 - sx) + n10 * sx;
-        const nx1 = n01 * (1 - sx) + n11 * sx;
-
-        return nx0 * (1 - sy) + nx1 * sy;
+        // Brush strokes laid over the processed frame
+        this.painter = new BrushPainter();
     }
 
-    // Fractal Brownian Motion
-    fbm(x, y, table, octaves = 3) {
-        let value = 0;
-        let amplitude = 0.5;
-        let frequency = 1;
-        let maxValue = 0;
-
-        for (let i = 0; i < octaves; i++) {
-            value += amplitude * this.noise2D(x * frequency, y * frequency, table);
-            maxValue += amplitude;
-            amplitude *= 0.5;
-            frequency *= 2;
-        }
+    // Restart from a clean state so the same seed and input give the same frames
+    reseed(seed) {
+        this.random.setSeed(seed);
+        this.seedNoise();
 
-        return value / maxValue;
+        this.time = 0;
+        this.frameCount = 0;
+        this.motion.reset();
+        this.stabilizer.reset();
+        this.flow.reset();
+        this.strokes = [];
     }
 
-    // Detect motion between frames
-    detectMotion(src, width, height) {
-        const gridSize = 16; // Sample grid for performance
-        const gridW = Math.floor(width / gridSize);
-        const gridH = Math.floor(height / gridSize);
-
-        if (!this.motionMap || this.motionMap.length !== gridW * gridH) {
-            this.motionMap = new Float32Array(gridW * gridH);
+    // The noise fields take their seeds from the filter's generator
+    seedNoise() {
+        for (const noise of [this.noiseX, this.noiseY, this.noiseColor]) {
+            noise.setSeed(this.random.int(0x100000000));
         }
-
-        if (!this.prevFrame) {
-            this.prevFrame = new Uint8ClampedArray(src);
-            return;
-        }
-
-        let totalMotion = 0;
-
-        for (let gy = 0; gy < gridH; gy++) {
-            for (let gx = 0; gx < gridW; gx++) {
-                const x = gx * gridSize + gridSize / 2;
-                const y = gy * gridSize + gridSize / 2;
-                const idx = (Math.floor(y) * width + Math.floor(x)) * 4;
-
-                // Compare current and previous frame
-                const diffR = Math.abs(src[idx] - this.prevFrame[idx]);
-                const diffG = Math.abs(src[idx + 1] - this.prevFrame[idx + 1]);
-                const diffB = Math.abs(src[idx + 2] - this.prevFrame[idx + 2]);
-                const motion = (diffR + diffG + diffB) / (255 * 3);
-
-                const gridIdx = gy * gridW + gx;
-                // Smooth motion over time
-                this.motionMap[gridIdx] = this.motionMap[gridIdx] * 0.7 + motion * 0.3;
-                totalMotion += this.motionMap[gridIdx];
-            }
-        }
-
-        // Store global motion level (smoothed)
-        const avgMotion = totalMotion / (gridW * gridH);
-        this.globalMotion = this.globalMotion * 0.8 + avgMotion * 0.2;
-
-        // Copy current frame to previous
-        this.prevFrame.set(src);
     }
 
-    // Get local motion at a position
-    getMotionAt(x, y, width, height) {
-        if (!this.motionMap) return this.globalMotion;
-
-        const gridSize = 16;
-        const gridW = Math.floor(width / gridSize);
-        const gridH = Math.floor(height / gridSize);
-
-        const gx = Math.floor(x / gridSize);
-        const gy = Math.floor(y / gridSize);
-
-        if (gx < 0 || gx >= gridW || gy < 0 || gy >= gridH) {
-            return this.globalMotion;
-        }
-
-        return this.motionMap[gy * gridW + gx];
+    // Fractal noise in [-1, 1] with the filter's octave settings
+    fbm(noise, x, y) {
+        return noise.fbm(x, y, this.noiseOctaves, this.noiseLacunarity);
     }
 
-    draw() {
-        if (!this.video.videoWidth) return;
+    // deltaMs advances the animation clock; offline export passes the source frame interval
+    draw(deltaMs = 16) {
+        if (!getSourceSize(this.video).width) return;
 
         const width = this.canvas.width;
         const height = this.canvas.height;
@@ -182,19 +147,23 @@ class WakingLifeFilter {
         const src = sourceData.data;
 
         // Detect motion
-        this.detectMotion(src, width, height);
+        this.motion.update(src, width, height);
+        const stable = this.stabilizer.begin(width, height, this.stability, this.frameBlend);
 
         // Create output buffer
         const outputData = this.ctx.createImageData(width, height);
         const dst = outputData.data;
 
         // Update time
-        this.time += 16;
+        this.time += deltaMs;
         this.frameCount++;
 
         const t = this.time * this.wobbleSpeed;
         const colorT = this.time * this.colorShiftSpeed;
         const breathT = this.time * this.breathingSpeed;
+        const ditherT = this.time * WAKING_LIFE_DITHER_RATE;
+        const wobbleFreq = 1 / this.wobbleScale;
+        const colorFreq = 1 / this.colorShiftScale;
 
         // Breathing scale
         const breathScale = 1 + Math.sin(breathT) * 0.004 * this.breathingIntensity;
@@ -205,13 +174,13 @@ class WakingLifeFilter {
         for (let y = 0; y < height; y++) {
             for (let x = 0; x < width; x++) {
                 // Get local motion at this position
-                const localMotion = this.getMotionAt(x, y, width, height);
+                const localMotion = this.motion.getMotionAt(x, y);
                 // Motion multiplier: base 1x + up to 4x more with motion
-                const motionMultiplier = 1 + localMotion * 15 + this.globalMotion * 8;
+                const motionMultiplier = 1 + localMotion * 15 + this.motion.globalMotion * 8;
 
                 // Calculate wobble offset - increases with motion
-                const wobbleX = (this.fbm(x * 0.015 + t, y * 0.015, this.noiseTableX) - 0.5) * this.wobbleIntensity * 3 * motionMultiplier;
-                const wobbleY = (this.fbm(x * 0.015, y * 0.015 + t * 1.2, this.noiseTableY) - 0.5) * this.wobbleIntensity * 3 * motionMultiplier;
+                const wobbleX = this.fbm(this.noiseX, x * wobbleFreq + t, y * wobbleFreq) * this.wobbleIntensity * 1.5 * motionMultiplier;
+                const wobbleY = this.fbm(this.noiseY, x * wobbleFreq, y * wobbleFreq + t * 1.2) * this.wobbleIntensity * 1.5 * motionMultiplier;
 
                 // Apply breathing
                 let srcX = (x - cx) / breathScale + cx + wobbleX;
@@ -245,8 +214,8 @@ class WakingLifeFilter {
                 b = gray + (b - gray) * this.saturationBoost;
 
                 // Apply color shift based on noise
-                const colorNoise = this.fbm(x * 0.008 + colorT, y * 0.008 + colorT * 0.7, this.noiseTableColor, 2);
-                const shift = (colorNoise - 0.5) * this.colorShiftAmount * 2;
+                const colorNoise = this.fbm(this.noiseColor, x * colorFreq + colorT, y * colorFreq + colorT * 0.7);
+                const shift = colorNoise * this.colorShiftAmount;
 
                 r += shift * 1.2;
                 g += shift * 0.6;
@@ -257,11 +226,18 @@ class WakingLifeFilter {
                 const step = 255 / (levels - 1);
 
                 // Add slight dithering/variation to quantization
-                const dither = (this.noise2D(x * 0.5 + this.frameCount * 0.1, y * 0.5, this.noiseTableColor) - 0.5) * step * 0.3;
-
-                r = Math.round((r + dither) / step) * step;
-                g = Math.round((g + dither) / step) * step;
-                b = Math.round((b + dither) / step) * step;
+                const dither = this.noiseColor.noise2D(x * 0.5 + ditherT, y * 0.5) * step * 0.15;
+
+                if (stable) {
+                    const levelIdx = (y * width + x) * 3;
+                    r = this.stabilizer.holdLevel(levelIdx, (r + dither) / step, localMotion) * step;
+                    g = this.stabilizer.holdLevel(levelIdx + 1, (g + dither) / step, localMotion) * step;
+                    b = this.stabilizer.holdLevel(levelIdx + 2, (b + dither) / step, localMotion) * step;
+                } else {
+                    r = Math.round((r + dither) / step) * step;
+                    g = Math.round((g + dither) / step) * step;
+                    b = Math.round((b + dither) / step) * step;
+                }
 
                 // Clamp values
                 r = Math.max(0, Math.min(255, r));
@@ -276,16 +252,19 @@ class WakingLifeFilter {
             }
         }
 
-        // Apply painterly smoothing (simplified bilateral-like effect)
-        if (this.painterliness > 0.2) {
-            this.applyPainterlySmooth(dst, width, height);
+        // Paint over the frame in brush strokes
+        this.paint(dst, width, height);
+
+        // Still areas keep some of the previous frame; the ink goes on afterwards
+        if (stable) {
+            this.stabilizer.blendFrame(dst, (x, y) => this.motion.getMotionAt(x, y));
         }
 
         // Put the processed image
         this.ctx.putImageData(outputData, 0, 0);
 
-        // Detect and draw wobbly edges on top
-        this.detectAndDrawEdges(src, width, height);
+        // Ink on top, carried along by the optical flow
+        this.drawInk(deltaMs);
     }
 
     bilerp(v00, v10, v01, v11, xf, yf) {
@@ -294,129 +273,221 @@ class WakingLifeFilter {
         return v0 * (1 - yf) + v1 * yf;
     }
 
-    applyPainterlySmooth(data, width, height) {
-        // Simple smoothing pass that preserves edges
-        const radius = Math.floor(1 + this.painterliness * 2);
-        const temp = new Uint8ClampedArray(data);
-        const colorThreshold = 40 + (1 - this.painterliness) * 60;
-
-        for (let y = radius; y < height - radius; y += 2) {
-            for (let x = radius; x < width - radius; x += 2) {
-                const idx = (y * width + x) * 4;
-                const centerR = temp[idx];
-                const centerG = temp[idx + 1];
-                const centerB = temp[idx + 2];
-
-                let sumR = 0, sumG = 0, sumB = 0, count = 0;
-
-                for (let dy = -radius; dy <= radius; dy++) {
-                    for (let dx = -radius; dx <= radius; dx++) {
-                        const nidx = ((y + dy) * width + (x + dx)) * 4;
-                        const nr = temp[nidx];
-                        const ng = temp[nidx + 1];
-                        const nb = temp[nidx + 2];
-
-                        // Only average similar colors
-                        const diff = Math.abs(nr - centerR) + Math.abs(ng - centerG) + Math.abs(nb - centerB);
-                        if (diff < colorThreshold) {
-                            sumR += nr;
-                            sumG += ng;
-                            sumB += nb;
-                            count++;
-                        }
-                    }
-                }
+    // Lay brush strokes over an RGBA frame, coarse to fine; Painterliness sets how much they cover
+    paint(data, width, height) {
+        if (this.painterliness < 0.05) return;
+
+        this.painter.size = this.brushSize;
+        this.painter.length = this.strokeLength;
+        this.painter.density = this.strokeDensity;
+        this.painter.texture = this.brushTexture;
+        this.painter.opacity = this.painterliness;
+        this.painter.paint(data, width, height);
+    }
 
-                if (count > 0) {
-                    data[idx] = sumR / count;
-                    data[idx + 1] = sumG / count;
-                    data[idx + 2] = sumB / count;
+    // The GL path paints over what the shader drew, when "Paint on GPU" is on
+    paintCanvas() {
+        if (this.gpuPainting !== 'on' || this.painterliness < 0.05) return;
+
+        const { width, height } = this.canvas;
+        const image = this.ctx.getImageData(0, 0, width, height);
+        this.paint(image.data, width, height);
+        this.ctx.putImageData(image, 0, 0);
+    }
+
+    // Ink strokes and sketchy marks over the painted frame; shared by the CPU and GL paths
+    drawInk(deltaMs) {
+        if (this.edgeOpacity < 0.05) {
+            this.flow.reset();
+            this.strokes = [];
+            return;
+        }
+
+        this.updateStrokes(deltaMs);
+        this.drawStrokes();
+
+        // Add some random "sketchy" marks for hand-drawn feel
+        if (this.frameCount % 3 === 0) {
+            this.addSketchyMarks(this.canvas.width, this.canvas.height);
+        }
+    }
+
+    // Carry the strokes along the optical flow, let go of those whose edge has gone, and start
+    // new ones on edges nobody is drawing yet
+    updateStrokes(deltaMs) {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const gw = Math.max(1, Math.round(width / WAKING_LIFE_STROKE_STEP));
+        const gh = Math.max(1, Math.round(height / WAKING_LIFE_STROKE_STEP));
+        if (this.strokeCanvas.width !== gw || this.strokeCanvas.height !== gh) {
+            this.strokeCanvas.width = gw;
+            this.strokeCanvas.height = gh;
+            this.strokes = [];
+        }
+
+        this.strokeCtx.save();
+        this.strokeCtx.scale(-1, 1);
+        this.strokeCtx.drawImage(this.video, -gw, 0, gw, gh);
+        this.strokeCtx.restore();
+        const data = this.strokeCtx.getImageData(0, 0, gw, gh).data;
+
+        const lum = new Float32Array(gw * gh);
+        for (let p = 0, i = 0; p < lum.length; p++, i += 4) {
+            lum[p] = (data[i] + data[i + 1] + data[i + 2]) / 3;
+        }
+        this.flow.update(lum, gw, gh);
+
+        const scaleX = width / gw;
+        const scaleY = height / gh;
+        const threshold = WAKING_LIFE_EDGE_THRESHOLD;
+        const claimed = new Uint8Array(gw * gh);
+        const flow = [0, 0];
+        const kept = [];
+
+        // Gradient across neighbouring grid points
+        const gradX = new Float32Array(gw * gh);
+        const gradY = new Float32Array(gw * gh);
+        const magnitude = new Float32Array(gw * gh);
+        for (let y = 1; y < gh - 1; y++) {
+            for (let x = 1, i = y * gw + 1; x < gw - 1; x++, i++) {
+                gradX[i] = lum[i + 1] - lum[i - 1];
+                gradY[i] = lum[i + gw] - lum[i - gw];
+                magnitude[i] = Math.sqrt(gradX[i] * gradX[i] + gradY[i] * gradY[i]);
+            }
+        }
+
+        // Existing strokes ride the flow, then hold on to the strongest free edge where they land.
+        // Older strokes go first, so they keep their place over newer ones.
+        for (const stroke of this.strokes) {
+            this.flow.sample(stroke.x / scaleX, stroke.y / scaleY, flow);
+            stroke.vx = flow[0] * scaleX;
+            stroke.vy = flow[1] * scaleY;
+            stroke.x += stroke.vx;
+            stroke.y += stroke.vy;
+
+            const cx = Math.round(stroke.x / scaleX - 0.5);
+            const cy = Math.round(stroke.y / scaleY - 0.5);
+            let best = -1;
+            for (let ny = cy - 1; ny <= cy + 1; ny++) {
+                for (let nx = cx - 1; nx <= cx + 1; nx++) {
+                    if (nx < 1 || ny < 1 || nx >= gw - 1 || ny >= gh - 1) continue;
+                    const n = ny * gw + nx;
+                    if (!claimed[n] && (best === -1 || magnitude[n] > magnitude[best])) best = n;
                 }
             }
+
+            if (best !== -1 && magnitude[best] > threshold * 0.6) {
+                claimed[best] = 1;
+                stroke.gx = gradX[best];
+                stroke.gy = gradY[best];
+                stroke.magnitude = magnitude[best];
+                stroke.fade = 1;
+
+                // Settle half way onto the edge each frame so flow errors don't build up
+                const bx = best % gw;
+                const by = (best - bx) / gw;
+                stroke.x += ((bx + 0.5) * scaleX - stroke.x) * 0.5;
+                stroke.y += ((by + 0.5) * scaleY - stroke.y) * 0.5;
+                kept.push(stroke);
+                continue;
+            }
+
+            // Edge gone: fade out in place
+            stroke.fade -= deltaMs / WAKING_LIFE_STROKE_FADE;
+            if (stroke.fade > 0 && stroke.x >= 0 && stroke.y >= 0 && stroke.x < width && stroke.y < height) {
+                kept.push(stroke);
+            }
+        }
+
+        for (let y = 1; y < gh - 1; y++) {
+            for (let x = 1; x < gw - 1; x++) {
+                const i = y * gw + x;
+                if (claimed[i]) continue;
+
+                const px = (x + 0.5) * scaleX;
+                const py = (y + 0.5) * scaleY;
+
+                // With stabilizing on, an edge stays inked until it fades well below the threshold
+                const isEdge = this.stabilizer.active
+                    ? this.stabilizer.holdEdge(Math.floor(py) * width + Math.floor(px), magnitude[i], threshold,
+                        this.motion.getMotionAt(px, py))
+                    : magnitude[i] > threshold;
+                if (!isEdge) continue;
+
+                claimed[i] = 1;
+                kept.push({
+                    x: px, y: py, vx: 0, vy: 0,
+                    gx: gradX[i], gy: gradY[i], magnitude: magnitude[i], fade: 1,
+                    // Where the stroke started: its wobble, length and tint follow it from here
+                    seedX: px, seedY: py
+                });
+            }
         }
-    }
 
-    detectAndDrawEdges(src, width, height) {
-        if (this.edgeOpacity < 0.05) return;
+        this.strokes = kept;
+    }
 
+    // Short strokes along each edge, turning to follow the motion and stretching with its speed
+    drawStrokes() {
         const t = this.time * this.wobbleSpeed * 2;
         const ctx = this.ctx;
+        ctx.lineCap = 'round';
 
-        // Sobel edge detection
-        const threshold = 25;
+        for (const stroke of this.strokes) {
+            const localMotion = this.motion.getMotionAt(stroke.x, stroke.y);
 
-        ctx.lineCap = 'round';
+            // Local motion drives the edge wobble
+            const edgeMotionMult = 1 + localMotion * 12 + this.motion.globalMotion * 6;
 
-        // Sample edges at intervals for performance
-        const step = 3;
-
-        for (let y = step; y < height - step; y += step) {
-            for (let x = step; x < width - step; x += step) {
-                // Sobel operator
-                const idx = (y * width + x) * 4;
-                const idxL = (y * width + (x - step)) * 4;
-                const idxR = (y * width + (x + step)) * 4;
-                const idxU = ((y - step) * width + x) * 4;
-                const idxD = ((y + step) * width + x) * 4;
-
-                const lumC = (src[idx] + src[idx + 1] + src[idx + 2]) / 3;
-                const lumL = (src[idxL] + src[idxL + 1] + src[idxL + 2]) / 3;
-                const lumR = (src[idxR] + src[idxR + 1] + src[idxR + 2]) / 3;
-                const lumU = (src[idxU] + src[idxU + 1] + src[idxU + 2]) / 3;
-                const lumD = (src[idxD] + src[idxD + 1] + src[idxD + 2]) / 3;
-
-                const gx = lumR - lumL;
-                const gy = lumD - lumU;
-                const magnitude = Math.sqrt(gx * gx + gy * gy);
-
-                if (magnitude > threshold) {
-                    // Get local motion for edge wobble
-                    const localMotion = this.getMotionAt(x, y, width, height);
-                    const edgeMotionMult = 1 + localMotion * 12 + this.globalMotion * 6;
-
-                    // Calculate wobble for this edge point - increases with motion
-                    const wobbleX = (this.noise2D(x * 0.08 + t * 3, y * 0.08, this.noiseTableX) - 0.5) * this.wobbleIntensity * 4 * edgeMotionMult;
-                    const wobbleY = (this.noise2D(x * 0.08, y * 0.08 + t * 3.5, this.noiseTableY) - 0.5) * this.wobbleIntensity * 4 * edgeMotionMult;
-
-                    const drawX = x + wobbleX;
-                    const drawY = y + wobbleY;
-
-                    // Edge color - dark with slight color variation
-                    const colorVar = this.noise2D(x * 0.02 + this.frameCount * 0.05, y * 0.02, this.noiseTableColor);
-                    const edgeR = Math.floor(20 + colorVar * 30);
-                    const edgeG = Math.floor(15 + colorVar * 25);
-                    const edgeB = Math.floor(25 + colorVar * 20);
-
-                    // Opacity based on edge strength
-                    const alpha = Math.min(1, magnitude / 80) * this.edgeOpacity;
-
-                    ctx.strokeStyle = `rgba(${edgeR}, ${edgeG}, ${edgeB}, ${alpha})`;
-
-                    // Line width increases with motion
-                    ctx.lineWidth = this.edgeThickness * (1 + localMotion * 2);
-
-                    // Draw short strokes perpendicular to edge direction
-                    // Stroke length increases with motion
-                    const angle = Math.atan2(gy, gx) + Math.PI / 2;
-                    const strokeLen = (1.5 + this.noise2D(x * 0.1, y * 0.1, this.noiseTableX) * 2) * (1 + localMotion * 3);
-
-                    ctx.beginPath();
-                    ctx.moveTo(
-                        drawX - Math.cos(angle) * strokeLen,
-                        drawY - Math.sin(angle) * strokeLen
-                    );
-                    ctx.lineTo(
-                        drawX + Math.cos(angle) * strokeLen,
-                        drawY + Math.sin(angle) * strokeLen
-                    );
-                    ctx.stroke();
+            // Calculate wobble for this stroke - increases with motion
+            const wobbleX = this.noiseX.noise2D(stroke.seedX * 0.08 + t * 3, stroke.seedY * 0.08) * this.wobbleIntensity * 2 * edgeMotionMult;
+            const wobbleY = this.noiseY.noise2D(stroke.seedX * 0.08, stroke.seedY * 0.08 + t * 3.5) * this.wobbleIntensity * 2 * edgeMotionMult;
+
+            const drawX = stroke.x + wobbleX;
+            const drawY = stroke.y + wobbleY;
+
+            // Edge color - dark with slight color variation
+            const colorVar = this.noiseColor.noise2D(stroke.seedX * 0.02 + this.time * WAKING_LIFE_INK_COLOR_RATE,
+                stroke.seedY * 0.02) * 0.5 + 0.5;
+            const edgeR = Math.floor(20 + colorVar * 30);
+            const edgeG = Math.floor(15 + colorVar * 25);
+            const edgeB = Math.floor(25 + colorVar * 20);
+
+            // Opacity based on edge strength
+            const alpha = Math.min(1, stroke.magnitude / 80) * this.edgeOpacity * stroke.fade;
+
+            ctx.strokeStyle = `rgba(${edgeR}, ${edgeG}, ${edgeB}, ${alpha})`;
+
+            // Line width increases with motion
+            ctx.lineWidth = this.edgeThickness * (1 + localMotion * 2);
+
+            // Along the edge (perpendicular to the gradient), swinging round to the direction of
+            // travel as the flow picks up
+            const speed = Math.sqrt(stroke.vx * stroke.vx + stroke.vy * stroke.vy);
+            const norm = Math.sqrt(stroke.gx * stroke.gx + stroke.gy * stroke.gy) || 1;
+            let dirX = -stroke.gy / norm;
+            let dirY = stroke.gx / norm;
+            if (speed > 0.01) {
+                if (dirX * stroke.vx + dirY * stroke.vy < 0) {
+                    dirX = -dirX;
+                    dirY = -dirY;
                 }
+                const follow = Math.min(1, speed / WAKING_LIFE_FLOW_ALIGN);
+                dirX = dirX * (1 - follow) + (stroke.vx / speed) * follow;
+                dirY = dirY * (1 - follow) + (stroke.vy / speed) * follow;
+                const length = Math.sqrt(dirX * dirX + dirY * dirY) || 1;
+                dirX /= length;
+                dirY /= length;
             }
-        }
 
-        // Add some random "sketchy" marks for hand-drawn feel
-        if (this.frameCount % 3 === 0) {
-            this.addSketchyMarks(width, height);
+            // Stroke length stretches with the speed of the motion
+            const strokeLen = (2.5 + this.noiseX.noise2D(stroke.seedX * 0.1, stroke.seedY * 0.1)) *
+                (1 + Math.min(speed, 8) * 0.25);
+
+            ctx.beginPath();
+            ctx.moveTo(drawX - dirX * strokeLen, drawY - dirY * strokeLen);
+            ctx.lineTo(drawX + dirX * strokeLen, drawY + dirY * strokeLen);
+            ctx.stroke();
         }
     }
 
@@ -425,29 +496,78 @@ class WakingLifeFilter {
         const numMarks = Math.floor(5 + this.painterliness * 10);
 
         for (let i = 0; i < numMarks; i++) {
-            const x = Math.random() * width;
-            const y = Math.random() * height;
+            const x = this.random.next() * width;
+            const y = this.random.next() * height;
 
             // Only add marks in areas with some detail
             const t = this.time * this.wobbleSpeed;
-            const noise = this.noise2D(x * 0.01 + t, y * 0.01, this.noiseTableColor);
+            const noise = this.noiseColor.noise2D(x * 0.01 + t, y * 0.01) * 0.5 + 0.5;
 
             if (noise > 0.6) {
                 const alpha = (noise - 0.6) * 0.3 * this.edgeOpacity;
                 ctx.strokeStyle = `rgba(30, 25, 35, ${alpha})`;
-                ctx.lineWidth = 0.5 + Math.random();
+                ctx.lineWidth = 0.5 + this.random.next();
 
-                const wobbleX = (this.noise2D(x * 0.1 + t, y * 0.1, this.noiseTableX) - 0.5) * 5;
-                const wobbleY = (this.noise2D(x * 0.1, y * 0.1 + t, this.noiseTableY) - 0.5) * 5;
+                const wobbleX = this.noiseX.noise2D(x * 0.1 + t, y * 0.1) * 2.5;
+                const wobbleY = this.noiseY.noise2D(x * 0.1, y * 0.1 + t) * 2.5;
 
                 ctx.beginPath();
                 ctx.moveTo(x + wobbleX, y + wobbleY);
-                ctx.lineTo(x + wobbleX + (Math.random() - 0.5) * 8, y + wobbleY + (Math.random() - 0.5) * 8);
+                ctx.lineTo(x + wobbleX + (this.random.next() - 0.5) * 8, y + wobbleY + (this.random.next() - 0.5) * 8);
                 ctx.stroke();
             }
         }
     }
 }
 
-// Export for use in main app
-window.WakingLifeFilter = WakingLifeFilter;
+// Export (self is window on the page, the global scope in the filter worker)
+self.WakingLifeFilter = WakingLifeFilter;
+
+FilterRegistry.register('wakingLife', WakingLifeFilter, {
+    name: 'Waking Life',
+    color: '#a855f7',
+    params: [
+        { id: 'wobbleIntensity', label: 'Wobble', min: 0, max: 10, default: 5, transform: val => val / 2 },
+        { id: 'wobbleSpeed', label: 'Wobble Speed', min: 0, max: 10, default: 4, transform: val => val / 2000 },
+        { id: 'wobbleScale', label: 'Wobble Scale', min: 10, max: 200, default: 67, unit: 'px' },
+        { id: 'colorLevels', label: 'Color Levels', min: 4, max: 16, default: 8 },
+        { id: 'edgeOpacity', label: 'Edge Strength', min: 0, max: 10, default: 7, transform: val => val / 10 },
+        { id: 'colorShift', label: 'Color Drift', property: 'colorShiftAmount', min: 0, max: 10, default: 5, transform: val => val * 3 },
+        { id: 'colorShiftSpeed', label: 'Drift Speed', min: 0, max: 20, default: 8, transform: val => val / 10000 },
+        { id: 'colorShiftScale', label: 'Drift Scale', min: 20, max: 400, default: 125, unit: 'px' },
+        { id: 'noiseOctaves', label: 'Noise Octaves', min: 1, max: 6, default: 3 },
+        {
+            id: 'noiseLacunarity', label: 'Lacunarity', min: 15, max: 30, default: 20,
+            transform: val => val / 10,
+            format: val => (val / 10).toFixed(1) + 'x'
+        },
+        { id: 'breathingIntensity', label: 'Breathing', min: 0, max: 10, default: 5, transform: val => val / 2 },
+        { id: 'breathingSpeed', label: 'Breathing Speed', min: 0, max: 10, default: 3, transform: val => val / 2000 },
+        { id: 'painterliness', label: 'Painterliness', min: 0, max: 10, default: 6, transform: val => val / 10 },
+        { id: 'brushSize', label: 'Brush Size', min: 1, max: 6, default: 2, unit: 'px' },
+        { id: 'strokeLength', label: 'Stroke Length', min: 0, max: 10, default: 4 },
+        { id: 'strokeDensity', label: 'Stroke Density', min: 1, max: 10, default: 5, transform: val => val / 5 },
+        {
+            id: 'brushTexture', label: 'Brush', type: 'select', default: 'bristle',
+            options: [
+                { value: 'bristle', label: 'Bristle' },
+                { value: 'flat', label: 'Flat' },
+                { value: 'dry', label: 'Dry Brush' }
+            ]
+        },
+        {
+            id: 'gpuPainting', label: 'Paint on GPU', type: 'select', default: 'off',
+            options: [
+                { value: 'off', label: 'Off (no strokes on GPU, fast)' },
+                { value: 'on', label: 'On (CPU readback, slow)' }
+            ]
+        },
+        {
+            id: 'saturation', label: 'Saturation', property: 'saturationBoost', min: 5, max: 20, default: 13,
+            transform: val => val / 10,
+            format: val => (val / 10).toFixed(1) + 'x'
+        },
+        { id: 'stability', label: 'Stability', min: 0, max: 10, default: 0, transform: val => val / 10 },
+        { id: 'frameBlend', label: 'Frame Blend', min: 0, max: 10, default: 0, transform: val => val / 10 }
+    ]
+});
@@ -0,0 +1,173 @@
+// WebM Muxer - Wraps WebCodecs VP8/VP9 chunks in a playable WebM file
+// Minimal single-track writer: EBML header, Info, Tracks and Clusters of SimpleBlocks
+
+const EBML_IDS = {
+    EBML: [0x1A, 0x45, 0xDF, 0xA3],
+    EBMLVersion: [0x42, 0x86],
+    EBMLReadVersion: [0x42, 0xF7],
+    EBMLMaxIDLength: [0x42, 0xF2],
+    EBMLMaxSizeLength: [0x42, 0xF3],
+    DocType: [0x42, 0x82],
+    DocTypeVersion: [0x42, 0x87],
+    DocTypeReadVersion: [0x42, 0x85],
+    Segment: [0x18, 0x53, 0x80, 0x67],
+    Info: [0x15, 0x49, 0xA9, 0x66],
+    TimecodeScale: [0x2A, 0xD7, 0xB1],
+    Duration: [0x44, 0x89],
+    MuxingApp: [0x4D, 0x80],
+    WritingApp: [0x57, 0x41],
+    Tracks: [0x16, 0x54, 0xAE, 0x6B],
+    TrackEntry: [0xAE],
+    TrackNumber: [0xD7],
+    TrackUID: [0x73, 0xC5],
+    TrackType: [0x83],
+    CodecID: [0x86],
+    DefaultDuration: [0x23, 0xE3, 0x83],
+    Video: [0xE0],
+    PixelWidth: [0xB0],
+    PixelHeight: [0xBA],
+    Cluster: [0x1F, 0x43, 0xB6, 0x75],
+    Timecode: [0xE7],
+    SimpleBlock: [0xA3]
+};
+
+class WebMMuxer {
+    constructor({ width, height, codec, frameRate }) {
+        this.width = width;
+        this.height = height;
+        this.codecId = codec.startsWith('vp09') ? 'V_VP9' : 'V_VP8';
+        this.frameRate = frameRate;
+
+        // Encoded frames as { timestamp (ms), keyFrame, data }
+        this.frames = [];
+    }
+
+    addChunk(chunk) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+
+        this.frames.push({
+            timestamp: Math.round(chunk.timestamp / 1000),
+            keyFrame: chunk.type === 'key',
+            data: data
+        });
+    }
+
+    // Element parts are arrays of Uint8Array so large payloads are never copied
+    static element(id, parts) {
+        const size = parts.reduce((sum, part) => sum + part.length, 0);
+        return [new Uint8Array(id), WebMMuxer.encodeSize(size), ...parts];
+    }
+
+    static encodeSize(size) {
+        // Smallest EBML variable-length integer that fits (all-ones is reserved)
+        let length = 1;
+        while (size >= Math.pow(2, 7 * length) - 1) length++;
+
+        const bytes = new Uint8Array(length);
+        let value = size;
+        for (let i = length - 1; i >= 0; i--) {
+            bytes[i] = value % 256;
+            value = Math.floor(value / 256);
+        }
+        bytes[0] |= 1 << (8 - length);
+        return bytes;
+    }
+
+    static uint(id, value) {
+        const bytes = [];
+        do {
+            bytes.unshift(value % 256);
+            value = Math.floor(value / 256);
+        } while (value > 0);
+        return WebMMuxer.element(id, [new Uint8Array(bytes)]);
+    }
+
+    static float(id, value) {
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setFloat64(0, value);
+        return WebMMuxer.element(id, [bytes]);
+    }
+
+    static string(id, value) {
+        return WebMMuxer.element(id, [new TextEncoder().encode(value)]);
+    }
+
+    simpleBlock(frame, clusterTimecode) {
+        const header = new Uint8Array(4);
+        const relative = frame.timestamp - clusterTimecode;
+        header[0] = 0x81; // track number 1 as a vint
+        header[1] = (relative >> 8) & 0xFF;
+        header[2] = relative & 0xFF;
+        header[3] = frame.keyFrame ? 0x80 : 0x00;
+        return WebMMuxer.element(EBML_IDS.SimpleBlock, [header, frame.data]);
+    }
+
+    // Start a new cluster on every keyframe, and before block timecodes overflow int16
+    buildClusters() {
+        const clusters = [];
+        let current = null;
+
+        for (const frame of this.frames) {
+            const overflow = current && frame.timestamp - current.timecode > 32000;
+            if (!current || frame.keyFrame || overflow) {
+                current = { timecode: frame.timestamp, blocks: [] };
+                clusters.push(current);
+            }
+            current.blocks.push(...this.simpleBlock(frame, current.timecode));
+        }
+
+        return clusters.map(cluster => WebMMuxer.element(EBML_IDS.Cluster, [
+            ...WebMMuxer.uint(EBML_IDS.Timecode, cluster.timecode),
+            ...cluster.blocks
+        ]));
+    }
+
+    finalize() {
+        const frameDuration = 1000 / this.frameRate;
+        const last = this.frames[this.frames.length - 1];
+        const duration = last ? last.timestamp + frameDuration : 0;
+
+        const header = WebMMuxer.element(EBML_IDS.EBML, [
+            ...WebMMuxer.uint(EBML_IDS.EBMLVersion, 1),
+            ...WebMMuxer.uint(EBML_IDS.EBMLReadVersion, 1),
+            ...WebMMuxer.uint(EBML_IDS.EBMLMaxIDLength, 4),
+            ...WebMMuxer.uint(EBML_IDS.EBMLMaxSizeLength, 8),
+            ...WebMMuxer.string(EBML_IDS.DocType, 'webm'),
+            ...WebMMuxer.uint(EBML_IDS.DocTypeVersion, 4),
+            ...WebMMuxer.uint(EBML_IDS.DocTypeReadVersion, 2)
+        ]);
+
+        const info = WebMMuxer.element(EBML_IDS.Info, [
+            ...WebMMuxer.uint(EBML_IDS.TimecodeScale, 1000000),
+            ...WebMMuxer.float(EBML_IDS.Duration, duration),
+            ...WebMMuxer.string(EBML_IDS.MuxingApp, 'Four Fingers'),
+            ...WebMMuxer.string(EBML_IDS.WritingApp, 'Four Fingers')
+        ]);
+
+        const tracks = WebMMuxer.element(EBML_IDS.Tracks, [
+            ...WebMMuxer.element(EBML_IDS.TrackEntry, [
+                ...WebMMuxer.uint(EBML_IDS.TrackNumber, 1),
+                ...WebMMuxer.uint(EBML_IDS.TrackUID, 1),
+                ...WebMMuxer.uint(EBML_IDS.TrackType, 1),
+                ...WebMMuxer.string(EBML_IDS.CodecID, this.codecId),
+                ...WebMMuxer.uint(EBML_IDS.DefaultDuration, Math.round(frameDuration * 1000000)),
+                ...WebMMuxer.element(EBML_IDS.Video, [
+                    ...WebMMuxer.uint(EBML_IDS.PixelWidth, this.width),
+                    ...WebMMuxer.uint(EBML_IDS.PixelHeight, this.height)
+                ])
+            ])
+        ]);
+
+        const segment = WebMMuxer.element(EBML_IDS.Segment, [
+            ...info,
+            ...tracks,
+            ...this.buildClusters().flat()
+        ]);
+
+        return new Blob([...header, ...segment], { type: 'video/webm' });
+    }
+}
+
+// Export
+window.WebMMuxer = WebMMuxer;
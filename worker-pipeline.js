@@ -0,0 +1,145 @@
+// Worker Pipeline - Hands frames to filter-worker.js and paints the results
+// Keeps the per-pixel loops off the main thread so the UI stays responsive
+
+class WorkerPipeline {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+
+        this.worker = null;
+        this.busy = false;
+        this.failed = false;
+        this.mode = null;
+
+        // Last settings sent per filter, to only post changes
+        this.sentSettings = {};
+
+        // Seed for the worker's filters, resent whenever the worker restarts
+        this.seed = 1;
+
+        // Filter scripts already imported into the worker
+        this.loadedScripts = new Set();
+
+        // Animation time since the last frame sent, including frames dropped while busy
+        this.pendingMs = 0;
+
+        // Called whenever a processed frame is painted
+        this.onFrame = null;
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap === 'function';
+    }
+
+    start() {
+        if (this.worker) return;
+
+        try {
+            this.worker = new Worker('filter-worker.js');
+        } catch (err) {
+            console.error('Worker start error:', err);
+            this.failed = true;
+            return;
+        }
+        this.worker.postMessage({ type: 'seed', seed: this.seed });
+
+        this.worker.onmessage = (e) => {
+            const msg = e.data;
+            if (msg.type === 'result') {
+                this.onResult(msg);
+            } else if (msg.type === 'error') {
+                console.error('Worker filter error:', msg.message);
+                this.busy = false;
+            }
+        };
+
+        this.worker.onerror = (e) => {
+            console.error('Worker error:', e.message);
+            this.failed = true;
+            this.stop();
+        };
+    }
+
+    stop() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.busy = false;
+        this.sentSettings = {};
+        this.loadedScripts = new Set();
+    }
+
+    // Import a registered filter's script into the worker the first time it's used
+    loadFilter(mode) {
+        const entry = FilterRegistry.get(mode);
+        if (!entry || !entry.script || this.loadedScripts.has(entry.script)) return;
+
+        this.loadedScripts.add(entry.script);
+        this.worker.postMessage({ type: 'load', script: entry.script });
+    }
+
+    setSeed(seed) {
+        this.seed = seed;
+        if (this.worker) this.worker.postMessage({ type: 'seed', seed });
+    }
+
+    syncSettings(mode, filter) {
+        const settings = FilterRegistry.getSettings(mode, filter);
+        const serialized = JSON.stringify(settings);
+        if (this.sentSettings[mode] === serialized) return;
+
+        this.sentSettings[mode] = serialized;
+        this.worker.postMessage({ type: 'settings', mode, settings });
+    }
+
+    // Send one frame; frames that arrive while the worker is busy are dropped, but their time
+    // still counts, so the worker's animation keeps pace with the page
+    async submit(mode, filter, source, deltaMs = 16) {
+        this.pendingMs += deltaMs;
+        if (this.failed || this.busy) return;
+        if (!getSourceSize(source).width) return;
+
+        this.start();
+        if (this.failed) return;
+
+        this.busy = true;
+        this.mode = mode;
+        this.loadFilter(mode);
+        this.syncSettings(mode, filter);
+
+        let frame;
+        try {
+            frame = typeof VideoFrame !== 'undefined' && source instanceof HTMLVideoElement
+                ? new VideoFrame(source)
+                : await createImageBitmap(source);
+        } catch (err) {
+            this.busy = false;
+            return;
+        }
+
+        this.worker.postMessage({
+            type: 'frame',
+            frame: frame,
+            mode: mode,
+            width: this.canvas.width,
+            height: this.canvas.height,
+            deltaMs: this.pendingMs
+        }, [frame]);
+        this.pendingMs = 0;
+    }
+
+    onResult(msg) {
+        this.busy = false;
+
+        // Drop results rendered for a filter we've since switched away from
+        if (msg.mode === this.mode) {
+            this.ctx.drawImage(msg.bitmap, 0, 0, this.canvas.width, this.canvas.height);
+            if (this.onFrame) this.onFrame();
+        }
+        msg.bitmap.close();
+    }
+}
+
+// Export
+window.WorkerPipeline = WorkerPipeline;